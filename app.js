@@ -1,4 +1,24 @@
 // Real-Time Speech Translator Application
+import AudioUplink from './audioUplink.js';
+import SentenceSegmenter from './sentenceSegmenter.js';
+import { sendRequest } from './requestClient.js';
+import LatencyPanel from './latencyPanel.js';
+import { formatTranscript, FORMATS } from './transcriptFormats.mjs';
+import { restorePunctuation } from './punctuation.mjs';
+import { listingIncludes } from './languageCodes.mjs';
+
+// The page is served by the server itself, or by Vite, which proxies /api and
+// /socket.io to it; opened from a file, it falls back to the default port
+const SERVER_URL = location.protocol.startsWith('http') ? location.origin : 'http://localhost:3001';
+
+// Interim results are translated at most this often, and only once their
+// stable part (words two hypotheses in a row agree on) has changed
+const INTERIM_TRANSLATION_DELAY = 400;
+const INTERIM_MIN_WORDS = 2;
+
+// Words; Chinese and Japanese characters count as words of their own
+const WORD = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+/gu;
+
 class SpeechTranslator {
     constructor() {
         this.recognition = null;
@@ -7,13 +27,23 @@ class SpeechTranslator {
         this.currentTranscript = '';
         this.silenceTimer = null;
         this.overlayTimer = null;
+        this.overlaySegmentId = null;
+        this.interim = emptyInterim();
+        this.captionQueue = Promise.resolve();
         this.speakerId = 1;
         this.connectionType = 'WebSocket';
-        this.latency = 0;
-        this.sessionId = 'default';
+        // When the last interim result arrived, for the recognition stage
+        this.lastInterimAt = null;
+        // ?session=<id>&token=<join token> joins a host-created session
+        const params = new URLSearchParams(window.location.search);
+        this.sessionId = params.get('session') || 'default';
+        this.joinToken = params.get('token');
+        this.role = null;
         this.networkRetryCount = 0;
         this.pipWindow = null;
         this.pipVideo = null;
+        this.audioUplink = null;
+        this.serverStreamId = null;
         
         // Add audio context and analyzer for voice detection
         this.audioContext = null;
@@ -24,9 +54,19 @@ class SpeechTranslator {
         this.lastVoiceTimestamp = 0;
         this.voiceSensitivity = 0.65; // Higher sensitivity (lower threshold)
 
+        this.languageCatalogue = null;
+
         this.initializeElements();
+
+        // Web Speech finals are regrouped into sentences before translation
+        this.segmenter = new SentenceSegmenter({
+            language: this.sourceLanguage.value,
+            onSegment: (segment) => this.processFinalTranscript(segment.text, segment.id, segment.timing)
+        });
+
         this.initializeSpeechRecognition();
         this.bindEvents();
+        this.loadLanguageCatalogue();
         this.initializeNetworkListeners();
         this.initializePictureInPicture();
         this.updateStatus('Ready to start', 'ready');
@@ -56,11 +96,12 @@ class SpeechTranslator {
         this.statusText = document.getElementById('statusText');
         this.statusDot = document.querySelector('.status-dot');
         this.connectionTypeEl = document.getElementById('connectionType');
-        this.latencyEl = document.getElementById('latency');
+        this.latencyPanel = new LatencyPanel(document.getElementById('latencyPanel'));
 
         // Caption elements
         this.originalText = document.getElementById('originalText');
         this.translatedText = document.getElementById('translatedText');
+        this.detectedLanguageEl = document.getElementById('detectedLanguage');
         this.transcriptList = document.getElementById('transcriptList');
 
         // Settings
@@ -68,6 +109,11 @@ class SpeechTranslator {
         this.silenceDetection = document.getElementById('silenceDetection');
         this.speakerDiarization = document.getElementById('speakerDiarization');
         this.captionDelay = document.getElementById('captionDelay');
+        this.serverRecognition = document.getElementById('serverRecognition');
+        this.interimTranslation = document.getElementById('interimTranslation');
+        this.exportFormat = document.getElementById('exportFormat');
+        this.exportVariant = document.getElementById('exportVariant');
+        this.exportSpeakers = document.getElementById('exportSpeakers');
 
         // Overlay elements
         this.captionOverlay = document.getElementById('captionOverlay');
@@ -99,6 +145,8 @@ class SpeechTranslator {
         };
 
         this.recognition.onend = () => {
+            // Nothing follows a held fragment once recognition has stopped
+            this.segmenter.flush();
             this.isListening = false;
             this.updateStatus('Stopped listening', 'ready');
             this.startBtn.disabled = false;
@@ -152,13 +200,20 @@ class SpeechTranslator {
             if (this.recognition) {
                 this.recognition.lang = this.sourceLanguage.value;
             }
+            this.segmenter.flush();
+            this.segmenter.setLanguage(this.sourceLanguage.value);
+            this.renderTargetLanguages();
+            this.sendLanguageUpdate();
         });
 
+        this.targetLanguage.addEventListener('change', () => this.sendLanguageUpdate());
+
         // Settings change handlers
         this.punctuationToggle.addEventListener('change', () => this.updateSettings());
         this.silenceDetection.addEventListener('change', () => this.updateSettings());
         this.speakerDiarization.addEventListener('change', () => this.updateSettings());
         this.captionDelay.addEventListener('change', () => this.updateSettings());
+        this.interimTranslation.addEventListener('change', () => this.updateSettings());
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
@@ -195,6 +250,12 @@ class SpeechTranslator {
             if (this.speakerDiarization.checked) {
                 await this.initializeAudioAnalysis();
             }
+
+            // Stream audio to the server instead of using the Web Speech API
+            if (this.serverRecognition.checked) {
+                await this.startServerRecognition();
+                return;
+            }
             
             await this.recognition.start();
             this.updateConnectionInfo();
@@ -217,6 +278,11 @@ class SpeechTranslator {
     }
 
     stopListening() {
+        if (this.audioUplink) {
+            this.stopServerRecognition();
+            return;
+        }
+
         if (this.recognition) {
             try {
                 this.recognition.stop();
@@ -237,6 +303,115 @@ class SpeechTranslator {
         }
     }
     
+    async startServerRecognition() {
+        if (!this.socket || !this.socket.connected) {
+            this.updateStatus('Server recognition needs a WebSocket connection', 'error');
+            return;
+        }
+
+        this.audioUplink = new AudioUplink(this.socket);
+        try {
+            const format = await this.audioUplink.start({
+                sessionId: this.sessionId,
+                language: this.sourceLanguage.value
+            });
+            this.serverStreamId = format.streamId;
+
+            this.isListening = true;
+            this.updateStatus(`Listening (server, ${format.codec} ${format.sampleRate} Hz)...`, 'listening');
+            this.startBtn.disabled = true;
+            this.stopBtn.disabled = false;
+            this.statusDot.classList.add('listening');
+        } catch (error) {
+            console.error('Failed to start server recognition:', error);
+            await this.audioUplink.stop();
+            this.audioUplink = null;
+            this.updateStatus(`Server recognition failed: ${error.message}`, 'error');
+        }
+    }
+
+    async stopServerRecognition() {
+        const uplink = this.audioUplink;
+        this.audioUplink = null;
+        this.isListening = false;
+
+        if (this.audioContext) {
+            this.stopAudioAnalysis();
+        }
+
+        await uplink.stop();
+        this.updateStatus('Stopped listening', 'ready');
+        this.startBtn.disabled = false;
+        this.stopBtn.disabled = true;
+        this.statusDot.classList.remove('listening');
+    }
+
+    // Results for our own audio stream; finals can still arrive after we stop
+    handleServerRecognition(data) {
+        if (!data.streamId || data.streamId !== this.serverStreamId) return;
+
+        if (data.isFinal) {
+            this.processFinalTranscript(data.transcript, data.segmentId);
+        } else {
+            this.showInterimTranscript(data.transcript);
+        }
+    }
+
+    // Fill both language selects from the server's catalogue; the built-in
+    // options stay when the server cannot be reached
+    async loadLanguageCatalogue() {
+        try {
+            const response = await fetch(`${SERVER_URL}/api/translation/languages`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.languageCatalogue = await response.json();
+        } catch (error) {
+            console.warn('Language catalogue not available:', error);
+            return;
+        }
+
+        const before = `${this.sourceLanguage.value}|${this.targetLanguage.value}`;
+        const sources = this.languageCatalogue.recognition.map(item => ({ value: item.locale, label: item.name }));
+        if (sources.length) {
+            fillSelect(this.sourceLanguage, sources);
+        }
+        if (this.recognition) {
+            this.recognition.lang = this.sourceLanguage.value;
+        }
+        this.segmenter.setLanguage(this.sourceLanguage.value);
+        this.renderTargetLanguages();
+
+        if (`${this.sourceLanguage.value}|${this.targetLanguage.value}` !== before) {
+            this.sendLanguageUpdate();
+        }
+    }
+
+    // Only targets that an enabled provider can reach from the selected source
+    renderTargetLanguages() {
+        if (!this.languageCatalogue) return;
+
+        const source = this.sourceLanguage.value;
+        const listings = Object.values(this.languageCatalogue.providers);
+        const fromSource = listings.filter(listing => listingIncludes(listing.source, source));
+        const targets = this.languageCatalogue.languages
+            .filter(language => language.target &&
+                (!listings.length || fromSource.some(listing => listingIncludes(listing.target, language.code))))
+            .map(language => ({ value: language.code, label: language.name }));
+
+        if (targets.length) {
+            fillSelect(this.targetLanguage, targets);
+        }
+    }
+
+    // Let the server know which language we want other speakers translated into
+    sendLanguageUpdate() {
+        if (this.socket && this.socket.connected) {
+            sendRequest(this.socket, 'update-languages', {
+                sourceLanguage: this.sourceLanguage.value,
+                targetLanguage: this.targetLanguage.value
+            }).catch(error => console.error('Language update failed:', error));
+        }
+    }
+
     // Initialize audio analysis for speaker detection
     async initializeAudioAnalysis() {
         try {
@@ -454,22 +629,34 @@ class SpeechTranslator {
             }
         }
 
+        const now = performance.now();
         if (finalTranscript) {
-            this.processFinalTranscript(finalTranscript);
+            this.segmenter.push(finalTranscript, {
+                recognizedAt: now,
+                recognition: this.lastInterimAt === null ? null : now - this.lastInterimAt
+            });
+            this.lastInterimAt = null;
         }
 
         if (interimTranscript) {
+            this.lastInterimAt = now;
             this.showInterimTranscript(interimTranscript);
         }
     }
 
-    async processFinalTranscript(transcript) {
+    // `timing` is { recognizedAt, recognition } from handleSpeechResult; without
+    // it (server recognition, demo) stages are counted from here
+    async processFinalTranscript(transcript, segmentId = null, timing = null) {
         const startTime = performance.now();
+        const recognizedAt = timing ? timing.recognizedAt : startTime;
 
-        // Restore punctuation if enabled
+        // The final result replaces whatever interim translation is showing
+        this.cancelInterimTranslation();
+
+        // Restore punctuation and casing before translation if enabled
         let processedTranscript = transcript;
         if (this.punctuationToggle.checked) {
-            processedTranscript = this.restorePunctuation(transcript);
+            processedTranscript = restorePunctuation(transcript, this.sourceLanguage.value);
         }
 
         // Detect silences if enabled
@@ -482,103 +669,240 @@ class SpeechTranslator {
 
         // Translate the transcript
         try {
-            const translation = await this.translateText(processedTranscript);
+            // Captions are shown in speaking order, even when a later segment is answered first
+            const sentAt = performance.now();
+            let answeredAt = null;
+            const request = this.translateText(processedTranscript, segmentId)
+                .then(result => {
+                    answeredAt = performance.now();
+                    return result;
+                });
+            const ordered = this.captionQueue.then(() => request);
+            this.captionQueue = ordered.catch(() => {});
+
+            const result = await ordered;
+            const translation = result.translatedText;
+            const detectedLanguage = this.getDetectedLanguage(result);
+            this.originalText.textContent = processedTranscript;
             this.translatedText.textContent = translation;
+            this.translatedText.classList.remove('interim');
+            this.showDetectedLanguage(detectedLanguage);
 
             // Update overlay
-            this.updateOverlay(processedTranscript, translation);
+            const rendered = this.updateOverlay(processedTranscript, translation, result.segmentId || segmentId);
 
             // Emit caption overlay update to session so Electron overlay shows it
             if (this.socket && this.socket.connected && this.sessionId) {
-                this.socket.emit('caption-overlay', {
+                sendRequest(this.socket, 'caption-overlay', {
                     sessionId: this.sessionId,
                     originalText: processedTranscript,
                     translatedText: translation,
                     position: { x: 0.5, y: 0.9 }
-                });
+                }).catch(error => console.error('Caption overlay update failed:', error));
             }
 
             // Add to transcript history
-            this.addToTranscriptHistory(processedTranscript, translation);
+            this.addToTranscriptHistory(processedTranscript, translation, {
+                detectedLanguage,
+                segmentId: result.segmentId || segmentId
+            });
 
-            // Calculate and update latency
-            const endTime = performance.now();
-            this.latency = Math.round(endTime - startTime);
-            this.updateLatency();
+            // Time each stage once the caption is on screen
+            rendered.then(renderedAt => this.recordLatency(result, {
+                recognition: timing ? timing.recognition : null,
+                segmentation: sentAt - recognizedAt,
+                roundTrip: answeredAt - sentAt,
+                render: renderedAt - answeredAt,
+                total: renderedAt - recognizedAt
+            }));
 
         } catch (error) {
             console.error('Translation error:', error);
             this.translatedText.textContent = 'Translation failed';
+            this.translatedText.classList.remove('interim');
         }
 
         // Reset silence timer
         this.resetSilenceTimer();
     }
 
+    // The detected language, when it differs from the selected source language
+    getDetectedLanguage(result) {
+        const detected = result.detectedLanguage;
+        if (!detected) return null;
+
+        const selected = this.sourceLanguage.value;
+        const sameLanguage = selected && selected !== 'auto' &&
+            detected.split('-')[0].toLowerCase() === selected.split('-')[0].toLowerCase();
+        return sameLanguage ? null : detected;
+    }
+
+    getLanguageName(language) {
+        try {
+            return new Intl.DisplayNames([navigator.language], { type: 'language' }).of(language) || language;
+        } catch (error) {
+            return language;
+        }
+    }
+
+    showDetectedLanguage(language) {
+        this.detectedLanguageEl.hidden = !language;
+        this.detectedLanguageEl.textContent = language ? `Detected: ${this.getLanguageName(language)}` : '';
+    }
+
     showInterimTranscript(transcript) {
         this.originalText.textContent = transcript + '...';
-        this.translatedText.textContent = 'Processing...';
+
+        if (!this.canTranslateInterim()) {
+            this.translatedText.textContent = 'Processing...';
+            return;
+        }
+
+        const interim = this.interim;
+        interim.stableText = stablePrefix(interim.hypothesis, transcript);
+        interim.hypothesis = transcript;
+        // Until the first interim translation arrives
+        if (!interim.translation) {
+            this.translatedText.textContent = 'Processing...';
+        }
+        this.scheduleInterimTranslation();
     }
 
-    async translateText(text) {
-        // Use the server's translation service instead of hardcoded translations
-        try {
-            const targetLang = this.targetLanguage.value;
-            const sourceLang = this.sourceLanguage.value;
-
-            // Send translation request to server via WebSocket
-            if (this.socket && this.socket.connected) {
-                return new Promise((resolve, reject) => {
-                    const timeout = setTimeout(() => {
-                        reject(new Error('Translation timeout'));
-                    }, 10000); // 10 second timeout
-
-                    this.socket.emit('translate-request', {
-                        text: text,
-                        sourceLanguage: sourceLang,
-                        targetLanguage: targetLang,
-                        sessionId: this.sessionId
-                    });
+    canTranslateInterim() {
+        return this.interimTranslation.checked && this.role !== 'viewer' &&
+            !!this.socket && this.socket.connected;
+    }
 
-                    // Listen for translation response
-                    const handleTranslation = (data) => {
-                        clearTimeout(timeout);
-                        this.socket.off('translation-sent', handleTranslation);
-                        resolve(data.translatedText);
-                    };
+    scheduleInterimTranslation() {
+        const interim = this.interim;
+        if (interim.timer || interim.pending) return;
+        interim.timer = setTimeout(() => this.translateInterim(), INTERIM_TRANSLATION_DELAY);
+    }
 
-                    this.socket.on('translation-sent', handleTranslation);
-                });
-            } else {
-                // Fallback if WebSocket is not available
-                throw new Error('WebSocket connection not available');
+    // Translate the stable part of the current hypothesis. Words the translation
+    // already covers are not sent again, so the caption only changes when the
+    // recognizer has confirmed more words.
+    translateInterim() {
+        const interim = this.interim;
+        interim.timer = null;
+
+        const text = interim.stableText;
+        if (countWords(text) < INTERIM_MIN_WORDS || interim.sourceText.startsWith(text)) return;
+        if (!this.canTranslateInterim()) return;
+
+        interim.pending = true;
+        // A late preview is worthless, so there is no retry
+        sendRequest(this.socket, 'translate-interim', {
+            text,
+            sourceLanguage: this.sourceLanguage.value,
+            targetLanguage: this.targetLanguage.value,
+            sessionId: this.sessionId
+        }, { timeout: 3000, retries: 0 }).then(response => {
+            // The final result (or a cleared transcript) got here first
+            if (interim !== this.interim) return;
+            interim.sourceText = text;
+            interim.translation = response.translatedText;
+            this.showInterimTranslation(response.translatedText);
+        }).catch(() => {}).finally(() => {
+            if (interim !== this.interim) return;
+            interim.pending = false;
+            if (!interim.sourceText.startsWith(interim.stableText)) {
+                this.scheduleInterimTranslation();
             }
+        });
+    }
+
+    showInterimTranslation(translation) {
+        const caption = `${translation} …`;
+        this.translatedText.textContent = caption;
+        this.translatedText.classList.add('interim');
+        this.updateOverlay(`${this.interim.hypothesis}...`, caption, null, true);
+    }
+
+    // Forget the current hypothesis; answers still on their way are ignored
+    cancelInterimTranslation() {
+        clearTimeout(this.interim.timer);
+        this.interim = emptyInterim();
+    }
+
+    // Resolves to { segmentId, translatedText, detectedLanguage, provider, latency, cacheHit, timing },
+    // timing being the server's stage times in ms ({ translation, broadcast, server }).
+    // Answers come back in the order the segments were sent; on failure the
+    // original text is shown rather than nothing.
+    async translateText(text, segmentId = null) {
+        if (!this.socket || !this.socket.connected) {
+            console.error('Translation error: WebSocket connection not available');
+            return untranslated(text);
+        }
+
+        try {
+            return await sendRequest(this.socket, 'translate-request', {
+                text,
+                sourceLanguage: this.sourceLanguage.value,
+                targetLanguage: this.targetLanguage.value,
+                sessionId: this.sessionId,
+                segmentId: segmentId || undefined
+            });
         } catch (error) {
+            // Over quota: show the original text until translations resume
+            if (error.code === 'RATE_LIMITED') {
+                this.handleRateLimited(error.details);
+                return { ...untranslated(text), segmentId: error.details.segmentId };
+            }
             console.error('Translation error:', error);
-            // Return fallback message
-            return `[${this.targetLanguage.value.toUpperCase()}] ${text}`;
+            return untranslated(text);
         }
     }
 
-    restorePunctuation(text) {
-        // Simple punctuation restoration based on speech patterns
-        let processed = text.trim();
+    // Back-translation score of one of our segments (TRANSLATION_QUALITY_CHECK on the server)
+    handleTranslationQuality(data) {
+        const item = this.transcriptHistory.find(entry => entry.segmentId && entry.segmentId === data.segmentId);
+        if (!item) return;
+
+        item.quality = { score: data.score, backTranslation: data.backTranslation, lowQuality: data.lowQuality };
+        if (!data.lowQuality) return;
+
+        const element = this.transcriptList.querySelector(`[data-segment-id="${CSS.escape(data.segmentId)}"]`);
+        if (element) {
+            const flag = document.createElement('span');
+            flag.className = 'quality-flag';
+            flag.textContent = `Check translation (${Math.round(data.score * 100)}%)`;
+            flag.title = `Back-translation: ${data.backTranslation}`;
+            element.classList.add('low-quality');
+            element.querySelector('.transcript-header').appendChild(flag);
+        }
 
-        // Add period for statements
-        if (!processed.endsWith('.') && !processed.endsWith('!') && !processed.endsWith('?')) {
-            processed += '.';
+        if (this.overlaySegmentId === data.segmentId) {
+            this.overlayTranslated.classList.add('low-quality');
         }
+    }
 
-        // Capitalize first letter
-        processed = processed.charAt(0).toUpperCase() + processed.slice(1);
+    handleRateLimited(data) {
+        const retryAfter = data.retryAfter || 1;
+        this.updateStatus(`Translation limit reached, showing original text for ${retryAfter}s`, 'error');
+
+        clearTimeout(this.rateLimitTimer);
+        this.rateLimitTimer = setTimeout(() => {
+            this.updateStatus(this.isListening ? 'Listening...' : 'Ready to start', this.isListening ? 'listening' : 'ready');
+        }, retryAfter * 1000);
+    }
 
-        // Add question mark for question words
-        const questionWords = ['what', 'when', 'where', 'who', 'why', 'how'];
-        if (questionWords.some(word => processed.toLowerCase().includes(word))) {
-            processed = processed.replace(/\.$/, '?');
+    // Spending reached TRANSLATION_BUDGET_WARN_AT or the whole budget on the server
+    handleTranslationBudget(data) {
+        const scope = data.scope === 'session' ? 'Session' : 'Daily';
+        const spent = `${data.spent} of ${data.budget} ${data.currency}`;
+        let message = `${scope} translation budget nearly used: ${spent}`;
+        if (data.status === 'exceeded') {
+            message = data.action === 'stop'
+                ? `${scope} translation budget used up (${spent}), showing original text`
+                : `${scope} translation budget used up (${spent}), using free providers`;
         }
+        this.updateStatus(message, 'error');
 
-        return processed;
+        clearTimeout(this.rateLimitTimer);
+        this.rateLimitTimer = setTimeout(() => {
+            this.updateStatus(this.isListening ? 'Listening...' : 'Ready to start', this.isListening ? 'listening' : 'ready');
+        }, 10000);
     }
 
     detectSilence() {
@@ -599,9 +923,19 @@ class SpeechTranslator {
         }
     }
 
-    addToTranscriptHistory(original, translation) {
+    // Another participant's segment, translated into our target language
+    handleRemoteTranslation(data) {
+        const speaker = `Participant ${String(data.speakerId || '').slice(0, 4)}`.trim();
+        this.addToTranscriptHistory(data.originalText, data.translatedText, {
+            detectedLanguage: data.detectedLanguage,
+            speaker
+        });
+        this.updateOverlay(data.originalText, data.translatedText);
+    }
+
+    addToTranscriptHistory(original, translation, { detectedLanguage = null, segmentId = null, speaker = null } = {}) {
         const timestamp = new Date().toLocaleTimeString();
-        const speaker = this.speakerDiarization.checked ? `Speaker ${this.speakerId}` : 'User';
+        speaker = speaker || (this.speakerDiarization.checked ? `Speaker ${this.speakerId}` : 'User');
 
         const transcriptItem = {
             id: Date.now(),
@@ -609,6 +943,9 @@ class SpeechTranslator {
             speaker,
             original,
             translation,
+            detectedLanguage,
+            segmentId,
+            quality: null,
             timestamp_ms: Date.now()
         };
 
@@ -628,32 +965,59 @@ class SpeechTranslator {
     renderTranscriptItem(item) {
         const transcriptElement = document.createElement('div');
         transcriptElement.className = 'transcript-item fade-in';
+        if (item.segmentId) {
+            transcriptElement.dataset.segmentId = item.segmentId;
+        }
+        // Filled through textContent: other participants' speech ends up here
         transcriptElement.innerHTML = `
             <div class="transcript-header">
-                <span>${item.speaker} - ${item.timestamp}</span>
+                <span></span>
             </div>
             <div class="transcript-content">
-                <div class="transcript-original">${item.original}</div>
-                <div class="transcript-translation">${item.translation}</div>
+                <div class="transcript-original"></div>
+                <div class="transcript-translation"></div>
             </div>
         `;
+        transcriptElement.querySelector('.transcript-header span').textContent = `${item.speaker} - ${item.timestamp}`;
+        transcriptElement.querySelector('.transcript-original').textContent = item.original;
+        transcriptElement.querySelector('.transcript-translation').textContent = item.translation;
+
+        if (item.detectedLanguage) {
+            const badge = document.createElement('span');
+            badge.className = 'detected-language';
+            badge.textContent = `Detected: ${this.getLanguageName(item.detectedLanguage)}`;
+            transcriptElement.querySelector('.transcript-header').appendChild(badge);
+        }
 
         this.transcriptList.insertBefore(transcriptElement, this.transcriptList.firstChild);
     }
 
-    updateOverlay(original, translation) {
+    // Resolves to the performance.now() time the caption was painted
+    updateOverlay(original, translation, segmentId = null, interim = false) {
         const delay = parseInt(this.captionDelay.value);
+        let painted;
+        const rendered = new Promise(resolve => { painted = resolve; });
 
         setTimeout(() => {
             this.overlayOriginal.textContent = original;
             this.overlayTranslated.textContent = translation;
+
+            // The quality score may have arrived during the caption delay
+            const item = segmentId && this.transcriptHistory.find(entry => entry.segmentId === segmentId);
+            this.overlaySegmentId = segmentId;
+            this.overlayTranslated.classList.toggle('low-quality', !!(item && item.quality && item.quality.lowQuality));
+            this.overlayTranslated.classList.toggle('interim', interim);
             this.showOverlay();
             
             // Update PiP content if active
             if (this.pipVideo && document.pictureInPictureElement === this.pipVideo) {
                 this.updatePipContent(original, translation);
             }
+
+            // The frame after the next one starts once this one is painted
+            requestAnimationFrame(() => requestAnimationFrame(() => painted(performance.now())));
         }, delay);
+        return rendered;
     }
 
     showOverlay() {
@@ -686,11 +1050,38 @@ class SpeechTranslator {
 
     updateConnectionInfo() {
         this.connectionTypeEl.textContent = this.connectionType;
-        this.updateLatency();
     }
 
-    updateLatency() {
-        this.latencyEl.textContent = `Latency: ${this.latency} ms`;
+    // Show a segment's stage times and report them to the server's metrics.
+    // Translation and broadcast come from the server's `timing`; results that
+    // never reached the server only have the browser-side stages.
+    recordLatency(result, { recognition, segmentation, roundTrip, render, total }) {
+        const server = result.timing || null;
+        const stages = {
+            recognition,
+            segmentation,
+            network: server ? Math.max(0, roundTrip - server.server) : null,
+            translation: server ? server.translation : null,
+            broadcast: server ? server.broadcast : null,
+            render,
+            total
+        };
+        this.latencyPanel.record(stages);
+
+        if (!server || !this.socket || !this.socket.connected) return;
+        const reported = {};
+        ['recognition', 'segmentation', 'network', 'render'].forEach(stage => {
+            if (stages[stage] !== null) reported[stage] = Math.round(stages[stage]);
+        });
+        sendRequest(this.socket, 'latency-report', {
+            sessionId: this.sessionId,
+            segmentId: result.segmentId || undefined,
+            stages: reported,
+            total: Math.round(total),
+            provider: result.provider || undefined,
+            sourceLanguage: this.sourceLanguage.value,
+            targetLanguage: this.targetLanguage.value
+        }, { retries: 0 }).catch(() => {});
     }
 
     updateSettings() {
@@ -699,8 +1090,13 @@ class SpeechTranslator {
             punctuation: this.punctuationToggle.checked,
             silenceDetection: this.silenceDetection.checked,
             speakerDiarization: this.speakerDiarization.checked,
-            captionDelay: this.captionDelay.value
+            captionDelay: this.captionDelay.value,
+            interimTranslation: this.interimTranslation.checked
         });
+
+        if (!this.interimTranslation.checked) {
+            this.cancelInterimTranslation();
+        }
         
         // Handle speaker diarization toggle
         if (this.speakerDiarization.checked) {
@@ -730,10 +1126,14 @@ class SpeechTranslator {
     }
 
     clearTranscript() {
+        this.segmenter.clear();
+        this.cancelInterimTranslation();
         this.transcriptHistory = [];
         this.transcriptList.innerHTML = '';
         this.originalText.textContent = 'Start speaking to see live captions...';
         this.translatedText.textContent = 'Start speaking to see live captions...';
+        this.translatedText.classList.remove('interim');
+        this.showDetectedLanguage(null);
         this.hideOverlay();
     }
 
@@ -743,21 +1143,42 @@ class SpeechTranslator {
             return;
         }
 
-        const exportData = {
-            timestamp: new Date().toISOString(),
-            sourceLanguage: this.sourceLanguage.value,
-            targetLanguage: this.targetLanguage.value,
-            transcript: this.transcriptHistory
-        };
+        const format = this.exportFormat.value;
+        let content;
+
+        if (format === 'json') {
+            const exportData = {
+                timestamp: new Date().toISOString(),
+                sourceLanguage: this.sourceLanguage.value,
+                targetLanguage: this.targetLanguage.value,
+                transcript: this.transcriptHistory
+            };
+            content = JSON.stringify(exportData, null, 2);
+        } else {
+            // History is newest-first; exports run in speaking order
+            const segments = [...this.transcriptHistory].reverse().map(item => ({
+                id: item.segmentId,
+                timestamp: item.timestamp_ms,
+                speaker: item.speaker,
+                original: item.original,
+                translation: item.translation
+            }));
+            content = formatTranscript(segments, {
+                format,
+                variant: this.exportVariant.value,
+                speakers: this.exportSpeakers.checked,
+                title: `Transcript ${this.sessionId}`
+            });
+        }
 
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-            type: 'application/json'
+        const blob = new Blob([content], {
+            type: FORMATS[format].contentType
         });
 
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `transcript-${new Date().toISOString().slice(0, 19)}.json`;
+        a.download = `transcript-${new Date().toISOString().slice(0, 19)}.${FORMATS[format].extension}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -772,21 +1193,19 @@ class SpeechTranslator {
         this.updateStatus('Testing WebSocket connection...', 'listening');
 
         if (this.socket && this.socket.connected) {
-            // Send a test ping
-            this.socket.emit('ping', { timestamp: Date.now() });
-            this.updateStatus('WebSocket connected, sent ping', 'ready');
-
-            // Test translation request
-            this.socket.emit('translate-request', {
-                text: 'hello',
-                sourceLanguage: 'en',
-                targetLanguage: 'es',
-                sessionId: 'test-session'
-            });
-
-            setTimeout(() => {
-                this.updateStatus('WebSocket test completed', 'ready');
-            }, 2000);
+            // A ping is answered without touching the session, so the test is
+            // not recorded, broadcast or counted against the translation quota
+            const sentAt = Date.now();
+            sendRequest(this.socket, 'ping', { timestamp: sentAt }, { retries: 0 })
+                .then(() => {
+                    const roundTrip = Date.now() - sentAt;
+                    this.latencyPanel.showPing(roundTrip);
+                    this.updateStatus(`WebSocket test completed, ping ${roundTrip} ms`, 'ready');
+                })
+                .catch(error => {
+                    console.error('WebSocket test failed:', error);
+                    this.updateStatus(`WebSocket test failed: ${error.message}`, 'error');
+                });
         } else if (typeof io === 'undefined') {
             this.updateStatus('Socket.IO not loaded, check CDN connection', 'error');
             console.error('Socket.IO library not available. Please check your internet connection.');
@@ -996,7 +1415,7 @@ class SpeechTranslator {
         try {
             // Check if Socket.IO is available globally
             if (typeof io !== 'undefined') {
-                this.socket = io('http://localhost:3001', {
+                this.socket = io(SERVER_URL, {
                     transports: ['websocket', 'polling'],
                     timeout: 20000,
                     forceNew: true
@@ -1010,11 +1429,12 @@ class SpeechTranslator {
                     this.networkRetryCount = 0;
 
                     // Join session so other clients (overlay) receive room broadcasts
-                    this.socket.emit('join-session', {
+                    sendRequest(this.socket, 'join-session', {
                         sessionId: this.sessionId,
+                        token: this.joinToken || undefined,
                         sourceLanguage: this.sourceLanguage.value,
                         targetLanguage: this.targetLanguage.value
-                    });
+                    }).catch(error => this.updateStatus(`Could not join session: ${error.message}`, 'error'));
                 });
 
                 this.socket.on('disconnect', (reason) => {
@@ -1029,9 +1449,10 @@ class SpeechTranslator {
                     }
                 });
 
+                // Failures of requests sent without an acknowledgement, and stream errors
                 this.socket.on('error', (error) => {
                     console.error('WebSocket error:', error);
-                    this.updateStatus('WebSocket error', 'error');
+                    this.updateStatus(error && error.message ? `Error: ${error.message}` : 'WebSocket error', 'error');
                 });
 
                 this.socket.on('connect_error', (error) => {
@@ -1046,20 +1467,42 @@ class SpeechTranslator {
                     }
                 });
 
-                // Handle server events
-                this.socket.on('translation-ready', (data) => {
-                    console.log('Translation received:', data);
+                this.socket.on('session-joined', (data) => {
+                    this.role = data.role;
+                    if (this.role === 'viewer') {
+                        this.startBtn.disabled = true;
+                        this.updateStatus(`Joined ${data.sessionId} as a viewer`, 'ready');
+                    }
                 });
 
+                this.socket.on('kicked', () => {
+                    if (this.isListening) this.stopListening();
+                    this.startBtn.disabled = true;
+                    this.updateStatus('You were removed from the session by the host', 'error');
+                });
+
+                this.socket.on('participant-muted', (data) => {
+                    if (data.participantId !== this.socket.id) return;
+                    if (data.muted && this.isListening) this.stopListening();
+                    this.updateStatus(data.muted ? 'You have been muted by the host' : 'You can speak again', data.muted ? 'error' : 'ready');
+                });
+
+                // Handle server events
+                this.socket.on('translation-ready', (data) => this.handleRemoteTranslation(data));
+
+                this.socket.on('translation-quality', (data) => this.handleTranslationQuality(data));
+                this.socket.on('translation-budget', (data) => this.handleTranslationBudget(data));
+
                 this.socket.on('speech-processed', (data) => {
                     console.log('Speech processed:', data);
                 });
 
+                this.socket.on('speech-recognized', (data) => this.handleServerRecognition(data));
+
                 // Handle pong response
                 this.socket.on('pong', (data) => {
                     console.log('Pong received:', data);
-                    this.latency = Date.now() - data.timestamp;
-                    this.updateLatency();
+                    this.latencyPanel.showPing(Date.now() - data.timestamp);
                 });
 
             } else {
@@ -1077,6 +1520,46 @@ class SpeechTranslator {
     }
 }
 
+// Replace a select's options, keeping the selection or, failing that, another
+// variant of the same language
+function fillSelect(select, options) {
+    const previous = select.value;
+    const base = previous.split('-')[0];
+    select.replaceChildren(...options.map(({ value, label }) => new Option(label, value)));
+
+    const match = options.find(option => option.value === previous) ||
+        options.find(option => option.value.split('-')[0] === base) ||
+        options[0];
+    select.value = match.value;
+}
+
+// State of the utterance being recognized: the latest hypothesis, its stable
+// part, and the text the shown interim translation was made from
+function emptyInterim() {
+    return { hypothesis: '', stableText: '', sourceText: '', translation: null, timer: null, pending: false };
+}
+
+// The leading words two consecutive hypotheses agree on
+function stablePrefix(previous, current) {
+    const before = previous.match(WORD) || [];
+    let end = 0;
+    let index = 0;
+    for (const match of current.matchAll(WORD)) {
+        if (match[0] !== before[index++]) break;
+        end = match.index + match[0].length;
+    }
+    return current.slice(0, end).trim();
+}
+
+function countWords(text) {
+    return (text.match(WORD) || []).length;
+}
+
+// A translation result for text shown as-is
+function untranslated(text) {
+    return { translatedText: text, detectedLanguage: null, provider: null, latency: 0, cacheHit: false };
+}
+
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     const app = new SpeechTranslator();
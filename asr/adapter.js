@@ -0,0 +1,134 @@
+const { EventEmitter } = require('events');
+
+// A recognition stream accepts raw PCM16 (mono, little-endian) audio through
+// write() and emits:
+//   'result' - { transcript, isFinal, confidence, words, language }
+//   'error'  - Error
+//   'close'  - once the engine has flushed its last result
+// Word timings are { word, start, end, confidence } with start/end in seconds
+// from the beginning of the stream. write() returns false when the engine is
+// not keeping up; the stream emits 'drain' once it can take more audio.
+class RecognitionStream extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.language = options.language || 'en-US';
+        this.sampleRate = options.sampleRate || 16000;
+        this.bytesReceived = 0;
+        this.ended = false;
+        this.closed = false;
+    }
+
+    write(chunk) {
+        if (this.ended) {
+            throw new Error('Cannot write to an ended recognition stream');
+        }
+        if (!chunk || chunk.length === 0) return true;
+
+        this.bytesReceived += chunk.length;
+        return this.handleAudio(chunk) !== false;
+    }
+
+    end() {
+        if (this.ended) return;
+        this.ended = true;
+        this.handleEnd();
+    }
+
+    // Duration of the audio written so far, in seconds
+    getDuration() {
+        return this.bytesReceived / 2 / this.sampleRate;
+    }
+
+    emitResult(result) {
+        const words = result.words || [];
+        this.emit('result', {
+            transcript: (result.transcript || '').trim(),
+            isFinal: !!result.isFinal,
+            confidence: typeof result.confidence === 'number'
+                ? result.confidence
+                : averageConfidence(words),
+            words,
+            language: result.language || this.language
+        });
+    }
+
+    emitClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+
+    // Subclasses implement these
+    handleAudio(chunk) {
+        throw new Error('handleAudio() not implemented');
+    }
+
+    handleEnd() {
+        throw new Error('handleEnd() not implemented');
+    }
+}
+
+// Base class for speech recognition engines
+class RecognitionAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    isConfigured() {
+        return false;
+    }
+
+    createStream(options) {
+        throw new Error(`${this.name} adapter does not implement createStream()`);
+    }
+
+    // One-shot recognition of a complete utterance, built on top of a stream
+    recognize(audio, options = {}) {
+        return new Promise((resolve, reject) => {
+            const stream = this.createStream(options);
+            const finals = [];
+
+            stream.on('result', (result) => {
+                if (result.isFinal && result.transcript) {
+                    finals.push(result);
+                }
+            });
+            stream.on('error', reject);
+            stream.once('close', () => resolve(mergeResults(finals, stream.language)));
+
+            try {
+                stream.write(audio);
+                stream.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+}
+
+function averageConfidence(words) {
+    const scored = words.filter(word => typeof word.confidence === 'number');
+    if (scored.length === 0) return 0;
+    return scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length;
+}
+
+function mergeResults(results, language) {
+    const words = results.flatMap(result => result.words);
+    const confidence = results.length > 0
+        ? results.reduce((sum, result) => sum + result.confidence, 0) / results.length
+        : 0;
+
+    return {
+        transcript: results.map(result => result.transcript).join(' '),
+        confidence,
+        words,
+        language: results.length > 0 ? results[results.length - 1].language : language
+    };
+}
+
+module.exports = {
+    RecognitionStream,
+    RecognitionAdapter,
+    averageConfidence,
+    mergeResults
+};
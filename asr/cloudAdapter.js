@@ -0,0 +1,129 @@
+const { RecognitionAdapter, RecognitionStream } = require('./adapter');
+
+// Google limits one streaming request to about five minutes of audio, so a
+// longer stream is carried on by a new request a little before that
+const MAX_REQUEST_SECONDS = 290;
+
+// Google Cloud Speech-to-Text streaming recognition (gRPC). Audio is passed on
+// as it arrives and interim results come back while the speaker talks.
+class CloudRecognitionStream extends RecognitionStream {
+    constructor(adapter, options) {
+        super(options);
+        this.adapter = adapter;
+        this.request = null;
+        // Seconds of audio sent in earlier requests; word times count from the stream start
+        this.requestOffset = 0;
+        this.requestBytes = 0;
+        this.openRequests = 0;
+        this.failed = false;
+    }
+
+    openRequest() {
+        const offset = this.requestOffset;
+        const request = this.adapter.client.streamingRecognize({
+            config: {
+                encoding: 'LINEAR16',
+                sampleRateHertz: this.sampleRate,
+                languageCode: this.language,
+                model: this.adapter.model,
+                enableAutomaticPunctuation: true,
+                enableWordTimeOffsets: true,
+                enableWordConfidence: true
+            },
+            interimResults: true
+        });
+
+        this.openRequests++;
+        request.on('data', (response) => this.handleResponse(response, offset));
+        request.on('drain', () => this.emit('drain'));
+        request.on('error', (error) => {
+            if (this.failed) return;
+            this.failed = true;
+            this.emit('error', error);
+            this.emitClose();
+        });
+        request.on('end', () => {
+            this.openRequests--;
+            if (this.ended && this.openRequests === 0) this.emitClose();
+        });
+
+        this.request = request;
+        this.requestBytes = 0;
+    }
+
+    handleAudio(chunk) {
+        if (this.failed) return true;
+
+        if (this.request && this.requestBytes / 2 / this.sampleRate >= MAX_REQUEST_SECONDS) {
+            this.requestOffset += this.requestBytes / 2 / this.sampleRate;
+            this.request.end();
+            this.request = null;
+        }
+        if (!this.request) this.openRequest();
+
+        this.requestBytes += chunk.length;
+        return this.request.write(chunk);
+    }
+
+    handleEnd() {
+        if (this.request) {
+            this.request.end();
+        } else if (this.openRequests === 0) {
+            setImmediate(() => this.emitClose());
+        }
+    }
+
+    handleResponse(response, offset) {
+        (response.results || [])
+            .filter(result => result.alternatives && result.alternatives.length > 0)
+            .forEach(result => {
+                const best = result.alternatives[0];
+                this.emitResult({
+                    transcript: best.transcript,
+                    isFinal: !!result.isFinal,
+                    // Interim results carry no confidence of their own
+                    confidence: result.isFinal ? best.confidence : undefined,
+                    words: (best.words || []).map(word => ({
+                        word: word.word,
+                        start: offset + parseDuration(word.startTime),
+                        end: offset + parseDuration(word.endTime),
+                        confidence: word.confidence
+                    })),
+                    language: result.languageCode || this.language
+                });
+            });
+    }
+}
+
+class CloudRecognitionAdapter extends RecognitionAdapter {
+    constructor(options = {}) {
+        super('cloud');
+        this.apiKey = options.apiKey || process.env.GOOGLE_SPEECH_API_KEY;
+        this.model = options.model || process.env.GOOGLE_SPEECH_MODEL || 'latest_long';
+        this.client = null;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    createStream(options) {
+        if (!this.isConfigured()) {
+            throw new Error('Google Speech API key not configured');
+        }
+        // The gRPC client is only loaded once the engine is used
+        if (!this.client) {
+            const { SpeechClient } = require('@google-cloud/speech');
+            this.client = new SpeechClient({ apiKey: this.apiKey });
+        }
+        return new CloudRecognitionStream(this, options);
+    }
+}
+
+// Durations come back as { seconds, nanos }, with seconds possibly a string or Long
+function parseDuration(value) {
+    if (!value) return 0;
+    return Number(value.seconds || 0) + (value.nanos || 0) / 1e9;
+}
+
+module.exports = CloudRecognitionAdapter;
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { RecognitionAdapter, RecognitionStream } = require('./adapter');
+const { parseWav } = require('./wav');
+
+// Deterministic engine for development and tests. Each fixture is a 16-bit PCM
+// WAV file with a JSON sidecar of the same name holding the expected result:
+//   greeting.wav
+//   greeting.json  { "transcript": "hello world", "confidence": 0.93, "words": [...] }
+// Audio that matches a fixture's PCM data byte-for-byte gets that fixture's
+// result; anything else gets the fixtures in alphabetical order, round-robin.
+class FixtureRecognitionStream extends RecognitionStream {
+    constructor(adapter, options) {
+        super(options);
+        this.adapter = adapter;
+        this.hash = crypto.createHash('sha1');
+    }
+
+    handleAudio(chunk) {
+        this.hash.update(chunk);
+    }
+
+    handleEnd() {
+        const fixture = this.adapter.selectFixture(this.hash.digest('hex'));
+
+        setImmediate(() => {
+            if (fixture) {
+                // Replay the words as growing partials, then the final result
+                for (let i = 1; i < fixture.words.length; i++) {
+                    this.emitResult({
+                        transcript: fixture.words.slice(0, i).map(word => word.word).join(' '),
+                        isFinal: false
+                    });
+                }
+                this.emitResult({
+                    transcript: fixture.transcript,
+                    isFinal: true,
+                    confidence: fixture.confidence,
+                    words: fixture.words,
+                    language: fixture.language || this.language
+                });
+            }
+            this.emitClose();
+        });
+    }
+}
+
+class FixtureRecognitionAdapter extends RecognitionAdapter {
+    constructor(options = {}) {
+        super('fixture');
+        this.directory = options.directory || process.env.ASR_FIXTURE_DIR;
+        this.fixtures = null;
+        this.nextIndex = 0;
+    }
+
+    isConfigured() {
+        return !!this.directory && fs.existsSync(this.directory);
+    }
+
+    createStream(options) {
+        if (!this.isConfigured()) {
+            throw new Error('Fixture directory not configured');
+        }
+        return new FixtureRecognitionStream(this, options);
+    }
+
+    loadFixtures() {
+        if (this.fixtures) return this.fixtures;
+
+        this.fixtures = fs.readdirSync(this.directory)
+            .filter(file => file.toLowerCase().endsWith('.wav'))
+            .sort()
+            .map(file => this.loadFixture(file));
+
+        return this.fixtures;
+    }
+
+    loadFixture(file) {
+        const name = path.basename(file, path.extname(file));
+        const wav = parseWav(fs.readFileSync(path.join(this.directory, file)));
+        const expected = JSON.parse(fs.readFileSync(path.join(this.directory, `${name}.json`), 'utf8'));
+
+        return {
+            name,
+            hash: crypto.createHash('sha1').update(wav.data).digest('hex'),
+            audio: wav.data,
+            sampleRate: wav.sampleRate,
+            duration: wav.duration,
+            transcript: expected.transcript,
+            confidence: expected.confidence ?? 1,
+            language: expected.language,
+            words: expected.words || spreadWords(expected.transcript, wav.duration)
+        };
+    }
+
+    selectFixture(hash) {
+        const fixtures = this.loadFixtures();
+        if (fixtures.length === 0) return null;
+
+        const match = fixtures.find(fixture => fixture.hash === hash);
+        if (match) return match;
+
+        const fixture = fixtures[this.nextIndex % fixtures.length];
+        this.nextIndex++;
+        return fixture;
+    }
+
+    // PCM data of a fixture, for feeding it back through the audio uplink
+    getFixtureAudio(name) {
+        const fixture = this.loadFixtures().find(item => item.name === name);
+        return fixture ? { audio: fixture.audio, sampleRate: fixture.sampleRate } : null;
+    }
+}
+
+// Evenly distribute word timings over the clip when the sidecar has none
+function spreadWords(transcript, duration) {
+    const words = (transcript || '').split(/\s+/).filter(Boolean);
+    const step = words.length > 0 ? duration / words.length : 0;
+
+    return words.map((word, index) => ({
+        word,
+        start: Number((index * step).toFixed(3)),
+        end: Number(((index + 1) * step).toFixed(3)),
+        confidence: 1
+    }));
+}
+
+module.exports = FixtureRecognitionAdapter;
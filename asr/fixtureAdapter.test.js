@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FixtureRecognitionAdapter = require('./fixtureAdapter');
+
+// 16-bit mono PCM WAV around the given samples
+function createWav(samples, sampleRate = 16000) {
+    const data = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, index) => data.writeInt16LE(sample, index * 2));
+
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(data.length, 40);
+    return Buffer.concat([header, data]);
+}
+
+// A fixture directory with two clips, removed after the test
+function createFixtures(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'asr-fixtures-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    fs.writeFileSync(path.join(directory, 'a-greeting.wav'), createWav(new Array(16000).fill(100)));
+    fs.writeFileSync(path.join(directory, 'a-greeting.json'), JSON.stringify({ transcript: 'hello world', confidence: 0.9 }));
+    fs.writeFileSync(path.join(directory, 'b-farewell.wav'), createWav(new Array(8000).fill(-100)));
+    fs.writeFileSync(path.join(directory, 'b-farewell.json'), JSON.stringify({
+        transcript: 'adiós',
+        language: 'es-ES',
+        words: [{ word: 'adiós', start: 0, end: 0.5, confidence: 0.8 }]
+    }));
+    return directory;
+}
+
+// Write the audio, end the stream and collect everything it emits
+function recognize(adapter, audio, options = {}) {
+    const stream = adapter.createStream(options);
+    const results = [];
+    stream.on('result', result => results.push(result));
+    return new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.on('close', () => resolve(results));
+        stream.write(audio);
+        stream.end();
+    });
+}
+
+test('returns the fixture whose audio matches, with growing partials first', async (t) => {
+    const adapter = new FixtureRecognitionAdapter({ directory: createFixtures(t) });
+    const { audio } = adapter.getFixtureAudio('a-greeting');
+
+    const results = await recognize(adapter, audio, { language: 'en-US' });
+    assert.deepStrictEqual(results.map(result => [result.transcript, result.isFinal]), [
+        ['hello', false],
+        ['hello world', true]
+    ]);
+
+    const final = results[1];
+    assert.strictEqual(final.confidence, 0.9);
+    assert.strictEqual(final.language, 'en-US');
+    // Without timings in the sidecar the words are spread over the one-second clip
+    assert.deepStrictEqual(final.words, [
+        { word: 'hello', start: 0, end: 0.5, confidence: 1 },
+        { word: 'world', start: 0.5, end: 1, confidence: 1 }
+    ]);
+});
+
+test('uses the sidecar language and word timings when present', async (t) => {
+    const adapter = new FixtureRecognitionAdapter({ directory: createFixtures(t) });
+    const { audio, sampleRate } = adapter.getFixtureAudio('b-farewell');
+    assert.strictEqual(sampleRate, 16000);
+
+    const results = await recognize(adapter, audio, { language: 'en-US' });
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].transcript, 'adiós');
+    assert.strictEqual(results[0].language, 'es-ES');
+    assert.strictEqual(results[0].confidence, 1);
+    assert.deepStrictEqual(results[0].words, [{ word: 'adiós', start: 0, end: 0.5, confidence: 0.8 }]);
+});
+
+test('hands out the fixtures round-robin for unknown audio', async (t) => {
+    const adapter = new FixtureRecognitionAdapter({ directory: createFixtures(t) });
+    const unknown = Buffer.alloc(320, 1);
+
+    const transcripts = [];
+    for (let i = 0; i < 3; i++) {
+        const results = await recognize(adapter, unknown);
+        transcripts.push(results[results.length - 1].transcript);
+    }
+    assert.deepStrictEqual(transcripts, ['hello world', 'adiós', 'hello world']);
+});
+
+test('closes without results when the directory has no fixtures', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'asr-fixtures-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const adapter = new FixtureRecognitionAdapter({ directory });
+
+    assert.deepStrictEqual(await recognize(adapter, Buffer.alloc(320)), []);
+    assert.strictEqual(adapter.getFixtureAudio('missing'), null);
+});
+
+test('refuses to create a stream without a fixture directory', () => {
+    const adapter = new FixtureRecognitionAdapter({ directory: path.join(os.tmpdir(), 'no-such-asr-fixtures') });
+    assert.strictEqual(adapter.isConfigured(), false);
+    assert.throws(() => adapter.createStream({}), /not configured/);
+});
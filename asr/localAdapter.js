@@ -0,0 +1,108 @@
+const { spawn } = require('child_process');
+const { RecognitionAdapter, RecognitionStream } = require('./adapter');
+
+// Runs a local recognizer (a Vosk script or a whisper.cpp wrapper) as a child
+// process. Raw PCM16 audio is piped to stdin and the process answers with one
+// JSON object per line on stdout, using Vosk's result format:
+//   {"partial": "hello wor"}
+//   {"text": "hello world", "result": [{"word": "hello", "start": 0.1, "end": 0.4, "conf": 0.98}, ...]}
+class LocalRecognitionStream extends RecognitionStream {
+    constructor(adapter, options) {
+        super(options);
+        this.buffered = '';
+
+        const args = adapter.args.map(arg => arg
+            .replace('{language}', this.language)
+            .replace('{sampleRate}', String(this.sampleRate)));
+
+        this.child = spawn(adapter.command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+
+        this.child.stdout.setEncoding('utf8');
+        this.child.stdout.on('data', (data) => this.handleOutput(data));
+        this.child.stderr.on('data', (data) => {
+            if (adapter.debug) console.log(`[asr:local] ${data}`);
+        });
+        // Writes after the recognizer exits would otherwise crash the server
+        this.child.stdin.on('error', (error) => this.emit('error', error));
+        this.child.stdin.on('drain', () => this.emit('drain'));
+        this.child.on('error', (error) => {
+            this.emit('error', error);
+            this.emitClose();
+        });
+        this.child.on('close', (code) => {
+            this.handleOutput('\n');
+            if (code !== 0 && code !== null) {
+                this.emit('error', new Error(`Local recognizer exited with code ${code}`));
+            }
+            this.emitClose();
+        });
+    }
+
+    handleAudio(chunk) {
+        return this.child.stdin.write(chunk);
+    }
+
+    handleEnd() {
+        this.child.stdin.end();
+    }
+
+    handleOutput(data) {
+        this.buffered += data;
+        const lines = this.buffered.split('\n');
+        this.buffered = lines.pop();
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (error) {
+                continue; // Ignore log lines the recognizer prints to stdout
+            }
+
+            if (typeof message.partial === 'string') {
+                if (message.partial) {
+                    this.emitResult({ transcript: message.partial, isFinal: false });
+                }
+            } else if (typeof message.text === 'string' && message.text) {
+                this.emitResult({
+                    transcript: message.text,
+                    isFinal: true,
+                    words: (message.result || []).map(word => ({
+                        word: word.word,
+                        start: word.start,
+                        end: word.end,
+                        confidence: word.conf
+                    }))
+                });
+            }
+        }
+    }
+}
+
+class LocalRecognitionAdapter extends RecognitionAdapter {
+    constructor(options = {}) {
+        super('local');
+        this.command = options.command || process.env.ASR_LOCAL_COMMAND;
+        this.args = options.args || splitArgs(process.env.ASR_LOCAL_ARGS || '');
+        this.debug = options.debug || process.env.ASR_LOCAL_DEBUG === 'true';
+    }
+
+    isConfigured() {
+        return !!this.command;
+    }
+
+    createStream(options) {
+        if (!this.isConfigured()) {
+            throw new Error('Local recognizer command not configured');
+        }
+        return new LocalRecognitionStream(this, options);
+    }
+}
+
+function splitArgs(value) {
+    return value.split(' ').filter(Boolean);
+}
+
+module.exports = LocalRecognitionAdapter;
@@ -0,0 +1,55 @@
+// Minimal RIFF/WAVE reader for PCM files
+
+function isWav(buffer) {
+    return Buffer.isBuffer(buffer) &&
+        buffer.length >= 12 &&
+        buffer.toString('ascii', 0, 4) === 'RIFF' &&
+        buffer.toString('ascii', 8, 12) === 'WAVE';
+}
+
+function parseWav(buffer) {
+    if (!isWav(buffer)) {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let data = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const chunkStart = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            format = {
+                audioFormat: buffer.readUInt16LE(chunkStart),
+                channels: buffer.readUInt16LE(chunkStart + 2),
+                sampleRate: buffer.readUInt32LE(chunkStart + 4),
+                bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+            };
+        } else if (chunkId === 'data') {
+            data = buffer.subarray(chunkStart, Math.min(chunkStart + chunkSize, buffer.length));
+        }
+
+        // Chunks are padded to an even number of bytes
+        offset = chunkStart + chunkSize + (chunkSize % 2);
+    }
+
+    if (!format || !data) {
+        throw new Error('WAV file is missing its fmt or data chunk');
+    }
+    if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+        throw new Error('Only 16-bit PCM WAV files are supported');
+    }
+
+    return {
+        sampleRate: format.sampleRate,
+        channels: format.channels,
+        bitsPerSample: format.bitsPerSample,
+        duration: data.length / (format.channels * 2) / format.sampleRate,
+        data
+    };
+}
+
+module.exports = { isWav, parseWav };
@@ -0,0 +1,233 @@
+const { EventEmitter } = require('events');
+
+// Audio uplink protocol
+//
+//   client -> audio-start { requestId, sessionId, language, codecs: ['opus', 'pcm16'], sampleRate }
+//   server -> (ack)       { ok, requestId, streamId, codec, sampleRate, frameDuration, window }
+//                         (a request, see socketProtocol.js)
+//   client -> audio-frame { streamId, seq, audio: <binary> }
+//   server -> audio-ack   { streamId, ack, missing: [seq], window }
+//   server -> audio-gap   { streamId, from, to }  frames given up on
+//   client -> audio-stop  { streamId }
+//
+// Frames are numbered from 0. `ack` is the highest sequence number received
+// without gaps and `window` is how many more unacknowledged frames the client
+// may send. A window of 0 means the recognizer is falling behind and the
+// client should hold frames until the next ack opens it again.
+
+const SUPPORTED_SAMPLE_RATES = [8000, 16000, 24000, 48000];
+const DEFAULT_SAMPLE_RATE = 16000;
+const FRAME_DURATION_MS = 20;
+const DEFAULT_WINDOW = 50;
+const MAX_FRAME_BYTES = 64 * 1024;
+const GAP_TIMEOUT_MS = 300;
+const ACK_EVERY = 10;
+
+// Opus decoding needs the optional opusscript package
+let OpusScript = null;
+try {
+    OpusScript = require('opusscript');
+} catch (error) {
+    OpusScript = null;
+}
+
+function getSupportedCodecs() {
+    return OpusScript ? ['opus', 'pcm16'] : ['pcm16'];
+}
+
+// Pick the first codec the client offers that we can decode, and the closest
+// sample rate we support
+function negotiateAudioFormat(request = {}) {
+    const offered = Array.isArray(request.codecs) ? request.codecs : [request.codec || 'pcm16'];
+    const codec = offered.find(name => getSupportedCodecs().includes(name));
+    if (!codec) {
+        return null;
+    }
+
+    const requestedRate = Number(request.sampleRate) || DEFAULT_SAMPLE_RATE;
+    const sampleRate = SUPPORTED_SAMPLE_RATES.reduce((best, rate) =>
+        Math.abs(rate - requestedRate) < Math.abs(best - requestedRate) ? rate : best);
+
+    return {
+        codec,
+        sampleRate,
+        channels: 1,
+        frameDuration: FRAME_DURATION_MS,
+        window: DEFAULT_WINDOW
+    };
+}
+
+// Reorders numbered frames from one speaker into a continuous PCM16 stream.
+// Emits:
+//   'audio' - Buffer of PCM16 in sequence order
+//   'ack'   - acknowledgement payload for the client
+//   'gap'   - { from, to } frames that never arrived and were skipped
+class AudioStreamAssembler extends EventEmitter {
+    constructor(streamId, format) {
+        super();
+        this.streamId = streamId;
+        this.format = format;
+        this.nextSeq = 0;
+        this.pending = new Map();
+        this.sinceLastAck = 0;
+        this.paused = false;
+        this.gapTimer = null;
+        this.framesReceived = 0;
+        this.framesLost = 0;
+        this.decoder = format.codec === 'opus'
+            ? new OpusScript(format.sampleRate, 1, OpusScript.Application.VOIP)
+            : null;
+    }
+
+    push(seq, frame) {
+        if (!Number.isInteger(seq) || seq < 0) {
+            throw new Error('Frame sequence number must be a non-negative integer');
+        }
+        if (!frame || frame.length === 0 || frame.length > MAX_FRAME_BYTES) {
+            throw new Error(`Frame size must be between 1 and ${MAX_FRAME_BYTES} bytes`);
+        }
+
+        this.framesReceived++;
+
+        // Duplicate of a frame we already delivered (a retransmit that crossed an ack)
+        if (seq < this.nextSeq || this.pending.has(seq)) {
+            this.sendAck();
+            return;
+        }
+
+        // Beyond the window we advertised; the client will resend after the next ack
+        if (seq >= this.nextSeq + this.format.window) {
+            this.sendAck();
+            return;
+        }
+
+        this.pending.set(seq, frame);
+        this.drain();
+
+        if (this.pending.size > 0) {
+            this.startGapTimer();
+            this.sendAck();
+        } else if (++this.sinceLastAck >= ACK_EVERY) {
+            this.sendAck();
+        }
+    }
+
+    drain() {
+        while (this.pending.has(this.nextSeq)) {
+            const frame = this.pending.get(this.nextSeq);
+            this.pending.delete(this.nextSeq);
+            this.nextSeq++;
+            this.emit('audio', this.decode(frame));
+        }
+
+        if (this.pending.size === 0) {
+            this.clearGapTimer();
+        }
+    }
+
+    decode(frame) {
+        if (!this.decoder) return frame;
+        return Buffer.from(this.decoder.decode(frame));
+    }
+
+    startGapTimer() {
+        if (this.gapTimer) return;
+
+        this.gapTimer = setTimeout(() => {
+            this.gapTimer = null;
+            this.skipGap();
+        }, GAP_TIMEOUT_MS);
+    }
+
+    clearGapTimer() {
+        if (this.gapTimer) {
+            clearTimeout(this.gapTimer);
+            this.gapTimer = null;
+        }
+    }
+
+    // Give up on the frames missing before the earliest buffered one and fill
+    // them with silence so word timings stay aligned with the speaker
+    skipGap() {
+        if (this.pending.size === 0) return;
+
+        const from = this.nextSeq;
+        const to = Math.min(...this.pending.keys()) - 1;
+        const samplesPerFrame = this.format.sampleRate * this.format.frameDuration / 1000;
+
+        for (let seq = from; seq <= to; seq++) {
+            this.emit('audio', Buffer.alloc(samplesPerFrame * 2));
+        }
+
+        this.framesLost += to - from + 1;
+        this.nextSeq = to + 1;
+        this.emit('gap', { streamId: this.streamId, from, to });
+        this.drain();
+        this.sendAck();
+
+        if (this.pending.size > 0) {
+            this.startGapTimer();
+        }
+    }
+
+    setPaused(paused) {
+        if (this.paused === paused) return;
+        this.paused = paused;
+        this.sendAck();
+    }
+
+    getMissing() {
+        if (this.pending.size === 0) return [];
+
+        const missing = [];
+        const highest = Math.max(...this.pending.keys());
+        for (let seq = this.nextSeq; seq < highest; seq++) {
+            if (!this.pending.has(seq)) missing.push(seq);
+        }
+        return missing;
+    }
+
+    sendAck() {
+        this.sinceLastAck = 0;
+        this.emit('ack', {
+            streamId: this.streamId,
+            ack: this.nextSeq - 1,
+            missing: this.getMissing(),
+            window: this.paused ? 0 : this.format.window - this.pending.size
+        });
+    }
+
+    close() {
+        this.clearGapTimer();
+        // Deliver whatever is left, in order, skipping holes
+        const remaining = Array.from(this.pending.keys()).sort((a, b) => a - b);
+        remaining.forEach(seq => this.emit('audio', this.decode(this.pending.get(seq))));
+        this.pending.clear();
+
+        if (this.decoder) {
+            this.decoder.delete();
+            this.decoder = null;
+        }
+        this.removeAllListeners();
+    }
+
+    getStats() {
+        return {
+            streamId: this.streamId,
+            codec: this.format.codec,
+            sampleRate: this.format.sampleRate,
+            framesReceived: this.framesReceived,
+            framesLost: this.framesLost,
+            nextSeq: this.nextSeq,
+            pending: this.pending.size,
+            paused: this.paused
+        };
+    }
+}
+
+module.exports = {
+    AudioStreamAssembler,
+    negotiateAudioFormat,
+    getSupportedCodecs,
+    SUPPORTED_SAMPLE_RATES
+};
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AudioStreamAssembler, negotiateAudioFormat } = require('./audioStream');
+
+const FORMAT = { codec: 'pcm16', sampleRate: 16000, frameDuration: 20, window: 8 };
+
+// An assembler recording the audio, acks and gaps it emits; frame n is n + 1 repeated
+function createAssembler() {
+    const assembler = new AudioStreamAssembler('s1', FORMAT);
+    const audio = [];
+    const acks = [];
+    const gaps = [];
+    assembler.on('audio', (buffer) => audio.push(buffer));
+    assembler.on('ack', (ack) => acks.push(ack));
+    assembler.on('gap', (gap) => gaps.push(gap));
+    return { assembler, audio, acks, gaps };
+}
+
+function frame(seq) {
+    return Buffer.alloc(4, seq + 1);
+}
+
+function frameNumbers(audio) {
+    return audio.map(buffer => buffer[0] - 1);
+}
+
+test('delivers frames that arrive in order straight away', () => {
+    const { assembler, audio } = createAssembler();
+
+    [0, 1, 2].forEach(seq => assembler.push(seq, frame(seq)));
+    assert.deepStrictEqual(frameNumbers(audio), [0, 1, 2]);
+    assembler.close();
+});
+
+test('holds out-of-order frames until the missing one arrives', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { assembler, audio, acks } = createAssembler();
+
+    assembler.push(0, frame(0));
+    assembler.push(2, frame(2));
+    assembler.push(3, frame(3));
+    assert.deepStrictEqual(frameNumbers(audio), [0]);
+    assert.deepStrictEqual(acks[acks.length - 1], { streamId: 's1', ack: 0, missing: [1], window: 6 });
+
+    assembler.push(1, frame(1));
+    assert.deepStrictEqual(frameNumbers(audio), [0, 1, 2, 3]);
+    assembler.close();
+});
+
+test('drops duplicates and acknowledges again', () => {
+    const { assembler, audio, acks } = createAssembler();
+
+    assembler.push(0, frame(0));
+    assembler.push(0, frame(0));
+    assembler.push(2, frame(2));
+    assembler.push(2, frame(2));
+    assembler.push(1, frame(1));
+    assert.deepStrictEqual(frameNumbers(audio), [0, 1, 2]);
+    assert.strictEqual(acks[1].ack, 0);
+    assembler.close();
+});
+
+test('fills frames that never arrive with silence after the gap timeout', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { assembler, audio, gaps, acks } = createAssembler();
+
+    assembler.push(0, frame(0));
+    assembler.push(3, frame(3));
+    t.mock.timers.tick(299);
+    assert.strictEqual(audio.length, 1);
+
+    t.mock.timers.tick(1);
+    assert.deepStrictEqual(gaps, [{ streamId: 's1', from: 1, to: 2 }]);
+    // 20 ms of 16 kHz PCM16 per lost frame, then the held frame
+    assert.deepStrictEqual(audio.slice(1, 3).map(buffer => buffer.length), [640, 640]);
+    assert.ok(audio.slice(1, 3).every(buffer => buffer.every(byte => byte === 0)));
+    assert.deepStrictEqual(frameNumbers(audio.slice(3)), [3]);
+    assert.strictEqual(acks[acks.length - 1].ack, 3);
+    assert.strictEqual(assembler.getStats().framesLost, 2);
+    assembler.close();
+});
+
+test('ignores frames beyond the window and closes it while paused', () => {
+    const { assembler, audio, acks } = createAssembler();
+
+    assembler.push(8, frame(8));
+    assert.deepStrictEqual(audio, []);
+    assert.deepStrictEqual(acks[0], { streamId: 's1', ack: -1, missing: [], window: 8 });
+
+    assembler.setPaused(true);
+    assert.strictEqual(acks[1].window, 0);
+    assembler.close();
+});
+
+test('rejects malformed frames', () => {
+    const { assembler } = createAssembler();
+
+    assert.throws(() => assembler.push(-1, frame(0)), /non-negative integer/);
+    assert.throws(() => assembler.push(1.5, frame(0)), /non-negative integer/);
+    assert.throws(() => assembler.push(0, Buffer.alloc(0)), /Frame size/);
+    assembler.close();
+});
+
+test('close delivers the held frames in order, skipping holes', () => {
+    const { assembler, audio } = createAssembler();
+
+    assembler.push(4, frame(4));
+    assembler.push(2, frame(2));
+    assembler.close();
+    assert.deepStrictEqual(frameNumbers(audio), [2, 4]);
+});
+
+test('negotiates pcm16 and the closest supported sample rate', () => {
+    assert.deepStrictEqual(negotiateAudioFormat({ codecs: ['pcm16'], sampleRate: 44100 }), {
+        codec: 'pcm16', sampleRate: 48000, channels: 1, frameDuration: 20, window: 50
+    });
+    assert.strictEqual(negotiateAudioFormat({ codecs: ['flac'] }), null);
+});
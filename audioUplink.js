@@ -0,0 +1,210 @@
+// Streams microphone audio to the server as numbered binary frames so that
+// recognition can run server-side instead of in the Web Speech API.
+// The protocol is described at the top of audioStream.js.
+import { sendRequest } from './requestClient.js';
+
+export default class AudioUplink {
+    constructor(socket) {
+        this.socket = socket;
+        this.streamId = null;
+        this.format = null;
+        this.seq = 0;
+        this.window = 0;
+        this.unacked = new Map();
+        this.backlog = [];
+
+        this.mediaStream = null;
+        this.audioContext = null;
+        this.processor = null;
+        this.encoder = null;
+        this.samples = [];
+
+        this.handleAck = (ack) => this.onAck(ack);
+        this.handleGap = (gap) => {
+            if (gap.streamId === this.streamId) {
+                console.warn(`Audio frames ${gap.from}-${gap.to} were lost`);
+            }
+        };
+    }
+
+    static getPreferredCodecs() {
+        // Opus needs WebCodecs; raw PCM works everywhere
+        return 'AudioEncoder' in window ? ['opus', 'pcm16'] : ['pcm16'];
+    }
+
+    async start({ sessionId, language, sampleRate = 16000 }) {
+        this.format = await sendRequest(this.socket, 'audio-start', {
+            sessionId,
+            language,
+            sampleRate,
+            codecs: AudioUplink.getPreferredCodecs()
+        }, { timeout: 5000 });
+
+        this.streamId = this.format.streamId;
+        this.window = this.format.window;
+        this.seq = 0;
+        this.socket.on('audio-ack', this.handleAck);
+        this.socket.on('audio-gap', this.handleGap);
+
+        if (this.format.codec === 'opus') {
+            this.initializeEncoder();
+        }
+        await this.startCapture();
+
+        return this.format;
+    }
+
+    async startCapture() {
+        this.mediaStream = await navigator.mediaDevices.getUserMedia({
+            audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true }
+        });
+
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const source = this.audioContext.createMediaStreamSource(this.mediaStream);
+        this.processor = this.audioContext.createScriptProcessor(4096, 1, 1);
+
+        this.processor.onaudioprocess = (event) => {
+            const input = event.inputBuffer.getChannelData(0);
+            this.addSamples(downsample(input, this.audioContext.sampleRate, this.format.sampleRate));
+        };
+
+        source.connect(this.processor);
+        this.processor.connect(this.audioContext.destination);
+    }
+
+    initializeEncoder() {
+        this.encoder = new AudioEncoder({
+            output: (chunk) => {
+                const packet = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(packet);
+                this.sendFrame(packet.buffer);
+            },
+            error: (error) => console.error('Opus encoder error:', error)
+        });
+        this.encoder.configure({
+            codec: 'opus',
+            sampleRate: this.format.sampleRate,
+            numberOfChannels: 1,
+            bitrate: 24000,
+            opus: { frameDuration: this.format.frameDuration * 1000 }
+        });
+    }
+
+    // Cut the captured audio into frames of the negotiated duration
+    addSamples(samples) {
+        this.samples.push(...samples);
+        const frameSize = this.format.sampleRate * this.format.frameDuration / 1000;
+
+        while (this.samples.length >= frameSize) {
+            const frame = Float32Array.from(this.samples.splice(0, frameSize));
+
+            if (this.encoder) {
+                this.encoder.encode(new AudioData({
+                    format: 'f32',
+                    sampleRate: this.format.sampleRate,
+                    numberOfFrames: frame.length,
+                    numberOfChannels: 1,
+                    timestamp: this.seq * this.format.frameDuration * 1000,
+                    data: frame
+                }));
+            } else {
+                this.sendFrame(toPcm16(frame));
+            }
+        }
+    }
+
+    sendFrame(audio) {
+        const frame = { streamId: this.streamId, seq: this.seq++, audio };
+
+        // Respect the server's window; hold frames back while it is closed
+        if (this.unacked.size >= this.window || this.backlog.length > 0) {
+            this.backlog.push(frame);
+            return;
+        }
+        this.transmit(frame);
+    }
+
+    transmit(frame) {
+        this.unacked.set(frame.seq, frame);
+        this.socket.emit('audio-frame', frame);
+    }
+
+    onAck({ streamId, ack, missing, window }) {
+        if (streamId !== this.streamId) return;
+
+        for (const seq of this.unacked.keys()) {
+            if (seq <= ack) this.unacked.delete(seq);
+        }
+
+        // Resend frames the server reports as missing
+        missing.forEach(seq => {
+            const frame = this.unacked.get(seq);
+            if (frame) this.socket.emit('audio-frame', frame);
+        });
+
+        this.window = window;
+        while (this.backlog.length > 0 && this.unacked.size < this.window) {
+            this.transmit(this.backlog.shift());
+        }
+    }
+
+    async flushBacklog(timeoutMs = 2000) {
+        const deadline = Date.now() + timeoutMs;
+        while (this.backlog.length > 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    }
+
+    async stop() {
+        if (this.processor) {
+            this.processor.disconnect();
+            this.processor = null;
+        }
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+            this.mediaStream = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        if (this.encoder) {
+            await this.encoder.flush().catch(() => {});
+            this.encoder.close();
+            this.encoder = null;
+        }
+
+        // Give frames still held back a chance to go out before closing the stream
+        await this.flushBacklog();
+        this.backlog = [];
+
+        if (this.streamId) {
+            this.socket.emit('audio-stop', { streamId: this.streamId });
+        }
+        this.socket.off('audio-ack', this.handleAck);
+        this.socket.off('audio-gap', this.handleGap);
+        this.unacked.clear();
+        this.samples = [];
+        this.streamId = null;
+    }
+}
+
+function downsample(input, fromRate, toRate) {
+    if (fromRate === toRate) return input;
+
+    const ratio = fromRate / toRate;
+    const output = new Float32Array(Math.floor(input.length / ratio));
+    for (let i = 0; i < output.length; i++) {
+        output[i] = input[Math.floor(i * ratio)];
+    }
+    return output;
+}
+
+function toPcm16(samples) {
+    const pcm = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+    }
+    return pcm.buffer;
+}
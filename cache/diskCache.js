@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryCache = require('./memoryCache');
+
+// The LRU cache mirrored to a JSON file, so translations survive restarts.
+// Writes are batched and go through a temp file + rename, like the JSON session store.
+class DiskCache extends MemoryCache {
+    constructor(options = {}) {
+        super(options);
+        this.filePath = options.filePath || path.join(process.cwd(), 'data', 'translation-cache.json');
+        this.writeDelay = options.writeDelay ?? 1000;
+        this.writeTimer = null;
+        this.writing = Promise.resolve();
+    }
+
+    async init() {
+        try {
+            const contents = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            const now = Date.now();
+            (contents.entries || [])
+                .filter(([, entry]) => !entry.expiresAt || entry.expiresAt > now)
+                .slice(-this.maxEntries)
+                .forEach(([key, entry]) => this.entries.set(key, entry));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    async set(key, value) {
+        await super.set(key, value);
+        this.scheduleWrite();
+    }
+
+    async clear(pattern) {
+        const cleared = await super.clear(pattern);
+        if (cleared > 0) this.scheduleWrite();
+        return cleared;
+    }
+
+    scheduleWrite() {
+        if (this.writeTimer) return;
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            this.writing = this.writing.then(() => this.write()).catch(error => {
+                console.error('❌ Failed to write translation cache:', error.message);
+            });
+        }, this.writeDelay);
+    }
+
+    async write() {
+        const contents = JSON.stringify({ entries: Array.from(this.entries) });
+        const tempPath = `${this.filePath}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, contents);
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    async close() {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+            this.writing = this.writing.then(() => this.write());
+        }
+        await this.writing;
+    }
+}
+
+module.exports = DiskCache;
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const path = require('path');
+const MemoryCache = require('./memoryCache');
+const DiskCache = require('./diskCache');
+const RedisCache = require('./redisCache');
+const { getDataDir } = require('../storage');
+
+// Every backend implements the same async interface:
+//   init(), close()
+//   get(key), set(key, value), clear(pattern) - pattern uses * as a wildcard
+//   size() - number of entries, or null when the backend cannot tell cheaply
+// Keys look like "<source>|<target>|<context>|<text hash>", so one language
+// pair can be cleared with "en|es|*".
+function createCacheBackend(options = {}) {
+    const backend = options.backend || process.env.TRANSLATION_CACHE || 'memory';
+    const dataDir = options.dataDir || process.env.TRANSLATION_CACHE_DIR || getDataDir();
+    const settings = {
+        maxEntries: parseInt(options.maxEntries ?? process.env.TRANSLATION_CACHE_MAX_ENTRIES ?? '10000', 10),
+        ttl: parseInt(options.ttl ?? process.env.TRANSLATION_CACHE_TTL ?? '3600', 10)
+    };
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryCache(settings);
+        case 'disk':
+            return new DiskCache({ ...settings, filePath: path.join(dataDir, 'translation-cache.json') });
+        case 'redis':
+            return new RedisCache({ ...settings, url: options.url });
+        default:
+            throw new Error(`Unknown translation cache: ${backend}. Use: memory, disk or redis`);
+    }
+}
+
+// Normalizes keys, records hit rates and keeps cache failures away from callers.
+// A backend that fails to start is replaced by the in-memory cache.
+class TranslationCache {
+    constructor(options = {}) {
+        this.backend = createCacheBackend(options);
+        this.backendName = options.backend || process.env.TRANSLATION_CACHE || 'memory';
+        this.maxTextLength = parseInt(options.maxTextLength ?? process.env.TRANSLATION_CACHE_MAX_TEXT ?? '1000', 10);
+        this.metrics = { hits: 0, misses: 0, byProvider: new Map(), byLanguagePair: new Map() };
+
+        this.ready = this.backend.init().then(() => {
+            console.log(`✅ Translation cache: ${this.backendName}`);
+        }).catch(error => {
+            console.error(`❌ Translation cache "${this.backendName}" unavailable, using memory:`, error.message);
+            this.backend = new MemoryCache({ maxEntries: this.backend.maxEntries, ttl: this.backend.ttl });
+            this.backendName = 'memory';
+        });
+    }
+
+    // Resolves to { translation, provider, detectedLanguage } or null
+    async get(text, sourceLanguage, targetLanguage, context = '') {
+        const pair = languagePair(sourceLanguage, targetLanguage);
+        let value = null;
+
+        try {
+            await this.ready;
+            value = await this.backend.get(buildKey(text, sourceLanguage, targetLanguage, context));
+        } catch (error) {
+            console.error('Translation cache read failed:', error.message);
+        }
+
+        if (!value) {
+            this.metrics.misses++;
+            countStat(this.metrics.byLanguagePair, pair, 'misses');
+            return null;
+        }
+
+        this.metrics.hits++;
+        countStat(this.metrics.byLanguagePair, pair, 'hits');
+        countStat(this.metrics.byProvider, value.provider || 'unknown', 'hits');
+
+        return { translation: value.translation, provider: value.provider, detectedLanguage: value.detectedLanguage || null };
+    }
+
+    async set(text, sourceLanguage, targetLanguage, context, { translation, provider, detectedLanguage }) {
+        // A fresh provider call is a miss from that provider's point of view
+        countStat(this.metrics.byProvider, provider || 'unknown', 'misses');
+        if (!translation || text.length > this.maxTextLength) return;
+
+        try {
+            await this.ready;
+            await this.backend.set(buildKey(text, sourceLanguage, targetLanguage, context), { translation, provider, detectedLanguage });
+        } catch (error) {
+            console.error('Translation cache write failed:', error.message);
+        }
+    }
+
+    // Clear everything, or only one language pair (either side may be omitted)
+    async clear({ sourceLanguage, targetLanguage } = {}) {
+        await this.ready;
+        const pattern = sourceLanguage || targetLanguage
+            ? `${sourceLanguage ? normalizeLanguage(sourceLanguage) : '*'}|${targetLanguage ? normalizeLanguage(targetLanguage) : '*'}|*`
+            : '*';
+        return await this.backend.clear(pattern);
+    }
+
+    async getStats() {
+        await this.ready;
+        let entries = null;
+        try {
+            entries = await this.backend.size();
+        } catch (error) {
+            console.error('Translation cache size failed:', error.message);
+        }
+
+        return {
+            backend: this.backendName,
+            entries,
+            maxEntries: this.backend.maxEntries ?? null,
+            ttl: this.backend.ttl,
+            hits: this.metrics.hits,
+            misses: this.metrics.misses,
+            hitRate: hitRate(this.metrics),
+            byProvider: statsObject(this.metrics.byProvider),
+            byLanguagePair: statsObject(this.metrics.byLanguagePair)
+        };
+    }
+
+    async close() {
+        await this.ready;
+        await this.backend.close();
+    }
+}
+
+// Whitespace and Unicode form variants of a text share one key. Case is kept:
+// "US" and "us", or German nouns and verbs, translate differently
+function normalizeText(text) {
+    return text.normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+function normalizeLanguage(language) {
+    return (language || 'auto').toLowerCase();
+}
+
+function buildKey(text, sourceLanguage, targetLanguage, context = '') {
+    const hash = crypto.createHash('sha1').update(normalizeText(text)).digest('hex');
+    return `${normalizeLanguage(sourceLanguage)}|${normalizeLanguage(targetLanguage)}|${context}|${hash}`;
+}
+
+function languagePair(sourceLanguage, targetLanguage) {
+    return `${normalizeLanguage(sourceLanguage)}→${normalizeLanguage(targetLanguage)}`;
+}
+
+function countStat(map, name, field) {
+    const stats = map.get(name) || { hits: 0, misses: 0 };
+    stats[field]++;
+    map.set(name, stats);
+}
+
+function hitRate({ hits, misses }) {
+    return hits + misses > 0 ? +(hits / (hits + misses)).toFixed(3) : 0;
+}
+
+function statsObject(map) {
+    const result = {};
+    for (const [name, stats] of map) {
+        result[name] = { ...stats, hitRate: hitRate(stats) };
+    }
+    return result;
+}
+
+module.exports = { createCacheBackend, TranslationCache, normalizeText, buildKey };
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TranslationCache, buildKey } = require('./index');
+
+// A cache on its own data directory, with its log lines silenced
+function createCache(t, options = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'translation-cache-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    return { cache: new TranslationCache({ backend: 'memory', dataDir, ...options }), dataDir };
+}
+
+const HOLA = { translation: 'Hola', provider: 'deepl', detectedLanguage: 'en' };
+
+test('shares a key between whitespace and Unicode variants, but not case', () => {
+    const key = buildKey('  café  au\tlait ', 'EN', 'es');
+
+    assert.strictEqual(key, buildKey('café au lait', 'en', 'ES'));
+    assert.notStrictEqual(key, buildKey('Café au lait', 'en', 'es'));
+    assert.notStrictEqual(key, buildKey('café au lait', 'en', 'es', 'glossary-1'));
+    assert.match(key, /^en\|es\|\|[0-9a-f]{40}$/);
+    assert.match(buildKey('hi', null, 'es'), /^auto\|es\|/);
+});
+
+test('counts hits and misses per provider and language pair', async (t) => {
+    const { cache } = createCache(t);
+
+    assert.strictEqual(await cache.get('Hello', 'en', 'es'), null);
+    await cache.set('Hello', 'en', 'es', '', HOLA);
+    assert.deepStrictEqual(await cache.get('Hello ', 'en', 'es'), HOLA);
+
+    const stats = await cache.getStats();
+    assert.strictEqual(stats.entries, 1);
+    assert.strictEqual(stats.hitRate, 0.5);
+    assert.deepStrictEqual(stats.byProvider, { deepl: { hits: 1, misses: 1, hitRate: 0.5 } });
+    assert.deepStrictEqual(stats.byLanguagePair, { 'en→es': { hits: 1, misses: 1, hitRate: 0.5 } });
+});
+
+test('skips empty translations and texts over the length limit', async (t) => {
+    const { cache } = createCache(t, { maxTextLength: 10 });
+
+    await cache.set('Hello', 'en', 'es', '', { ...HOLA, translation: '' });
+    await cache.set('Hello there, friend', 'en', 'es', '', HOLA);
+    assert.strictEqual((await cache.getStats()).entries, 0);
+});
+
+test('clears one language pair', async (t) => {
+    const { cache } = createCache(t);
+    await cache.set('Hello', 'en', 'es', '', HOLA);
+    await cache.set('Hello', 'en', 'fr', '', { ...HOLA, translation: 'Bonjour' });
+    await cache.set('Hallo', 'de', 'es', '', HOLA);
+
+    assert.strictEqual(await cache.clear({ targetLanguage: 'ES' }), 2);
+    assert.strictEqual((await cache.get('Hello', 'en', 'fr')).translation, 'Bonjour');
+    assert.strictEqual(await cache.clear(), 1);
+});
+
+test('keeps disk entries across restarts', async (t) => {
+    const { cache, dataDir } = createCache(t, { backend: 'disk' });
+    await cache.set('Hello', 'en', 'es', '', HOLA);
+    await cache.close();
+
+    const reopened = new TranslationCache({ backend: 'disk', dataDir });
+    assert.deepStrictEqual(await reopened.get('Hello', 'en', 'es'), HOLA);
+    await reopened.close();
+});
+
+test('falls back to memory when the backend fails to start', async (t) => {
+    const { dataDir } = createCache(t);
+    fs.writeFileSync(path.join(dataDir, 'translation-cache.json'), 'not json');
+
+    const cache = new TranslationCache({ backend: 'disk', dataDir });
+    await cache.set('Hello', 'en', 'es', '', HOLA);
+    assert.strictEqual((await cache.getStats()).backend, 'memory');
+    assert.deepStrictEqual(await cache.get('Hello', 'en', 'es'), HOLA);
+    assert.throws(() => new TranslationCache({ backend: 'memcached' }), /Unknown translation cache: memcached/);
+});
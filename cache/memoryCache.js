@@ -0,0 +1,63 @@
+// In-process LRU cache. A Map keeps insertion order, so moving an entry to the
+// end on every hit leaves the least recently used entry first in line for eviction.
+class MemoryCache {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 10000;
+        this.ttl = options.ttl ?? 3600; // Seconds; 0 = never expire
+        this.entries = new Map();
+    }
+
+    async init() {}
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    async set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            expiresAt: this.ttl > 0 ? Date.now() + this.ttl * 1000 : null
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    // Delete every key matching a pattern where * matches anything; returns the count
+    async clear(pattern = '*') {
+        const regex = globToRegExp(pattern);
+        let cleared = 0;
+        for (const key of Array.from(this.entries.keys())) {
+            if (regex.test(key)) {
+                this.entries.delete(key);
+                cleared++;
+            }
+        }
+        return cleared;
+    }
+
+    async size() {
+        return this.entries.size;
+    }
+
+    async close() {}
+}
+
+function globToRegExp(pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+module.exports = MemoryCache;
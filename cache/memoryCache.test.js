@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MemoryCache = require('./memoryCache');
+
+test('evicts the least recently used entry', async () => {
+    const cache = new MemoryCache({ maxEntries: 2 });
+
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    assert.strictEqual(await cache.get('a'), 1);
+    await cache.set('c', 3);
+
+    assert.strictEqual(await cache.get('b'), null);
+    assert.strictEqual(await cache.get('a'), 1);
+    assert.strictEqual(await cache.get('c'), 3);
+    assert.strictEqual(await cache.size(), 2);
+});
+
+test('expires entries after the ttl, unless it is 0', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const cache = new MemoryCache({ ttl: 60 });
+    const forever = new MemoryCache({ ttl: 0 });
+    await cache.set('a', 1);
+    await forever.set('a', 1);
+
+    t.mock.timers.tick(59999);
+    assert.strictEqual(await cache.get('a'), 1);
+
+    t.mock.timers.tick(1);
+    assert.strictEqual(await cache.get('a'), null);
+    assert.strictEqual(await cache.size(), 0);
+    assert.strictEqual(await forever.get('a'), 1);
+});
+
+test('clears the keys matching a pattern', async () => {
+    const cache = new MemoryCache();
+    await cache.set('en|es||1', 'uno');
+    await cache.set('en|fr||1', 'un');
+    await cache.set('de|es||1', 'uno');
+
+    assert.strictEqual(await cache.clear('en|*'), 2);
+    assert.strictEqual(await cache.get('de|es||1'), 'uno');
+    assert.strictEqual(await cache.clear('*|e.|*'), 0);
+    assert.strictEqual(await cache.clear(), 1);
+});
@@ -0,0 +1,59 @@
+// Shared cache in Redis (needs the optional `redis` package). Entries expire
+// through Redis TTLs; set maxmemory-policy allkeys-lru on the server to cap its size.
+class RedisCache {
+    constructor(options = {}) {
+        this.url = options.url || process.env.REDIS_URL || 'redis://localhost:6379';
+        this.ttl = options.ttl ?? 3600;
+        this.prefix = options.prefix || 'translation:';
+        this.client = null;
+    }
+
+    async init() {
+        let redis;
+        try {
+            redis = require('redis');
+        } catch (error) {
+            throw new Error('The Redis translation cache needs the redis package (npm install redis)');
+        }
+
+        this.client = redis.createClient({ url: this.url });
+        this.client.on('error', error => console.error('❌ Redis cache error:', error.message));
+        await this.client.connect();
+    }
+
+    async get(key) {
+        const value = await this.client.get(this.prefix + key);
+        return value ? JSON.parse(value) : null;
+    }
+
+    async set(key, value) {
+        const options = this.ttl > 0 ? { EX: this.ttl } : undefined;
+        await this.client.set(this.prefix + key, JSON.stringify(value), options);
+    }
+
+    async clear(pattern = '*') {
+        let cleared = 0;
+        // node-redis 4 yields single keys, node-redis 5 yields batches
+        for await (const item of this.client.scanIterator({ MATCH: this.prefix + pattern, COUNT: 500 })) {
+            const keys = Array.isArray(item) ? item : [item];
+            if (keys.length) {
+                cleared += await this.client.del(keys);
+            }
+        }
+        return cleared;
+    }
+
+    // Counting would mean scanning the whole keyspace
+    async size() {
+        return null;
+    }
+
+    async close() {
+        if (this.client) {
+            await this.client.quit();
+            this.client = null;
+        }
+    }
+}
+
+module.exports = RedisCache;
@@ -0,0 +1,112 @@
+// Standalone caption page for OBS browser sources and streaming tools.
+// Follows /api/sessions/:sessionId/stream and renders only the captions.
+//
+// Query parameters:
+//   bg             transparent (default), green, blue, magenta or any CSS colour
+//   font           font family
+//   size           font size in px (default 42)
+//   color          translation colour (default #ffffff)
+//   originalColor  original text colour (default: same as color)
+//   outline        text outline colour (default #000000, "none" to disable)
+//   lines          number of captions kept on screen (default 2)
+//   language       translation language; without it the speaker's own translation is shown
+//   show           translation (default), original or both
+//   hold           seconds before a caption fades out (default 0 = never)
+//   position       bottom (default) or top
+//   token          join token for owned sessions
+(() => {
+    const CHROMA_KEYS = {
+        transparent: 'transparent',
+        green: '#00ff00',
+        blue: '#0000ff',
+        magenta: '#ff00ff'
+    };
+
+    const params = new URLSearchParams(window.location.search);
+    const sessionId = decodeURIComponent(window.location.pathname.split('/').filter(Boolean).pop() || 'default');
+    const options = {
+        background: params.get('bg') || 'transparent',
+        font: params.get('font'),
+        size: Number(params.get('size')) || 42,
+        color: params.get('color') || '#ffffff',
+        originalColor: params.get('originalColor'),
+        outline: params.get('outline') || '#000000',
+        lines: Math.max(1, Number(params.get('lines')) || 2),
+        language: params.get('language'),
+        show: params.get('show') || 'translation',
+        hold: Number(params.get('hold')) || 0,
+        position: params.get('position') || 'bottom',
+        token: params.get('token')
+    };
+
+    const container = document.getElementById('captions');
+
+    function applyStyle() {
+        document.body.style.background = CHROMA_KEYS[options.background] || options.background;
+        container.style.fontSize = `${options.size}px`;
+        container.style.color = options.color;
+        if (options.font) container.style.fontFamily = options.font;
+        if (options.outline !== 'none') {
+            const o = options.outline;
+            container.style.textShadow = `-2px -2px 0 ${o}, 2px -2px 0 ${o}, -2px 2px 0 ${o}, 2px 2px 0 ${o}, 0 2px 6px ${o}`;
+        }
+        if (options.position === 'top') container.classList.add('align-top');
+    }
+
+    function addCaption(data) {
+        const entry = document.createElement('div');
+        entry.className = 'caption-entry';
+
+        if (options.show !== 'translation' && data.originalText) {
+            entry.appendChild(createLine('original', data.originalText, options.originalColor));
+        }
+        if (options.show !== 'original' && data.translatedText) {
+            entry.appendChild(createLine('translated', data.translatedText));
+        }
+        if (!entry.hasChildNodes()) return;
+
+        container.appendChild(entry);
+        while (container.children.length > options.lines) {
+            container.removeChild(container.firstElementChild);
+        }
+
+        if (options.hold > 0) {
+            setTimeout(() => {
+                entry.classList.add('fading');
+                setTimeout(() => entry.remove(), 400);
+            }, options.hold * 1000);
+        }
+    }
+
+    function createLine(kind, text, color) {
+        const line = document.createElement('div');
+        line.className = `caption-line ${kind}`;
+        line.textContent = text;
+        if (color) line.style.color = color;
+        return line;
+    }
+
+    function connect() {
+        const url = new URL(`/api/sessions/${encodeURIComponent(sessionId)}/stream`, window.location.origin);
+        if (options.language) url.searchParams.set('language', options.language);
+        if (options.token) url.searchParams.set('token', options.token);
+
+        const source = new EventSource(url.toString());
+
+        // With a language, the per-language translation events carry everything;
+        // otherwise show the captions as the speaker's overlay sends them
+        if (options.language) {
+            source.addEventListener('translation', (event) => addCaption(JSON.parse(event.data)));
+        } else {
+            source.addEventListener('caption', (event) => addCaption(JSON.parse(event.data)));
+        }
+        source.onerror = () => {
+            if (source.readyState === EventSource.CLOSED) {
+                console.error('Caption stream closed');
+            }
+        };
+    }
+
+    applyStyle();
+    connect();
+})();
@@ -16,7 +16,12 @@
     function getConfig() {
         const cfg = {
             serverUrl: localStorage.getItem('overlayServerUrl') || 'http://localhost:3001',
-            sessionId: localStorage.getItem('overlaySessionId') || ''
+            sessionId: localStorage.getItem('overlaySessionId') || '',
+            // Join token for sessions created with POST /api/sessions
+            token: localStorage.getItem('overlayJoinToken') || '',
+            // Language translations are shown in; set it to '' to show the
+            // captions as the speaker's overlay sends them instead
+            language: localStorage.getItem('overlayLanguage') ?? 'en'
         };
         if (!cfg.sessionId) {
             cfg.sessionId = prompt('Enter session ID to join (e.g., default):', 'default') || 'default';
@@ -29,50 +34,32 @@
         return cfg;
     }
 
-    // Auto-connect to Socket.IO server
-    function connectSocket() {
-        const { serverUrl, sessionId } = getConfig();
+    // Follow the session's caption stream (Server-Sent Events); EventSource
+    // reconnects on its own and resumes from the last event it received
+    function connectStream() {
+        const { serverUrl, sessionId, token, language } = getConfig();
 
-        const ensureIo = () => new Promise((resolve) => {
-            if (window.io) return resolve();
-            const s = document.createElement('script');
-            s.src = 'https://cdn.socket.io/4.7.5/socket.io.min.js';
-            s.onload = () => resolve();
-            document.head.appendChild(s);
-        });
+        const url = new URL(`/api/sessions/${encodeURIComponent(sessionId)}/stream`, serverUrl);
+        if (language) url.searchParams.set('language', language);
+        if (token) url.searchParams.set('token', token);
 
-        ensureIo().then(() => {
-            const socket = window.io(serverUrl, { transports: ['websocket'], timeout: 5000 });
+        const source = new EventSource(url.toString());
 
-            socket.on('connect', () => {
-                setStatus('Connected');
-                // Join the specified session so we receive room broadcasts
-                socket.emit('join-session', {
-                    sessionId,
-                    sourceLanguage: 'auto',
-                    targetLanguage: 'en'
-                });
-            });
-
-            socket.on('session-joined', () => {
-                setStatus('Joined session: ' + sessionId);
-            });
-
-            // Show any of the translation events
-            socket.on('translation-ready', handleTranslation);
-            socket.on('translation-sent', (data) => handleTranslation({
-                originalText: data.originalText,
-                translatedText: data.translatedText
-            }));
-            // Show explicit overlay updates
-            socket.on('caption-overlay-update', (data) => handleTranslation({
-                originalText: data.originalText,
-                translatedText: data.translatedText
-            }));
+        source.onopen = () => setStatus('Following session: ' + sessionId);
+        source.onerror = () => {
+            if (source.readyState === EventSource.CLOSED) {
+                setStatus('Connect error');
+            }
+        };
 
-            socket.on('disconnect', () => setStatus('Disconnected'));
-            socket.on('connect_error', () => setStatus('Connect error'));
-        });
+        // With a language, the per-language translation events carry everything;
+        // caption events are in the speaker's own target language and would
+        // overwrite them, so they are only shown when no language is set
+        if (language) {
+            source.addEventListener('translation', (event) => handleTranslation(JSON.parse(event.data)));
+        } else {
+            source.addEventListener('caption', (event) => handleTranslation(JSON.parse(event.data)));
+        }
     }
 
     function setStatus(text) {
@@ -86,5 +73,5 @@
         translatedEl.textContent = data.translatedText || '';
     }
 
-    connectSocket();
+    connectStream();
 })();
@@ -0,0 +1,140 @@
+// Session glossaries: fixed translations for terms (product names, jargon) and
+// terms that must never be translated (people's names).
+//
+// A glossary looks like:
+//   {
+//     version: 3,
+//     entries: [{ source: 'sprint', target: 'Sprint', targetLanguage: 'de' }],
+//     doNotTranslate: ['Kubernetes', 'Piyush']
+//   }
+// Entries without a targetLanguage apply to every language.
+
+const MAX_TERMS = 500;
+const MAX_TERM_LENGTH = 100;
+
+// Validate a glossary sent over the API and return a clean copy (without version)
+function normalizeGlossary(input) {
+    const { entries = [], doNotTranslate = [] } = input || {};
+
+    if (!Array.isArray(entries) || !Array.isArray(doNotTranslate)) {
+        throw new Error('entries and doNotTranslate must be arrays');
+    }
+    if (entries.length + doNotTranslate.length > MAX_TERMS) {
+        throw new Error(`A glossary can hold at most ${MAX_TERMS} terms`);
+    }
+
+    return {
+        entries: entries.map((entry, i) => {
+            const source = checkTerm(entry && entry.source, `entries[${i}].source`);
+            const target = checkTerm(entry && entry.target, `entries[${i}].target`);
+            const normalized = { source, target };
+            if (entry.targetLanguage) {
+                normalized.targetLanguage = String(entry.targetLanguage).toLowerCase();
+            }
+            return normalized;
+        }),
+        doNotTranslate: doNotTranslate.map((term, i) => checkTerm(term, `doNotTranslate[${i}]`))
+    };
+}
+
+function checkTerm(term, field) {
+    if (typeof term !== 'string' || !term.trim()) {
+        throw new Error(`${field} must be a non-empty string`);
+    }
+    if (term.length > MAX_TERM_LENGTH) {
+        throw new Error(`${field} is longer than ${MAX_TERM_LENGTH} characters`);
+    }
+    return term.trim();
+}
+
+function isEmpty(glossary) {
+    return !glossary || (glossary.entries.length === 0 && glossary.doNotTranslate.length === 0);
+}
+
+function baseLanguage(language) {
+    return (language || '').split('-')[0].toLowerCase();
+}
+
+// Terms that apply when translating into targetLanguage, as [source, replacement]
+// pairs. A null replacement keeps the text exactly as it was spoken.
+function getTerms(glossary, targetLanguage) {
+    const target = baseLanguage(targetLanguage);
+    const terms = glossary.entries
+        .filter(entry => !entry.targetLanguage || baseLanguage(entry.targetLanguage) === target)
+        .map(entry => [entry.source, entry.target]);
+
+    glossary.doNotTranslate.forEach(term => terms.push([term, null]));
+
+    // Longest first so "Acme Cloud" wins over "Acme"
+    return terms.sort((a, b) => b[0].length - a[0].length);
+}
+
+// A term must not continue into a neighbouring letter or digit. Chinese and
+// Japanese are written without spaces, so their characters do not count.
+const WORD_CHAR = '(?![\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}])[\\p{L}\\p{N}]';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replace glossary terms with numbered placeholders that providers leave alone.
+// Returns the text to send and the values to put back with restoreTerms().
+function protectTerms(text, glossary, targetLanguage) {
+    const placeholders = [];
+    if (isEmpty(glossary)) return { text, placeholders };
+
+    const terms = getTerms(glossary, targetLanguage);
+    const replacements = new Map();
+    terms.forEach(([source, replacement]) => {
+        const key = source.toLowerCase();
+        if (!replacements.has(key)) replacements.set(key, replacement);
+    });
+
+    // One pass over the text, so a term never matches inside another's placeholder
+    const alternatives = terms.map(([source]) => escapeRegExp(source)).join('|');
+    const pattern = new RegExp(`(?<!${WORD_CHAR})(?:${alternatives})(?!${WORD_CHAR})`, 'giu');
+    const protectedText = text.replace(pattern, (match) => {
+        const replacement = replacements.get(match.toLowerCase());
+        placeholders.push(replacement === null || replacement === undefined ? match : replacement);
+        return `{{${placeholders.length - 1}}}`;
+    });
+
+    return { text: protectedText, placeholders };
+}
+
+// Put glossary terms back; providers sometimes add spaces inside the braces
+function restoreTerms(text, placeholders) {
+    if (!placeholders.length) return text;
+
+    return text.replace(/\{\{\s*(\d+)\s*\}\}/g, (match, index) => {
+        const value = placeholders[Number(index)];
+        return value === undefined ? match : value;
+    });
+}
+
+// Translate texts through translate(protectedTexts) with glossary terms protected
+async function translateProtected(texts, glossary, targetLanguage, translate) {
+    const protectedTexts = texts.map(text => protectTerms(text, glossary, targetLanguage));
+    const results = await translate(protectedTexts.map(item => item.text));
+    return results.map((result, i) => typeof result === 'string'
+        ? restoreTerms(result, protectedTexts[i].placeholders)
+        : { ...result, text: restoreTerms(result.text, protectedTexts[i].placeholders) });
+}
+
+// Glossary entries as DeepL expects them: tab-separated, one pair per line.
+// Do-not-translate terms become entries that map to themselves.
+function toTsv(glossary, targetLanguage) {
+    return getTerms(glossary, targetLanguage)
+        .map(([source, replacement]) => `${source}\t${replacement === null ? source : replacement}`)
+        .join('\n');
+}
+
+module.exports = {
+    normalizeGlossary,
+    isEmpty,
+    getTerms,
+    protectTerms,
+    restoreTerms,
+    translateProtected,
+    toTsv
+};
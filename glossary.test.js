@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const glossaries = require('./glossary');
+
+const GLOSSARY = glossaries.normalizeGlossary({
+    entries: [
+        { source: 'sprint', target: 'Sprint', targetLanguage: 'DE' },
+        { source: 'Acme Cloud', target: 'Acme Nube', targetLanguage: 'es' },
+        { source: 'Acme', target: 'ACME' }
+    ],
+    doNotTranslate: ['Piyush', ' Kubernetes ']
+});
+
+test('normalizes a glossary and rejects bad terms', () => {
+    assert.deepStrictEqual(GLOSSARY.entries[0], { source: 'sprint', target: 'Sprint', targetLanguage: 'de' });
+    assert.deepStrictEqual(GLOSSARY.doNotTranslate, ['Piyush', 'Kubernetes']);
+    assert.deepStrictEqual(glossaries.normalizeGlossary(null), { entries: [], doNotTranslate: [] });
+
+    assert.throws(() => glossaries.normalizeGlossary({ entries: 'sprint' }), /must be arrays/);
+    assert.throws(() => glossaries.normalizeGlossary({ entries: [{ source: 'a', target: ' ' }] }), /entries\[0\]\.target must be a non-empty string/);
+    assert.throws(() => glossaries.normalizeGlossary({ doNotTranslate: ['x'.repeat(101)] }), /longer than 100 characters/);
+    assert.throws(() => glossaries.normalizeGlossary({ doNotTranslate: new Array(501).fill('x') }), /at most 500 terms/);
+});
+
+test('picks the terms for the target language, longest first', () => {
+    assert.deepStrictEqual(glossaries.getTerms(GLOSSARY, 'es-MX'), [
+        ['Acme Cloud', 'Acme Nube'], ['Kubernetes', null], ['Piyush', null], ['Acme', 'ACME']
+    ]);
+    assert.deepStrictEqual(glossaries.getTerms(GLOSSARY, 'de').map(([source]) => source), ['Kubernetes', 'sprint', 'Piyush', 'Acme']);
+    assert.strictEqual(glossaries.toTsv(GLOSSARY, 'de'), 'Kubernetes\tKubernetes\nsprint\tSprint\nPiyush\tPiyush\nAcme\tACME');
+});
+
+test('protects whole terms only, and puts them back', () => {
+    const { text, placeholders } = glossaries.protectTerms('Piyush runs acme cloud on Kubernetes, not Acmes', GLOSSARY, 'es');
+
+    assert.strictEqual(text, '{{0}} runs {{1}} on {{2}}, not Acmes');
+    assert.deepStrictEqual(placeholders, ['Piyush', 'Acme Nube', 'Kubernetes']);
+    assert.strictEqual(glossaries.restoreTerms('{{0}} ejecuta {{ 1 }} en {{2}} y {{7}}', placeholders),
+        'Piyush ejecuta Acme Nube en Kubernetes y {{7}}');
+});
+
+test('matches terms next to Chinese and Japanese characters', () => {
+    assert.strictEqual(glossaries.protectTerms('我们用Kubernetes部署', GLOSSARY, 'zh').text, '我们用{{0}}部署');
+    assert.strictEqual(glossaries.protectTerms('bKubernetes', GLOSSARY, 'zh').text, 'bKubernetes');
+});
+
+test('translates with the terms protected', async () => {
+    const sent = [];
+    const results = await glossaries.translateProtected(['Hello Piyush', 'a sprint'], GLOSSARY, 'de', async (texts) => {
+        sent.push(...texts);
+        return ['Hallo {{0}}', { text: 'ein {{0}}', detectedLanguage: 'en' }];
+    });
+
+    assert.deepStrictEqual(sent, ['Hello {{0}}', 'a {{0}}']);
+    assert.deepStrictEqual(results, ['Hallo Piyush', { text: 'ein Sprint', detectedLanguage: 'en' }]);
+});
+
+test('leaves text alone without a glossary', () => {
+    assert.ok(glossaries.isEmpty(null));
+    assert.ok(glossaries.isEmpty({ entries: [], doNotTranslate: [] }));
+    assert.deepStrictEqual(glossaries.protectTerms('Hello Piyush', null, 'de'), { text: 'Hello Piyush', placeholders: [] });
+});
@@ -0,0 +1,44 @@
+// Language code normalization shared by the browser (app.js) and the server
+// (languages.js). Catalogue codes are a lower-case language, then an
+// upper-case region or title-case script ('en', 'pt-BR', 'sr-Latn').
+
+// Older or alternative codes for the same language
+const LANGUAGE_ALIASES = {
+    iw: 'he',
+    in: 'id',
+    ji: 'yi',
+    jw: 'jv',
+    no: 'nb',
+    tl: 'fil'
+};
+
+export function normalizeCode(code) {
+    if (!code || code === 'auto') return null;
+
+    const [first, ...rest] = String(code).replace(/_/g, '-').split('-');
+    const lower = first.toLowerCase();
+    const language = LANGUAGE_ALIASES[lower] || lower;
+    const script = rest.find(part => part.length === 4);
+    const region = rest.find(part => part.length === 2 || /^\d{3}$/.test(part));
+
+    if (language === 'zh') {
+        if (region) return `zh-${region.toUpperCase()}`;
+        return script && script.toLowerCase() === 'hant' ? 'zh-TW' : 'zh-CN';
+    }
+    if (region) return `${language}-${region.toUpperCase()}`;
+    if (script) return `${language}-${script[0].toUpperCase()}${script.slice(1).toLowerCase()}`;
+    return language;
+}
+
+export function baseLanguage(code) {
+    return normalizeCode(code).split('-')[0];
+}
+
+// Whether a listing (catalogue codes, or null for "any language") covers a code,
+// exactly or through its plain language
+export function listingIncludes(listing, code) {
+    if (!listing) return true;
+    const normalized = normalizeCode(code);
+    const base = baseLanguage(code);
+    return listing.some(item => item === normalized || item.split('-')[0] === base);
+}
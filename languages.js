@@ -0,0 +1,133 @@
+// Language catalogue built from the languages each translation provider lists.
+//
+// Codes are kept in one catalogue form: a lower-case language, then an
+// upper-case region or title-case script ('en', 'pt-BR', 'sr-Latn'). Chinese
+// is always written with a region ('zh-CN' for Simplified, 'zh-TW' for
+// Traditional) because that is what speech recognizers use. Providers turn
+// catalogue codes into their own with TranslationProvider.toProviderCode().
+
+// Code normalization is shared with the browser (app.js); require() of an ES
+// module needs Node.js 20.19+ or 22.12+
+const { normalizeCode, baseLanguage, listingIncludes } = require('./languageCodes.mjs');
+
+// Locales the browser speech recognizer understands, offered as source languages
+const RECOGNITION_LOCALES = [
+    'af-ZA', 'ar-EG', 'ar-SA', 'bg-BG', 'bn-IN', 'ca-ES', 'cs-CZ', 'da-DK',
+    'de-DE', 'de-AT', 'de-CH', 'el-GR', 'en-AU', 'en-CA', 'en-GB', 'en-IN',
+    'en-US', 'es-ES', 'es-MX', 'es-US', 'fa-IR', 'fi-FI', 'fil-PH', 'fr-CA',
+    'fr-FR', 'he-IL', 'hi-IN', 'hr-HR', 'hu-HU', 'id-ID', 'it-IT', 'ja-JP',
+    'ko-KR', 'ms-MY', 'nb-NO', 'nl-NL', 'pl-PL', 'pt-BR', 'pt-PT', 'ro-RO',
+    'ru-RU', 'sk-SK', 'sl-SI', 'sr-RS', 'sv-SE', 'sw-KE', 'ta-IN', 'te-IN',
+    'th-TH', 'tr-TR', 'uk-UA', 'ur-PK', 'vi-VN', 'zh-CN', 'zh-HK', 'zh-TW'
+];
+
+// Offered when no configured provider lists its languages
+const DEFAULT_LANGUAGES = [
+    'ar', 'da', 'de', 'en', 'es', 'fi', 'fr', 'he', 'hi', 'it', 'ja', 'ko',
+    'nb', 'nl', 'pl', 'pt', 'ru', 'sv', 'tr', 'zh-CN'
+];
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+function getLanguageName(code) {
+    try {
+        return languageNames.of(code) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+class LanguageCatalogue {
+    constructor(providers) {
+        this.providers = providers;
+        this.updatedAt = null;
+        this.codes = null; // Catalogue codes and recognizer locales, rebuilt after a refresh
+        this.codesAt = null;
+    }
+
+    // Ask every configured provider for its languages; a provider that cannot
+    // answer keeps its built-in list
+    async refresh() {
+        const configured = this.providers.getNames()
+            .map(name => this.providers.get(name))
+            .filter(provider => provider.isConfigured());
+
+        await Promise.all(configured.map(provider => provider.loadLanguages().catch(error => {
+            console.log(`⚠️ Could not load ${provider.name} languages: ${error.message}`);
+        })));
+        this.updatedAt = Date.now();
+    }
+
+    // Source and target languages of each enabled provider in catalogue codes (null = any)
+    getProviderListings() {
+        const listings = {};
+        this.providers.order
+            .map(name => this.providers.get(name))
+            .filter(provider => provider.isConfigured())
+            .forEach(provider => {
+                listings[provider.name] = {
+                    source: toCatalogueCodes(provider.getLanguageCodes('source')),
+                    target: toCatalogueCodes(provider.getLanguageCodes('target'))
+                };
+            });
+        return listings;
+    }
+
+    getCatalogue() {
+        const providers = this.getProviderListings();
+        const listings = Object.values(providers);
+        const codes = new Set();
+        listings.forEach(listing => {
+            (listing.source || []).forEach(code => codes.add(code));
+            (listing.target || []).forEach(code => codes.add(code));
+        });
+        if (!codes.size) {
+            DEFAULT_LANGUAGES.forEach(code => codes.add(code));
+        }
+
+        const languages = Array.from(codes).sort().map(code => ({
+            code,
+            name: getLanguageName(code),
+            source: !listings.length || listings.some(listing => !listing.source || listing.source.includes(code)),
+            target: !listings.length || listings.some(listing => !listing.target || listing.target.includes(code))
+        }));
+
+        // Recognizer locales some enabled provider can translate from
+        const recognition = RECOGNITION_LOCALES
+            .filter(locale => !listings.length || listings.some(listing => listingIncludes(listing.source, locale)))
+            .map(locale => ({ locale, name: getLanguageName(locale), language: baseLanguage(locale) }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return {
+            updatedAt: this.updatedAt && new Date(this.updatedAt).toISOString(),
+            languages,
+            recognition,
+            providers
+        };
+    }
+
+    // Whether a code is offered, as a catalogue language or a recognizer locale
+    has(code) {
+        if (!this.codes || this.codesAt !== this.updatedAt) {
+            const catalogue = this.getCatalogue();
+            this.codes = new Set([
+                ...catalogue.languages.map(language => language.code),
+                ...catalogue.recognition.map(item => normalizeCode(item.locale))
+            ]);
+            this.codesAt = this.updatedAt;
+        }
+        return this.codes.has(normalizeCode(code));
+    }
+}
+
+function toCatalogueCodes(codes) {
+    if (!codes) return null;
+    return Array.from(new Set(codes.map(normalizeCode).filter(Boolean))).sort();
+}
+
+module.exports = {
+    LanguageCatalogue,
+    normalizeCode,
+    baseLanguage,
+    getLanguageName
+};
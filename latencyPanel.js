@@ -0,0 +1,90 @@
+// Latency breakdown of the speaker's own segments: one row per stage with the
+// latest time, the average over the last `size` segments and a bar showing the
+// stage's share of the average total. Ping time has a row of its own.
+//
+// Stages, in milliseconds:
+//   recognition   last interim result to the final one
+//   segmentation  final result to the sentence being sent (held fragments wait here)
+//   network       round trip minus the time spent on the server
+//   translation   server: receipt to translated (cache or provider)
+//   broadcast     server: translating for and sending to the other listeners
+//   render        answer received to the caption painted (includes the caption delay)
+//   total         final result to the caption painted
+
+const STAGES = [
+    { key: 'recognition', label: 'Recognition' },
+    { key: 'segmentation', label: 'Segmentation' },
+    { key: 'network', label: 'Network' },
+    { key: 'translation', label: 'Translation' },
+    { key: 'broadcast', label: 'Broadcast' },
+    { key: 'render', label: 'Render' },
+    { key: 'total', label: 'Total' }
+];
+
+export default class LatencyPanel {
+    constructor(element, { size = 20 } = {}) {
+        this.element = element;
+        this.size = size;
+        this.samples = [];
+        this.pings = [];
+        this.summary = element.querySelector('summary');
+        this.rows = new Map();
+
+        const table = document.createElement('div');
+        table.className = 'latency-rows';
+        [...STAGES, { key: 'ping', label: 'Ping' }].forEach(({ key, label }) => {
+            const row = document.createElement('div');
+            row.className = `latency-row latency-${key}`;
+            row.innerHTML = `
+                <span class="latency-label"></span>
+                <span class="latency-bar"><span></span></span>
+                <span class="latency-last">--</span>
+                <span class="latency-average">--</span>
+            `;
+            row.querySelector('.latency-label').textContent = label;
+            row.title = 'Last segment / average';
+            table.appendChild(row);
+            this.rows.set(key, row);
+        });
+        element.appendChild(table);
+    }
+
+    // stages: { recognition, segmentation, ..., total }; missing stages show as --
+    record(stages) {
+        this.samples.push(stages);
+        if (this.samples.length > this.size) this.samples.shift();
+
+        const averageTotal = average(this.samples, 'total');
+        STAGES.forEach(({ key }) => {
+            const mean = average(this.samples, key);
+            const row = this.rows.get(key);
+            row.querySelector('.latency-last').textContent = formatMs(stages[key]);
+            row.querySelector('.latency-average').textContent = formatMs(mean);
+            const share = mean !== null && averageTotal ? Math.min(1, mean / averageTotal) : 0;
+            row.querySelector('.latency-bar span').style.width = `${Math.round(share * 100)}%`;
+        });
+        this.summary.textContent = `Latency: ${formatMs(stages.total)}`;
+    }
+
+    showPing(ms) {
+        this.pings.push({ ping: ms });
+        if (this.pings.length > this.size) this.pings.shift();
+
+        const row = this.rows.get('ping');
+        row.querySelector('.latency-last').textContent = formatMs(ms);
+        row.querySelector('.latency-average').textContent = formatMs(average(this.pings, 'ping'));
+        if (!this.samples.length) {
+            this.summary.textContent = `Latency: ${formatMs(ms)}`;
+        }
+    }
+}
+
+function average(samples, key) {
+    const values = samples.map(sample => sample[key]).filter(value => typeof value === 'number');
+    if (!values.length) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function formatMs(value) {
+    return typeof value === 'number' ? `${Math.round(value)} ms` : '-- ms';
+}
@@ -0,0 +1,136 @@
+// Prometheus metrics in the text exposition format, served on /api/metrics.
+//
+// Counters and histograms keep one series per combination of label values;
+// gauges are read from a callback when the metrics are rendered.
+
+// Seconds; from a cache hit to a slow provider call
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = seriesKey(this.labelNames, labels);
+        this.series.set(key, (this.series.get(key) || 0) + value);
+    }
+
+    render() {
+        const lines = header(this, 'counter');
+        for (const [key, value] of this.series) {
+            lines.push(`${this.name}${formatLabels(key)} ${value}`);
+        }
+        return lines;
+    }
+}
+
+class Histogram {
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.series = new Map();
+    }
+
+    observe(labels = {}, value) {
+        if (!Number.isFinite(value) || value < 0) return;
+
+        const key = seriesKey(this.labelNames, labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const series = this.series.get(key);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = header(this, 'histogram');
+        for (const [key, series] of this.series) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels(key, ['le', String(bound)])} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(key, ['le', '+Inf'])} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(key)} ${+series.sum.toFixed(6)}`);
+            lines.push(`${this.name}_count${formatLabels(key)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class Gauge {
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+    }
+
+    render() {
+        const lines = header(this, 'gauge');
+        // collect() returns a number, or [{ labels, value }] for labelled series
+        const values = this.collect();
+        const series = Array.isArray(values) ? values : [{ labels: {}, value: values }];
+        series.forEach(({ labels, value }) => {
+            const names = Object.keys(labels);
+            lines.push(`${this.name}${formatLabels(seriesKey(names, labels))} ${Number(value) || 0}`);
+        });
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    gauge(name, help, collect) {
+        return this.register(new Gauge(name, help, collect));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    render() {
+        return this.metrics.map(metric => metric.render().join('\n')).join('\n\n') + '\n';
+    }
+}
+
+// Label values in the order of labelNames, as a JSON key
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => [name, String(labels[name] ?? '')]));
+}
+
+function formatLabels(key, extra = null) {
+    const pairs = JSON.parse(key);
+    if (extra) pairs.push(extra);
+    if (!pairs.length) return '';
+    return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function escapeLabel(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function header(metric, type) {
+    return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${type}`];
+}
+
+module.exports = { MetricsRegistry, DEFAULT_BUCKETS };
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MetricsRegistry } = require('./metrics');
+
+test('renders counters with one series per label combination', () => {
+    const registry = new MetricsRegistry();
+    const segments = registry.counter('segments_total', 'Segments translated', ['provider', 'target']);
+
+    segments.inc({ provider: 'deepl', target: 'es' });
+    segments.inc({ target: 'es', provider: 'deepl' }, 2);
+    segments.inc({ provider: 'a "quoted"\\name\n', target: 'fr' });
+
+    assert.strictEqual(registry.render(), [
+        '# HELP segments_total Segments translated',
+        '# TYPE segments_total counter',
+        'segments_total{provider="deepl",target="es"} 3',
+        'segments_total{provider="a \\"quoted\\"\\\\name\\n",target="fr"} 1',
+        ''
+    ].join('\n'));
+});
+
+test('counts histogram observations into cumulative buckets', () => {
+    const registry = new MetricsRegistry();
+    const latency = registry.histogram('latency_seconds', 'Latency', ['stage'], [1, 0.1]);
+
+    [0.05, 0.5, 3].forEach(value => latency.observe({ stage: 'translate' }, value));
+    latency.observe({ stage: 'translate' }, -1);
+    latency.observe({ stage: 'translate' }, NaN);
+
+    assert.deepStrictEqual(latency.render().slice(2), [
+        'latency_seconds_bucket{stage="translate",le="0.1"} 1',
+        'latency_seconds_bucket{stage="translate",le="1"} 2',
+        'latency_seconds_bucket{stage="translate",le="+Inf"} 3',
+        'latency_seconds_sum{stage="translate"} 3.55',
+        'latency_seconds_count{stage="translate"} 3'
+    ]);
+});
+
+test('reads gauges when rendering and separates metrics with a blank line', () => {
+    const registry = new MetricsRegistry();
+    let sessions = 2;
+    registry.gauge('sessions', 'Active sessions', () => sessions);
+    registry.gauge('provider_up', 'Provider health', () => [
+        { labels: { provider: 'deepl' }, value: 1 },
+        { labels: { provider: 'google' }, value: undefined }
+    ]);
+
+    sessions = 5;
+    assert.strictEqual(registry.render(), [
+        '# HELP sessions Active sessions',
+        '# TYPE sessions gauge',
+        'sessions 5',
+        '',
+        '# HELP provider_up Provider health',
+        '# TYPE provider_up gauge',
+        'provider_up{provider="deepl"} 1',
+        'provider_up{provider="google"} 0',
+        ''
+    ].join('\n'));
+});
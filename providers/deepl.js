@@ -0,0 +1,155 @@
+const axios = require('axios');
+const TranslationProvider = require('./provider');
+const { toTsv, translateProtected } = require('../glossary');
+
+// Used until the /languages listing has loaded
+const TARGET_LANGUAGES = [
+    'ar', 'bg', 'cs', 'da', 'de', 'el', 'en-GB', 'en-US', 'es', 'et', 'fi', 'fr', 'hu', 'id', 'it', 'ja',
+    'ko', 'lt', 'lv', 'nb', 'nl', 'pl', 'pt-BR', 'pt-PT', 'ro', 'ru', 'sk', 'sl', 'sv', 'tr', 'uk', 'zh'
+];
+
+class DeepLTranslationProvider extends TranslationProvider {
+    constructor(options = {}) {
+        super('deepl', {
+            capabilities: { languages: TARGET_LANGUAGES, batching: 50, glossary: true, formality: true },
+            configSchema: {
+                apiKey: { env: 'DEEPL_API_KEY', required: true, secret: true, description: 'DeepL authentication key' },
+                apiUrl: { env: 'DEEPL_API_URL', default: 'https://api-free.deepl.com/v2', description: 'DeepL API base URL (use https://api.deepl.com/v2 for Pro)' }
+            }
+        }, options);
+
+        // English and Portuguese targets need a variant
+        this.languageAliases = { en: 'EN-US', pt: 'PT-PT' };
+
+        // DeepL glossary ids, keyed by session glossary version and language pair
+        this.glossaries = new Map();
+    }
+
+    getHeaders() {
+        return {
+            'Authorization': `DeepL-Auth-Key ${this.config.apiKey}`,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    // Glossaries are applied natively when the source language is known;
+    // otherwise glossary terms are protected with placeholders
+    async translate(texts, sourceLanguage, targetLanguage, options = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('DeepL API key not configured');
+        }
+
+        const { glossary, formality } = options;
+        if (glossary) {
+            const glossaryId = sourceLanguage && sourceLanguage !== 'auto'
+                ? await this.getGlossary(glossary, sourceLanguage, targetLanguage)
+                : null;
+            if (!glossaryId) {
+                return await translateProtected(texts, glossary, targetLanguage,
+                    (protectedTexts) => this.request(protectedTexts, sourceLanguage, targetLanguage, { formality }));
+            }
+            return await this.request(texts, sourceLanguage, targetLanguage, { formality, glossaryId });
+        }
+
+        return await this.request(texts, sourceLanguage, targetLanguage, { formality });
+    }
+
+    async request(texts, sourceLanguage, targetLanguage, { formality, glossaryId } = {}) {
+        // Without source_lang DeepL detects the language
+        const body = {
+            text: texts,
+            target_lang: targetLanguage.toUpperCase()
+        };
+        if (sourceLanguage) {
+            body.source_lang = sourceLanguage.toUpperCase();
+        }
+        // Glossaries need the plain source language the glossary was made for
+        if (glossaryId) {
+            body.glossary_id = glossaryId;
+            body.source_lang = sourceLanguage.split('-')[0].toUpperCase();
+        }
+        // prefer_* falls back silently for languages without formality
+        if (formality) {
+            body.formality = `prefer_${formality}`;
+        }
+
+        const response = await axios.post(`${this.config.apiUrl}/translate`, body, {
+            headers: this.getHeaders(),
+            timeout: this.timeout
+        });
+
+        return response.data.translations.map(translation => ({
+            text: translation.text,
+            detectedLanguage: translation.detected_source_language && translation.detected_source_language.toLowerCase()
+        }));
+    }
+
+    async listLanguages() {
+        if (!this.isConfigured()) return null;
+
+        const list = async (type) => {
+            const response = await axios.get(`${this.config.apiUrl}/languages`, {
+                params: { type },
+                headers: this.getHeaders(),
+                timeout: this.timeout
+            });
+            return response.data.map(language => language.language);
+        };
+        const [source, target] = await Promise.all([list('source'), list('target')]);
+        return { source, target };
+    }
+
+    // Checking usage validates the key without spending characters
+    async probe() {
+        if (!this.isConfigured()) {
+            throw new Error('DeepL API key not configured');
+        }
+        await axios.get(`${this.config.apiUrl}/usage`, { headers: this.getHeaders(), timeout: this.timeout });
+    }
+
+    // Create (once per glossary version and language pair) the DeepL copy of a
+    // session glossary. Resolves to null when DeepL cannot hold it, e.g. for an
+    // unsupported language pair, so the caller falls back to placeholders.
+    getGlossary(glossary, sourceLanguage, targetLanguage) {
+        const source = sourceLanguage.split('-')[0].toLowerCase();
+        const target = targetLanguage.split('-')[0].toLowerCase();
+        const key = `${glossary.id}@${glossary.version}|${source}|${target}`;
+
+        if (!this.glossaries.has(key)) {
+            this.releaseGlossary(glossary.id, glossary.version);
+
+            const created = axios.post(`${this.config.apiUrl}/glossaries`, {
+                name: `session-${glossary.id}-v${glossary.version}-${source}-${target}`,
+                source_lang: source,
+                target_lang: target,
+                entries: toTsv(glossary, targetLanguage),
+                entries_format: 'tsv'
+            }, {
+                headers: this.getHeaders(),
+                timeout: this.timeout
+            }).then(response => response.data.glossary_id).catch(error => {
+                console.log(`⚠️ DeepL glossary unavailable for ${source}->${target}: ${error.message}`);
+                return null;
+            });
+            this.glossaries.set(key, created);
+        }
+
+        return this.glossaries.get(key);
+    }
+
+    // Delete DeepL glossaries left over from older versions of a session glossary,
+    // or all of them when version is omitted
+    releaseGlossary(glossaryId, version) {
+        for (const [key, created] of this.glossaries) {
+            if (!key.startsWith(`${glossaryId}@`) || key.startsWith(`${glossaryId}@${version}|`)) continue;
+
+            this.glossaries.delete(key);
+            created.then(id => id && axios.delete(`${this.config.apiUrl}/glossaries/${id}`, {
+                headers: this.getHeaders(),
+                timeout: this.timeout
+            })).catch(error => console.log(`⚠️ Failed to delete DeepL glossary: ${error.message}`));
+        }
+    }
+}
+
+module.exports = DeepLTranslationProvider;
@@ -0,0 +1,50 @@
+const { Translate } = require('@google-cloud/translate').v2;
+const TranslationProvider = require('./provider');
+
+class GoogleTranslationProvider extends TranslationProvider {
+    constructor(options = {}) {
+        super('google', {
+            capabilities: { batching: 128 },
+            configSchema: {
+                apiKey: { env: 'GOOGLE_TRANSLATE_API_KEY', required: true, secret: true, description: 'Google Cloud Translation API key' }
+            }
+        }, options);
+
+        this.client = this.isConfigured() ? new Translate({ key: this.config.apiKey }) : null;
+    }
+
+    async translate(texts, sourceLanguage, targetLanguage) {
+        if (!this.client) {
+            throw new Error('Google Translate not initialized');
+        }
+
+        const [translations, response] = await this.client.translate(texts, {
+            from: sourceLanguage || undefined,
+            to: targetLanguage
+        });
+
+        const detected = (response && response.data && response.data.translations) || [];
+        return [].concat(translations).map((text, i) => ({
+            text,
+            detectedLanguage: detected[i] && detected[i].detectedSourceLanguage
+        }));
+    }
+
+    async listLanguages() {
+        if (!this.client) return null;
+
+        const [languages] = await this.client.getLanguages();
+        const codes = languages.map(language => language.code);
+        return { source: codes, target: codes };
+    }
+
+    // Listing languages checks the key without translating anything
+    async probe() {
+        if (!this.client) {
+            throw new Error('Google Translate not initialized');
+        }
+        await this.client.getLanguages();
+    }
+}
+
+module.exports = GoogleTranslationProvider;
@@ -0,0 +1,162 @@
+// Health of one translation provider: a circuit breaker plus rolling latency
+// and error statistics.
+//
+// The breaker is closed while the provider works. After `threshold` failures
+// in a row it opens and the provider is skipped for a backoff period that
+// doubles with every trip (baseBackoffMs, 2x, 4x ... up to maxBackoffMs). Once
+// the backoff has passed, one request (a live one or a health probe) is let
+// through half-open: success closes the breaker, failure opens it again.
+// A failed health probe opens the breaker straight away.
+class ProviderHealth {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.threshold = options.threshold || 3;
+        this.baseBackoffMs = options.baseBackoffMs || 5000;
+        this.maxBackoffMs = options.maxBackoffMs || 5 * 60 * 1000;
+        this.windowMs = options.windowMs || 5 * 60 * 1000;
+        this.maxSamples = options.maxSamples || 500;
+        this.degradedErrorRate = options.degradedErrorRate || 0.2;
+        this.minSamples = options.minSamples || 5; // Before the error rate counts
+
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.trips = 0;
+        this.openedAt = null;
+        this.retryAt = null;
+        this.trialInFlight = false;
+        this.samples = [];
+        this.lastError = null;
+        this.lastProbe = null;
+    }
+
+    // Whether a request may go to the provider now; claims the half-open trial
+    canRequest(now = Date.now()) {
+        if (this.state === 'closed') return true;
+
+        if (this.state === 'open' && now >= this.retryAt) {
+            this.state = 'half-open';
+            this.trialInFlight = false;
+        }
+        if (this.state === 'half-open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess(latency) {
+        this.addSample(latency, true);
+        this.consecutiveFailures = 0;
+
+        if (this.state !== 'closed') {
+            console.log(`✅ Translation provider ${this.name} recovered`);
+        }
+        this.state = 'closed';
+        this.trips = 0;
+        this.openedAt = null;
+        this.retryAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure(error, latency) {
+        this.addSample(latency, false);
+        this.consecutiveFailures++;
+        this.lastError = { message: error.message, at: Date.now() };
+
+        if (this.state === 'half-open' || (this.state === 'closed' && this.consecutiveFailures >= this.threshold)) {
+            this.open();
+        }
+    }
+
+    // The provider answered but rejected the request itself, e.g. an unsupported
+    // language code: not a failure, and not a reason to forget earlier ones.
+    // It does show a half-open provider is reachable again.
+    recordRequestError(latency) {
+        if (this.state === 'half-open') {
+            this.recordSuccess(latency);
+        } else {
+            this.addSample(latency, true);
+        }
+    }
+
+    open() {
+        const backoff = Math.min(this.baseBackoffMs * 2 ** this.trips, this.maxBackoffMs);
+        this.trips++;
+        this.state = 'open';
+        this.openedAt = Date.now();
+        this.retryAt = this.openedAt + backoff;
+        this.trialInFlight = false;
+        console.log(`⚠️ Translation provider ${this.name} disabled for ${Math.round(backoff / 1000)}s after repeated failures`);
+    }
+
+    recordProbe(ok, latency, error = null) {
+        this.lastProbe = { ok, latency, at: Date.now(), error: error ? error.message : undefined };
+        if (ok) {
+            this.recordSuccess(latency);
+        } else {
+            this.recordFailure(error, latency);
+            if (this.state === 'closed') this.open();
+        }
+    }
+
+    addSample(latency, ok) {
+        this.samples.push({ at: Date.now(), latency, ok });
+        this.pruneSamples();
+    }
+
+    pruneSamples(now = Date.now()) {
+        const cutoff = now - this.windowMs;
+        while (this.samples.length && (this.samples[0].at < cutoff || this.samples.length > this.maxSamples)) {
+            this.samples.shift();
+        }
+    }
+
+    getStats() {
+        this.pruneSamples();
+        const latencies = this.samples.map(sample => sample.latency).sort((a, b) => a - b);
+        const errors = this.samples.filter(sample => !sample.ok).length;
+
+        return {
+            windowMs: this.windowMs,
+            requests: this.samples.length,
+            errors,
+            errorRate: this.samples.length ? +(errors / this.samples.length).toFixed(3) : 0,
+            latency: {
+                avg: latencies.length ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+                p50: percentile(latencies, 0.5),
+                p95: percentile(latencies, 0.95)
+            }
+        };
+    }
+
+    // healthy, degraded (working but failing often), down (breaker open) or recovering (half-open)
+    getStatus() {
+        if (this.state === 'open') return 'down';
+        if (this.state === 'half-open') return 'recovering';
+        const stats = this.getStats();
+        return stats.requests >= this.minSamples && stats.errorRate >= this.degradedErrorRate ? 'degraded' : 'healthy';
+    }
+
+    toJSON() {
+        return {
+            status: this.getStatus(),
+            breaker: {
+                state: this.state,
+                consecutiveFailures: this.consecutiveFailures,
+                trips: this.trips,
+                openedAt: this.openedAt && new Date(this.openedAt).toISOString(),
+                retryAt: this.retryAt && new Date(this.retryAt).toISOString()
+            },
+            stats: this.getStats(),
+            lastError: this.lastError && { ...this.lastError, at: new Date(this.lastError.at).toISOString() },
+            lastProbe: this.lastProbe && { ...this.lastProbe, at: new Date(this.lastProbe.at).toISOString() }
+        };
+    }
+}
+
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+module.exports = ProviderHealth;
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ProviderHealth = require('./health');
+
+const OPTIONS = { threshold: 3, baseBackoffMs: 1000, maxBackoffMs: 4000 };
+
+// Backoffs and the sample window count by Date.now(); state changes are logged
+test.beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    t.mock.method(console, 'log', () => {});
+});
+
+function fail(health, times = 1) {
+    for (let i = 0; i < times; i++) {
+        health.recordFailure(new Error('timeout'), 100);
+    }
+}
+
+test('opens after the threshold of failures in a row', () => {
+    const health = new ProviderHealth('test', OPTIONS);
+
+    fail(health, 2);
+    assert.strictEqual(health.state, 'closed');
+    assert.ok(health.canRequest());
+
+    fail(health);
+    assert.strictEqual(health.state, 'open');
+    assert.strictEqual(health.retryAt, 1000);
+    assert.strictEqual(health.canRequest(), false);
+    assert.strictEqual(health.getStatus(), 'down');
+});
+
+test('a success resets the count of failures in a row', () => {
+    const health = new ProviderHealth('test', OPTIONS);
+
+    fail(health, 2);
+    health.recordSuccess(50);
+    fail(health, 2);
+    assert.strictEqual(health.state, 'closed');
+});
+
+test('lets one trial through half-open once the backoff has passed', (t) => {
+    const health = new ProviderHealth('test', OPTIONS);
+    fail(health, 3);
+
+    t.mock.timers.tick(999);
+    assert.strictEqual(health.canRequest(), false);
+
+    t.mock.timers.tick(1);
+    assert.strictEqual(health.canRequest(), true);
+    assert.strictEqual(health.getStatus(), 'recovering');
+    assert.strictEqual(health.canRequest(), false);
+
+    health.recordSuccess(50);
+    assert.strictEqual(health.state, 'closed');
+    assert.strictEqual(health.trips, 0);
+    assert.ok(health.canRequest());
+});
+
+test('doubles the backoff every time the trial fails, up to the maximum', (t) => {
+    const health = new ProviderHealth('test', OPTIONS);
+    fail(health, 3);
+
+    const backoffs = [health.retryAt - health.openedAt];
+    for (let i = 0; i < 3; i++) {
+        t.mock.timers.tick(health.retryAt - Date.now());
+        assert.ok(health.canRequest());
+        fail(health);
+        backoffs.push(health.retryAt - health.openedAt);
+    }
+    assert.deepStrictEqual(backoffs, [1000, 2000, 4000, 4000]);
+});
+
+test('rejected requests neither count as failures nor reset the streak', (t) => {
+    const health = new ProviderHealth('test', OPTIONS);
+
+    fail(health, 2);
+    health.recordRequestError(30);
+    health.recordRequestError(30);
+    assert.strictEqual(health.state, 'closed');
+    fail(health);
+    assert.strictEqual(health.state, 'open');
+
+    // Once half-open, an answer of any kind shows the provider is back
+    t.mock.timers.tick(1000);
+    assert.ok(health.canRequest());
+    health.recordRequestError(30);
+    assert.strictEqual(health.state, 'closed');
+});
+
+test('a failed probe opens the breaker straight away and a good one closes it', (t) => {
+    const health = new ProviderHealth('test', OPTIONS);
+
+    health.recordProbe(false, 100, new Error('unreachable'));
+    assert.strictEqual(health.state, 'open');
+    assert.deepStrictEqual(health.lastProbe, { ok: false, latency: 100, at: 0, error: 'unreachable' });
+
+    t.mock.timers.tick(1000);
+    health.recordProbe(true, 20);
+    assert.strictEqual(health.state, 'closed');
+    assert.strictEqual(health.getStatus(), 'healthy');
+});
+
+test('reports degraded when the error rate is high but the breaker is closed', () => {
+    const health = new ProviderHealth('test', OPTIONS);
+
+    for (let i = 0; i < 4; i++) {
+        health.recordSuccess(100 * (i + 1));
+        fail(health);
+    }
+    assert.strictEqual(health.state, 'closed');
+    assert.strictEqual(health.getStatus(), 'degraded');
+
+    const stats = health.getStats();
+    assert.strictEqual(stats.requests, 8);
+    assert.strictEqual(stats.errors, 4);
+    assert.strictEqual(stats.errorRate, 0.5);
+});
+
+test('drops samples that fall out of the window', (t) => {
+    const health = new ProviderHealth('test', { ...OPTIONS, windowMs: 1000 });
+
+    fail(health);
+    t.mock.timers.tick(500);
+    health.recordSuccess(10);
+    t.mock.timers.tick(700);
+    assert.strictEqual(health.getStats().requests, 1);
+    assert.strictEqual(health.getStats().errors, 0);
+});
@@ -0,0 +1,102 @@
+const path = require('path');
+const GoogleTranslationProvider = require('./google');
+const MicrosoftTranslationProvider = require('./microsoft');
+const { AzureTranslationProvider } = MicrosoftTranslationProvider;
+const DeepLTranslationProvider = require('./deepl');
+const LibreTranslateProvider = require('./libreTranslate');
+const LlmTranslationProvider = require('./llm');
+
+const BUILTIN_PROVIDERS = [
+    GoogleTranslationProvider,
+    AzureTranslationProvider,
+    DeepLTranslationProvider,
+    MicrosoftTranslationProvider,
+    LibreTranslateProvider,
+    LlmTranslationProvider
+];
+
+// All known providers plus the order in which enabled ones are tried.
+//
+// TRANSLATION_PROVIDERS lists the enabled providers in priority order, e.g.
+// "deepl,google". Registered providers left out of it stay available to
+// /api/translation/test-service but are never used for live translation.
+// TRANSLATION_PROVIDER_MODULES loads extra providers: a comma-separated list of
+// module paths (relative to the working directory), each exporting a
+// TranslationProvider subclass.
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.order = [];
+    }
+
+    register(provider) {
+        if (this.providers.has(provider.name)) {
+            throw new Error(`Translation provider "${provider.name}" is already registered`);
+        }
+        this.providers.set(provider.name, provider);
+        return provider;
+    }
+
+    has(name) {
+        return this.providers.has(name);
+    }
+
+    get(name) {
+        return this.providers.get(name);
+    }
+
+    getNames() {
+        return Array.from(this.providers.keys());
+    }
+
+    setOrder(names) {
+        const unknown = names.filter(name => !this.providers.has(name));
+        if (unknown.length) {
+            console.error(`❌ Unknown translation providers ignored: ${unknown.join(', ')}`);
+        }
+        this.order = names.filter(name => this.providers.has(name));
+    }
+
+    isEnabled(name) {
+        return this.order.includes(name);
+    }
+
+    // Enabled, configured providers that can translate the language pair, by priority
+    getChain(targetLanguage, sourceLanguage = null) {
+        return this.order
+            .map(name => this.providers.get(name))
+            .filter(provider => provider.isConfigured() &&
+                provider.supportsLanguage(targetLanguage, 'target') &&
+                provider.supportsLanguage(sourceLanguage, 'source'));
+    }
+}
+
+function createProviderRegistry(options = {}) {
+    const registry = new ProviderRegistry();
+    BUILTIN_PROVIDERS.forEach(Provider => registry.register(new Provider()));
+
+    const modules = parseList(options.modules ?? process.env.TRANSLATION_PROVIDER_MODULES);
+    for (const modulePath of modules) {
+        try {
+            const Provider = require(path.resolve(modulePath));
+            const provider = registry.register(new Provider());
+            console.log(`✅ Loaded translation provider "${provider.name}" from ${modulePath}`);
+        } catch (error) {
+            console.error(`❌ Failed to load translation provider ${modulePath}:`, error.message);
+        }
+    }
+
+    const order = parseList(options.order ?? process.env.TRANSLATION_PROVIDERS);
+    registry.setOrder(order.length ? order : registry.getNames());
+    return registry;
+}
+
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+    ProviderRegistry,
+    createProviderRegistry,
+    TranslationProvider: require('./provider')
+};
@@ -0,0 +1,71 @@
+const axios = require('axios');
+const TranslationProvider = require('./provider');
+
+// Self-hosted LibreTranslate (Argos Translate) or any server with the same API.
+// The supported languages come from the server's /languages endpoint.
+class LibreTranslateProvider extends TranslationProvider {
+    constructor(options = {}) {
+        super('libretranslate', {
+            capabilities: { batching: 25 },
+            configSchema: {
+                url: { env: 'LIBRETRANSLATE_URL', required: true, description: 'Base URL of the LibreTranslate server' },
+                apiKey: { env: 'LIBRETRANSLATE_API_KEY', secret: true, description: 'API key, if the server requires one' }
+            }
+        }, options);
+
+        if (this.isConfigured()) {
+            this.config.url = this.config.url.replace(/\/+$/, '');
+        }
+    }
+
+    // Every listed language is a source; the targets of all of them are the targets
+    async listLanguages() {
+        if (!this.isConfigured()) return null;
+
+        const response = await axios.get(`${this.config.url}/languages`, { timeout: this.timeout });
+        const targets = new Set();
+        response.data.forEach(language => {
+            (language.targets || [language.code]).forEach(target => targets.add(target));
+        });
+
+        return {
+            source: response.data.map(language => language.code),
+            target: Array.from(targets)
+        };
+    }
+
+    async translate(texts, sourceLanguage, targetLanguage) {
+        if (!this.isConfigured()) {
+            throw new Error('LibreTranslate URL not configured');
+        }
+
+        const body = {
+            q: texts,
+            source: sourceLanguage || 'auto',
+            target: targetLanguage,
+            format: 'text'
+        };
+        if (this.config.apiKey) {
+            body.api_key = this.config.apiKey;
+        }
+
+        const response = await axios.post(`${this.config.url}/translate`, body, { timeout: this.timeout });
+        // detectedLanguage only comes back for source 'auto': one per text, or a single one
+        const { translatedText, detectedLanguage } = response.data;
+        const detected = [].concat(detectedLanguage || []);
+
+        return [].concat(translatedText).map((text, i) => ({
+            text,
+            detectedLanguage: (detected[i] || detected[0] || {}).language
+        }));
+    }
+
+    async probe() {
+        if (!this.isConfigured()) {
+            throw new Error('LibreTranslate URL not configured');
+        }
+        await this.loadLanguages();
+    }
+}
+
+module.exports = LibreTranslateProvider;
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LibreTranslateProvider = require('./libreTranslate');
+const { createLibreTranslateStub } = require('./libreTranslateStub');
+
+// A stub server on a free port, and a provider pointed at it
+async function start(t, { apiKey = null, providerKey = apiKey } = {}) {
+    const server = createLibreTranslateStub({ apiKey });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return new LibreTranslateProvider({ url: `http://127.0.0.1:${server.address().port}/`, apiKey: providerKey });
+}
+
+test('lists every language as a source and all their targets', async (t) => {
+    const provider = await start(t);
+
+    const listing = await provider.listLanguages();
+    assert.deepStrictEqual(listing.source, ['en', 'es', 'de', 'fr']);
+    assert.deepStrictEqual(listing.target.sort(), ['de', 'en', 'es', 'fr']);
+});
+
+test('translates a batch in one request', async (t) => {
+    const provider = await start(t);
+
+    const results = await provider.translate(['hello', 'good morning'], 'en', 'es');
+    assert.deepStrictEqual(results, [
+        { text: '[es] hello', detectedLanguage: undefined },
+        { text: '[es] good morning', detectedLanguage: undefined }
+    ]);
+});
+
+test('reports the detected language when the source is detected', async (t) => {
+    const provider = await start(t);
+
+    const results = await provider.translate(['hello'], null, 'fr');
+    assert.deepStrictEqual(results, [{ text: '[fr] hello', detectedLanguage: 'en' }]);
+});
+
+test('sends the API key and fails when the server rejects it', async (t) => {
+    const accepted = await start(t, { apiKey: 'secret' });
+    assert.deepStrictEqual(await accepted.translate(['hi'], 'en', 'de'), [{ text: '[de] hi', detectedLanguage: undefined }]);
+
+    const rejected = await start(t, { apiKey: 'secret', providerKey: 'wrong' });
+    await assert.rejects(rejected.translate(['hi'], 'en', 'de'), error => error.response.status === 403);
+});
+
+test('probes by loading the language listing', async (t) => {
+    const provider = await start(t);
+
+    await provider.probe();
+    assert.ok(provider.supportsLanguage('es'));
+    assert.ok(!provider.supportsLanguage('ja'));
+});
+
+test('refuses to translate without a URL', async () => {
+    const provider = new LibreTranslateProvider({ url: '' });
+    await assert.rejects(provider.translate(['hi'], 'en', 'es'), /not configured/);
+});
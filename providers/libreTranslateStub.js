@@ -0,0 +1,66 @@
+const http = require('http');
+
+// A minimal LibreTranslate server for tests and local development: /languages
+// lists a few languages, and /translate answers "[target] text" in the same
+// shapes as the real API. Run it with `node providers/libreTranslateStub.js`
+// and set LIBRETRANSLATE_URL=http://localhost:5000.
+const LANGUAGES = [
+    { code: 'en', name: 'English', targets: ['de', 'es', 'fr'] },
+    { code: 'es', name: 'Spanish', targets: ['en', 'fr'] },
+    { code: 'de', name: 'German', targets: ['en'] },
+    { code: 'fr', name: 'French', targets: ['en', 'es'] }
+];
+
+// options.apiKey makes /translate refuse requests without that key
+function createLibreTranslateStub({ apiKey = null } = {}) {
+    return http.createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/languages') {
+            return send(res, 200, LANGUAGES);
+        }
+        if (req.method !== 'POST' || req.url !== '/translate') {
+            return send(res, 404, { error: 'Not found' });
+        }
+
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            let body;
+            try {
+                body = JSON.parse(data);
+            } catch (error) {
+                return send(res, 400, { error: 'Invalid JSON' });
+            }
+            if (apiKey && body.api_key !== apiKey) {
+                return send(res, 403, { error: 'Invalid API key' });
+            }
+
+            const source = LANGUAGES.find(language => language.code === body.source);
+            if (!body.q || (body.source !== 'auto' && !source) || !LANGUAGES.some(language => language.code === body.target)) {
+                return send(res, 400, { error: 'Unsupported language or missing q' });
+            }
+
+            const texts = [].concat(body.q);
+            const translated = texts.map(text => `[${body.target}] ${text}`);
+            const response = { translatedText: Array.isArray(body.q) ? translated : translated[0] };
+            // Like LibreTranslate, only a detected source is reported
+            if (body.source === 'auto') {
+                const detected = texts.map(() => ({ confidence: 90, language: 'en' }));
+                response.detectedLanguage = Array.isArray(body.q) ? detected : detected[0];
+            }
+            send(res, 200, response);
+        });
+    });
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT || '5000', 10);
+    createLibreTranslateStub({ apiKey: process.env.LIBRETRANSLATE_API_KEY || null })
+        .listen(port, () => console.log(`✅ LibreTranslate stub on http://localhost:${port}`));
+}
+
+module.exports = { createLibreTranslateStub };
@@ -0,0 +1,147 @@
+const axios = require('axios');
+const TranslationProvider = require('./provider');
+const { getTerms } = require('../glossary');
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a professional interpreter translating a live conversation from {source} to {target}. ' +
+    'Use the earlier segments only to resolve pronouns, ellipses and terminology. ' +
+    'Reply with the translation of the new segment only, without quotes, notes or explanations.';
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// Any OpenAI-compatible chat completions API: OpenAI, Azure OpenAI, or a local
+// llama.cpp / Ollama / vLLM server. Each segment is sent with the last few
+// segments of the session (options.history) so the model can keep context.
+class LlmTranslationProvider extends TranslationProvider {
+    constructor(options = {}) {
+        super('llm', {
+            configSchema: {
+                url: { env: 'LLM_API_URL', required: true, description: 'Base URL of the chat completions API, e.g. http://localhost:11434/v1' },
+                apiKey: { env: 'LLM_API_KEY', secret: true, description: 'Bearer token, if the server requires one' },
+                model: { env: 'LLM_MODEL', default: 'gpt-4o-mini', description: 'Model name' },
+                systemPrompt: { env: 'LLM_SYSTEM_PROMPT', default: DEFAULT_SYSTEM_PROMPT, description: 'System prompt; {source} and {target} are replaced with language names' },
+                contextSegments: { env: 'LLM_CONTEXT_SEGMENTS', default: '5', description: 'Earlier segments sent as context' },
+                maxContextChars: { env: 'LLM_MAX_CONTEXT_CHARS', default: '2000', description: 'Character budget for the context' },
+                maxTokens: { env: 'LLM_MAX_TOKENS', default: '256', description: 'Most tokens the model may generate per segment' },
+                timeoutMs: { env: 'LLM_TIMEOUT_MS', default: '8000', description: 'Give up (and fall back) after this many milliseconds' }
+            }
+        }, options);
+
+        this.config.url = (this.config.url || '').replace(/\/+$/, '');
+        this.timeout = parseInt(this.config.timeoutMs, 10);
+        // One chat call per segment; a batch runs its calls in parallel
+        this.capabilities.batching = 1;
+        this.capabilities.context = parseInt(this.config.contextSegments, 10);
+        this.capabilities.glossary = true;
+        this.capabilities.formality = true;
+    }
+
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.config.apiKey) {
+            headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+        }
+        return headers;
+    }
+
+    async translate(texts, sourceLanguage, targetLanguage, options = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('LLM API URL not configured');
+        }
+        return await Promise.all(texts.map(text => this.translateSegment(text, sourceLanguage, targetLanguage, options)));
+    }
+
+    async translateSegment(text, sourceLanguage, targetLanguage, options = {}) {
+        const { system, user } = this.buildPrompt(text, sourceLanguage, targetLanguage, options);
+        const response = await axios.post(`${this.config.url}/chat/completions`, {
+            model: this.config.model,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: user }
+            ],
+            max_tokens: parseInt(this.config.maxTokens, 10),
+            temperature: 0
+        }, {
+            headers: this.getHeaders(),
+            timeout: this.timeout
+        });
+
+        const choice = response.data.choices && response.data.choices[0];
+        const content = choice && choice.message && choice.message.content;
+        if (!content || !content.trim()) {
+            throw new Error('LLM returned an empty translation');
+        }
+        if (choice.finish_reason === 'length') {
+            throw new Error('LLM translation was cut off by LLM_MAX_TOKENS');
+        }
+
+        return content.trim().replace(/^"(.*)"$/s, '$1');
+    }
+
+    // The whole prompt is billed, context and glossary included
+    countCharacters(text, sourceLanguage, targetLanguage, options = {}) {
+        const { system, user } = this.buildPrompt(text, sourceLanguage, targetLanguage, options);
+        return system.length + user.length;
+    }
+
+    buildPrompt(text, sourceLanguage, targetLanguage, { history = [], glossary, formality } = {}) {
+        const source = describeLanguage(sourceLanguage) || 'the detected language';
+        const target = describeLanguage(targetLanguage);
+        const system = this.config.systemPrompt.replace(/\{source\}/g, source).replace(/\{target\}/g, target);
+
+        const parts = [];
+        const context = this.selectContext(history);
+        if (context.length) {
+            parts.push('Earlier segments (for context only, do not translate):');
+            context.forEach(segment => {
+                parts.push(segment.translation ? `- ${segment.text} => ${segment.translation}` : `- ${segment.text}`);
+            });
+            parts.push('');
+        }
+
+        const terms = glossary ? getTerms(glossary, targetLanguage) : [];
+        if (terms.length) {
+            parts.push('Always use these translations, and keep the unchanged terms as they are:');
+            terms.forEach(([term, replacement]) => parts.push(`- ${term} => ${replacement === null ? term : replacement}`));
+            parts.push('');
+        }
+
+        if (formality) {
+            parts.push(`Use a ${formality === 'more' ? 'formal' : 'informal'} register.`);
+        }
+        parts.push(`New segment to translate into ${target}:`, text);
+
+        return { system, user: parts.join('\n') };
+    }
+
+    // The most recent segments that fit in the context budget, oldest first
+    selectContext(history) {
+        const budget = parseInt(this.config.maxContextChars, 10);
+        const selected = [];
+        let used = 0;
+
+        for (const segment of history.slice(-this.capabilities.context).reverse()) {
+            used += segment.text.length + (segment.translation || '').length;
+            if (used > budget) break;
+            selected.unshift(segment);
+        }
+        return selected;
+    }
+
+    async probe() {
+        if (!this.isConfigured()) {
+            throw new Error('LLM API URL not configured');
+        }
+        await axios.get(`${this.config.url}/models`, { headers: this.getHeaders(), timeout: this.timeout });
+    }
+}
+
+function describeLanguage(language) {
+    if (!language || language === 'auto') return null;
+    try {
+        return languageNames.of(language);
+    } catch (error) {
+        return language;
+    }
+}
+
+module.exports = LlmTranslationProvider;
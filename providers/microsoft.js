@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const TranslationProvider = require('./provider');
+
+const GLOBAL_ENDPOINT = 'https://api.cognitive.microsofttranslator.com';
+
+// Microsoft Translator v3. The Azure provider is the same API reached through
+// the regional endpoint of an Azure Cognitive Services resource.
+class MicrosoftTranslationProvider extends TranslationProvider {
+    constructor(options = {}, name = 'microsoft', configSchema = {
+        apiKey: { env: 'MICROSOFT_TRANSLATOR_KEY', required: true, secret: true, description: 'Microsoft Translator subscription key' }
+    }) {
+        super(name, { capabilities: { batching: 100 }, configSchema }, options);
+    }
+
+    getEndpoint() {
+        return GLOBAL_ENDPOINT;
+    }
+
+    async translate(texts, sourceLanguage, targetLanguage) {
+        if (!this.isConfigured()) {
+            throw new Error(`${this.name} translator key not configured`);
+        }
+
+        const response = await axios.post(`${this.getEndpoint()}/translate`, texts.map(text => ({ text })), {
+            params: {
+                'api-version': '3.0',
+                'from': sourceLanguage || undefined,
+                'to': targetLanguage
+            },
+            headers: {
+                'Ocp-Apim-Subscription-Key': this.config.apiKey,
+                'Content-Type': 'application/json',
+                'X-ClientTraceId': crypto.randomUUID()
+            },
+            timeout: this.timeout
+        });
+
+        return response.data.map(item => ({
+            text: item.translations[0].text,
+            detectedLanguage: item.detectedLanguage && item.detectedLanguage.language
+        }));
+    }
+
+    // The language list is public and the same for every region
+    async listLanguages() {
+        const response = await axios.get(`${GLOBAL_ENDPOINT}/languages`, {
+            params: { 'api-version': '3.0', scope: 'translation' },
+            timeout: this.timeout
+        });
+        const codes = Object.keys(response.data.translation);
+        return { source: codes, target: codes };
+    }
+}
+
+class AzureTranslationProvider extends MicrosoftTranslationProvider {
+    constructor(options = {}) {
+        super(options, 'azure', {
+            apiKey: { env: 'AZURE_SPEECH_KEY', required: true, secret: true, description: 'Azure Cognitive Services key' },
+            region: { env: 'AZURE_SPEECH_REGION', required: true, description: 'Azure resource region' }
+        });
+    }
+
+    getEndpoint() {
+        return `https://${this.config.region}.api.cognitive.microsofttranslator.com`;
+    }
+}
+
+module.exports = MicrosoftTranslationProvider;
+module.exports.AzureTranslationProvider = AzureTranslationProvider;
@@ -0,0 +1,142 @@
+const { normalizeCode } = require('../languages');
+
+// Chinese regions without a listing of their own fall back to the same script
+const CHINESE_VARIANTS = { 'zh-HK': 'zh-TW', 'zh-MO': 'zh-TW', 'zh-SG': 'zh-CN' };
+
+// Base class for translation providers. Each provider module exports a subclass
+// that declares:
+//   capabilities - languages: target languages it supports (null = any); replaced
+//                             by the provider's own listing once loaded
+//                  batching:  most texts it accepts in one call
+//                  glossary:  applies session glossaries itself
+//                  formality: honours options.formality ('more' or 'less')
+//                  context:   earlier session segments it wants in options.history
+//                             ([{ text, translation }], oldest first)
+//   configSchema - { option: { env, required, secret, default, description } };
+//                  values come from the constructor options or the env variable
+//   languageAliases - catalogue codes the provider spells differently, e.g. { en: 'EN-US' }
+// and implements:
+//   translate(texts, sourceLanguage, targetLanguage, options) - one translation per text,
+//       either a string or { text, detectedLanguage } when the provider detected the source.
+//       Languages arrive as provider codes (see toProviderCode); the source is null to detect it.
+//   probe() - a cheap request that fails when the provider cannot be used
+//   listLanguages() - optional; { source: [codes], target: [codes] } in the provider's codes
+//   countCharacters(text, sourceLanguage, targetLanguage, options) - optional; the characters
+//       billed for one text, including any prompt or context sent with it (default: the text)
+class TranslationProvider {
+    constructor(name, { capabilities = {}, configSchema = {} } = {}, options = {}) {
+        this.name = name;
+        this.capabilities = {
+            languages: null,
+            batching: 1,
+            glossary: false,
+            formality: false,
+            context: 0,
+            ...capabilities
+        };
+        this.configSchema = configSchema;
+        this.config = readConfig(configSchema, options);
+        this.timeout = options.timeout || 10000;
+        this.languageAliases = {};
+        this.languageCodes = null; // From listLanguages(), once loaded
+    }
+
+    isConfigured() {
+        return Object.entries(this.configSchema)
+            .every(([key, field]) => !field.required || !!this.config[key]);
+    }
+
+    supportsLanguage(language, direction = 'target') {
+        const codes = this.getLanguageCodes(direction);
+        if (!codes || !language || language === 'auto') return true;
+        return !!this.findCode(codes, language);
+    }
+
+    // Provider codes for 'source' or 'target' languages, or null when any is accepted
+    getLanguageCodes(direction) {
+        if (this.languageCodes) return this.languageCodes[direction];
+        return direction === 'target' ? this.capabilities.languages : null;
+    }
+
+    // The provider's code for a catalogue code such as 'pt-BR': the same language
+    // from its listing, its alias, or failing that the plain language.
+    // null for 'auto', so the provider detects the source language.
+    toProviderCode(language, direction = 'target') {
+        if (!language || language === 'auto') return null;
+
+        const codes = this.getLanguageCodes(direction);
+        if (!codes) return this.languageAliases[language] || language;
+        return this.findCode(codes, language) || language.split('-')[0];
+    }
+
+    findCode(codes, language) {
+        const base = language.split('-')[0];
+        const candidates = [language, this.languageAliases[language], CHINESE_VARIANTS[language], base, this.languageAliases[base]]
+            .filter(Boolean)
+            .map(normalizeCode);
+
+        for (const candidate of candidates) {
+            const found = codes.find(code => normalizeCode(code) === candidate);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    // Replace the built-in language list with the provider's own listing
+    async loadLanguages() {
+        const listing = await this.listLanguages();
+        if (listing) {
+            this.languageCodes = listing;
+            this.capabilities.languages = listing.target;
+        }
+        return listing;
+    }
+
+    async listLanguages() {
+        return null;
+    }
+
+    async translate(texts, sourceLanguage, targetLanguage, options = {}) {
+        throw new Error('translate() not implemented');
+    }
+
+    async probe() {
+        await this.translate(['Hello'], 'en', 'es');
+    }
+
+    countCharacters(text, sourceLanguage, targetLanguage, options = {}) {
+        return text.length;
+    }
+
+    // Providers holding server-side state for a session glossary drop it here
+    releaseGlossary(glossaryId) {}
+
+    // Public description for the API; secret values are never included
+    describe() {
+        const config = {};
+        for (const [key, field] of Object.entries(this.configSchema)) {
+            config[key] = {
+                env: field.env,
+                required: !!field.required,
+                description: field.description,
+                value: field.secret ? (this.config[key] ? 'set' : 'not set') : this.config[key] ?? null
+            };
+        }
+        return {
+            name: this.name,
+            configured: this.isConfigured(),
+            capabilities: this.capabilities,
+            config
+        };
+    }
+}
+
+function readConfig(schema, options) {
+    const config = {};
+    for (const [key, field] of Object.entries(schema)) {
+        config[key] = options[key] ?? (field.env && process.env[field.env]) ?? field.default;
+    }
+    return config;
+}
+
+module.exports = TranslationProvider;
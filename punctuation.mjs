@@ -0,0 +1,416 @@
+// Punctuation and casing restoration shared by the browser (app.js) and the
+// server (results of server-side recognition). Recognizers return bare words;
+// translation providers translate "where are you going" far better as
+// "Where are you going?", so one sentence is restored before it is sent.
+//
+// Per language, restorePunctuation():
+//   - ends the sentence with the language's full stop or question mark
+//     (Spanish also opens questions with ¿, French puts a narrow space before ?)
+//   - recognizes questions by their form: a question word first ("how are you",
+//     but not "how I met her"), an inverted verb ("are you", "kannst du",
+//     "pouvez-vous"), a question particle (Hindi क्या, Turkish mi, Chinese 吗)
+//     or a tag after a complete clause ("it's late, isn't it", but not "questo
+//     è vero", where the tag word is the predicate)
+//   - puts a comma after introductory words ("okay, let's go") and before the
+//     conjunctions that take one ("…, but", "…, dass", "…, что")
+//   - capitalizes the first word, words English always capitalizes and
+//     German nouns (common ones, and those with a noun suffix such as -ung)
+//   - turns all-caps transcripts into sentence case
+// Text that already ends in a sentence mark is only recased, so recognizers
+// that punctuate themselves are left alone.
+//
+// findSentenceStarts() finds where a run-on final most likely starts a new
+// sentence, so the sentence segmenter can cut it before it is restored.
+
+// Words a clause needs before a conjunction gets a comma
+const MIN_CLAUSE_WORDS = 2;
+
+// Words each side of a cut in a run-on final
+const MIN_SENTENCE_WORDS = 3;
+
+// Sentence marks per language; Thai marks neither
+const MARKS = {
+    default: { period: '.', question: '?', comma: ',' },
+    fr: { period: '.', question: '\u202f?', comma: ',' },
+    zh: { period: '。', question: '？', comma: '，' },
+    ja: { period: '。', question: '？', comma: '、' },
+    ar: { period: '.', question: '؟', comma: '،' },
+    fa: { period: '.', question: '؟', comma: '،' },
+    ur: { period: '۔', question: '؟', comma: '،' },
+    hi: { period: '।', question: '?', comma: ',' },
+    bn: { period: '।', question: '?', comma: ',' },
+    mr: { period: '।', question: '?', comma: ',' },
+    el: { period: '.', question: ';', comma: ',' },
+    am: { period: '።', question: '?', comma: '፣' },
+    th: null
+};
+
+// Languages written without spaces between words
+const NO_SPACE_LANGUAGES = ['zh', 'ja'];
+
+const ENDS_SENTENCE = /[.!?…。！？؟۔।॥;։።]["'”’»)\]]*$/u;
+
+// questionWords:  start a question, unless followed by one of statementAfter
+// relative:       question words that also open a relative clause, with how many
+//                 words after them a copula makes it one: "which is fine" and
+//                 "what matters is time" are statements, unless a subject or a
+//                 determiner follows the copula ("which is it", "what time is it")
+// copulas / determiners: the verbs and articles that rule looks at
+// inverted:       verbs that start a question when followed by one of subjects
+// inversion:      pattern for an inverted verb-pronoun pair in the first two words
+// questionAnywhere / questionEndings: mark a question wherever they appear / at the end
+// tags:           ending phrases that turn a statement into a question
+// clauseWords:    pronouns and verbs, one of which the clause before a tag needs
+//                 (subjects, statementAfter and inverted count too)
+// predicateBefore: words after which a tag word is part of the clause ("è vero")
+// intro:          opening words followed by a comma
+// commaBefore:    conjunctions preceded by a comma
+// proper:         words always written with these capitals
+// nounPattern:    words capitalized as nouns
+// splitSubjects:  pronouns that, after an inverted verb in the middle of a
+//                 run-on, start a new question ("… do you want to see it")
+// noSplitAfter:   words after which an inverted verb continues the clause
+const RULES = {
+    en: {
+        questionWords: ['what', 'when', 'where', 'who', 'whom', 'whose', 'why', 'how', 'which'],
+        statementAfter: ['i', 'you', 'he', 'she', 'we', 'they', 'a', 'an'],
+        relative: { which: 1, what: 2 },
+        copulas: ['is', 'are', 'was', 'were'],
+        determiners: ['the', 'a', 'an', 'my', 'your', 'his', 'her', 'its', 'our', 'their'],
+        inverted: ['is', 'are', 'am', 'was', 'were', 'do', 'does', 'did', 'can', 'could', 'will', 'would', 'should', 'shall', 'may', 'might', 'have', 'has', 'had',
+            "isn't", "aren't", "wasn't", "weren't", "don't", "doesn't", "didn't", "can't", "couldn't", "won't", "wouldn't", "shouldn't", "haven't", "hasn't"],
+        subjects: ['i', 'you', 'he', 'she', 'it', 'we', 'they', 'there', 'this', 'that', 'these', 'those',
+            'anyone', 'anybody', 'someone', 'somebody', 'everyone', 'everybody', 'anything', 'something'],
+        tags: ["isn't it", "aren't you", "don't you", "didn't you", "don't you think", "isn't that right"],
+        clauseWords: ["i'm", "you're", "he's", "she's", "it's", "we're", "they're", "that's", "there's", 'me', 'him', 'her', 'us', 'them',
+            'go', 'went', 'know', 'knew', 'like', 'liked', 'want', 'wanted', 'think', 'thought', 'said', 'saw', 'came', 'got', 'made'],
+        intro: ['okay', 'ok', 'yes', 'yeah', 'oh', 'however', 'actually', 'anyway', 'hello', 'sorry', 'of course', 'by the way',
+            'in fact', 'for example', 'for instance', 'unfortunately', 'honestly', 'basically', 'obviously', 'meanwhile'],
+        commaBefore: ['but', 'although', 'though', 'whereas'],
+        splitSubjects: ['i', 'you', 'he', 'she', 'we', 'they'],
+        noSplitAfter: ['and', 'or', 'but', 'nor', 'than', 'as', 'so', 'neither', 'only', 'not', 'that', 'if', 'whether'],
+        proper: toProper(['I', "I'm", "I've", "I'll", "I'd",
+            'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+            'January', 'February', 'April', 'June', 'July', 'August', 'September', 'October', 'November', 'December',
+            'English', 'Spanish', 'French', 'German', 'Italian', 'Portuguese', 'Dutch', 'Russian', 'Chinese', 'Japanese',
+            'Korean', 'Arabic', 'Hindi', 'American', 'British', 'European', 'African', 'Asian'])
+    },
+    es: {
+        questionWords: ['qué', 'cómo', 'cuándo', 'dónde', 'adónde', 'quién', 'quiénes', 'cuál', 'cuáles', 'cuánto', 'cuánta', 'cuántos', 'cuántas', 'por qué'],
+        tags: ['verdad', 'cierto', 'no es cierto'],
+        clauseWords: ['yo', 'tú', 'él', 'ella', 'usted', 'nosotros', 'vosotros', 'ellos', 'ellas', 'ustedes', 'me', 'te', 'se', 'nos',
+            'es', 'son', 'eres', 'soy', 'somos', 'está', 'están', 'estás', 'estoy', 'hay', 'ha', 'has', 'he', 'han', 'hemos',
+            'tiene', 'tienes', 'tengo', 'va', 'vas', 'voy', 'vamos', 'puede', 'puedes', 'quiere', 'quieres', 'sabe', 'sabes',
+            'hace', 'haces', 'viene', 'vienes', 'fue', 'era'],
+        predicateBefore: ['es', 'son', 'era', 'eran', 'fue', 'sea', 'está', 'están', 'parece', 'la', 'una', 'lo', 'de', 'muy', 'tan', 'más'],
+        intro: ['bueno', 'pues', 'sí', 'entonces', 'además', 'sin embargo', 'por ejemplo', 'por cierto', 'hola', 'oye', 'vale', 'de hecho'],
+        commaBefore: ['pero', 'aunque']
+    },
+    fr: {
+        questionWords: ['est-ce que', "est-ce qu'il", "est-ce qu'elle", "qu'est-ce que", "qu'est-ce qui", 'pourquoi', 'comment', 'quand', 'où',
+            'qui', 'quel', 'quelle', 'quels', 'quelles', 'combien'],
+        // Spoken French asks "comment tu t'appelles", so only third persons mark a statement
+        statementAfter: ['je', 'il', 'elle', 'on', 'ils', 'elles'],
+        inversion: /^[\p{L}']+-(t-)?(je|tu|il|elle|on|nous|vous|ils|elles)$/u,
+        tags: ["n'est-ce pas"],
+        clauseWords: ['tu', 'nous', 'vous', "c'est", "j'ai", 'est', 'sont', 'as', 'a', 'avons', 'avez', 'ont', 'va', 'vas', 'vont', 'fait', 'peut'],
+        intro: ['alors', 'oui', 'eh bien', 'enfin', "d'abord", 'bref', 'pourtant', 'cependant', 'par exemple', 'en fait', 'bonjour', 'salut'],
+        commaBefore: ['mais', 'car']
+    },
+    de: {
+        questionWords: ['was', 'wann', 'wo', 'wer', 'wen', 'wem', 'wessen', 'warum', 'wieso', 'weshalb', 'wie', 'welche', 'welcher', 'welches', 'welchen',
+            'woher', 'wohin', 'womit', 'worüber'],
+        statementAfter: ['ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'man'],
+        inverted: ['ist', 'sind', 'bist', 'seid', 'hast', 'hat', 'haben', 'habt', 'kannst', 'kann', 'können', 'könnt', 'willst', 'will', 'wollen',
+            'darf', 'darfst', 'dürfen', 'soll', 'sollen', 'sollst', 'wirst', 'wird', 'werden', 'gibt', 'war', 'warst', 'waren',
+            'weißt', 'möchtest', 'möchten', 'hättest', 'hätten', 'könntest', 'könnten', 'würdest', 'würden', 'machst', 'kommst', 'gehst'],
+        subjects: ['ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'man', 'das', 'dies', 'jemand'],
+        tags: ['oder', 'nicht wahr', 'ne', 'gell'],
+        clauseWords: ['mich', 'dich', 'uns', 'euch', 'ihn', 'ihm', 'ihnen', 'geht', 'kommt', 'macht', 'gehen', 'kommen', 'machen', 'weiß'],
+        predicateBefore: ['ist', 'sind', 'war', 'waren', 'nicht', 'das', 'die', 'der', 'ein', 'eine', 'und'],
+        intro: ['ja', 'nein', 'naja', 'übrigens', 'jedenfalls', 'zum beispiel', 'allerdings', 'hallo'],
+        // Not "aber", which is mostly a particle ("das ist aber schön")
+        commaBefore: ['sondern', 'dass', 'weil', 'obwohl', 'denn', 'sodass', 'bevor', 'nachdem', 'ob', 'wenn', 'falls'],
+        // Nouns with no lower-case homograph; "morgen", "essen" or "weg" are left alone
+        proper: toProper(['Hause', 'Haus', 'Idee', 'Ideen', 'Zeit', 'Jahr', 'Jahre', 'Jahren', 'Tag', 'Tage', 'Woche', 'Wochen',
+            'Monat', 'Monate', 'Stunde', 'Stunden', 'Minute', 'Minuten', 'Abend', 'Nacht', 'Wetter', 'Mann', 'Frau', 'Kind', 'Kinder',
+            'Leute', 'Mensch', 'Menschen', 'Freund', 'Freunde', 'Freundin', 'Familie', 'Mutter', 'Vater', 'Eltern', 'Bruder', 'Schwester',
+            'Stadt', 'Land', 'Welt', 'Schule', 'Büro', 'Firma', 'Arbeit', 'Problem', 'Probleme', 'Antwort', 'Sache', 'Sachen', 'Ding',
+            'Dinge', 'Geld', 'Auto', 'Zug', 'Hand', 'Kopf', 'Augen', 'Wasser', 'Kaffee', 'Tee', 'Bier', 'Buch', 'Wort', 'Name', 'Namen',
+            'Nummer', 'Termin', 'Meeting', 'Projekt', 'Team', 'Kunde', 'Kunden', 'Beispiel', 'Grund', 'Ende', 'Anfang', 'Teil',
+            'Seite', 'Platz', 'Raum', 'Zimmer', 'Tür', 'Tisch', 'Computer', 'Handy', 'Telefon', 'Nachricht', 'Sprache', 'Hilfe',
+            'Lust', 'Spaß', 'Glück', 'Angst',
+            'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag', 'Sonntag',
+            'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember',
+            'Deutschland', 'Österreich', 'Schweiz', 'Europa']),
+        nounPattern: /^\p{L}{3,}(ungen|ung|heiten|heit|keiten|keit|schaften|schaft|tionen|tion|täten|tät|nisse|nis|ismus)$/u
+    },
+    it: {
+        questionWords: ['chi', 'che cosa', 'cosa', 'come', 'quando', 'dove', 'perché', 'quale', 'quali', 'quanto', 'quanta', 'quanti', 'quante'],
+        statementAfter: ['io', 'tu', 'lui', 'lei', 'noi', 'voi', 'loro'],
+        tags: ['vero', 'giusto', 'non è vero'],
+        clauseWords: ['mi', 'ti', 'ci', 'vi', 'si', 'è', 'sono', 'sei', 'siamo', 'siete', 'ho', 'hai', 'ha', 'abbiamo', 'avete', 'hanno',
+            "c'è", 'era', 'erano', 'fa', 'fai', 'va', 'vai', 'vado', 'può', 'puoi', 'posso', 'viene', 'vieni', 'vuoi', 'vuole', 'sai', 'sa'],
+        predicateBefore: ['è', 'sono', 'sei', 'era', 'erano', 'fu', 'sembra', 'pare', 'il', 'lo', 'la', 'un', 'una', 'del', 'della', 'molto', 'più', 'così'],
+        intro: ['allora', 'sì', 'beh', 'insomma', 'comunque', 'per esempio', 'ciao', 'infatti'],
+        commaBefore: ['ma', 'però', 'sebbene', 'benché']
+    },
+    pt: {
+        questionWords: ['o que', 'o quê', 'como', 'quando', 'onde', 'aonde', 'quem', 'por que', 'por quê', 'qual', 'quais', 'quanto', 'quanta', 'quantos', 'quantas', 'será que'],
+        statementAfter: ['eu', 'tu', 'ele', 'ela', 'nós', 'vós', 'eles', 'elas'],
+        tags: ['né', 'não é', 'certo'],
+        clauseWords: ['você', 'vocês', 'me', 'te', 'se', 'é', 'são', 'está', 'estão', 'estou', 'sou', 'somos', 'tem', 'tens', 'tenho', 'temos',
+            'vai', 'vais', 'vou', 'pode', 'podes', 'posso', 'quer', 'queres', 'sabe', 'foi', 'era'],
+        predicateBefore: ['é', 'são', 'está', 'estão', 'era', 'foi', 'parece', 'o', 'a', 'um', 'uma', 'do', 'da', 'muito', 'mais', 'tão'],
+        intro: ['então', 'sim', 'enfim', 'aliás', 'por exemplo', 'na verdade', 'olá', 'oi'],
+        commaBefore: ['mas', 'porém', 'embora', 'contudo']
+    },
+    nl: {
+        questionWords: ['wat', 'wanneer', 'waar', 'wie', 'waarom', 'hoe', 'welke', 'welk', 'hoeveel'],
+        statementAfter: ['ik', 'jij', 'je', 'hij', 'zij', 'ze', 'we', 'wij', 'jullie'],
+        inverted: ['is', 'zijn', 'ben', 'bent', 'heb', 'hebt', 'heeft', 'hebben', 'kan', 'kun', 'kunt', 'kunnen', 'wil', 'wilt', 'willen',
+            'mag', 'moet', 'ga', 'gaat', 'gaan', 'weet', 'was', 'waren', 'zal', 'zou', 'zullen'],
+        subjects: ['ik', 'jij', 'je', 'u', 'hij', 'zij', 'ze', 'het', 'we', 'wij', 'jullie', 'er', 'dat', 'dit', 'iemand'],
+        tags: ['toch', 'hè'],
+        predicateBefore: ['is', 'zijn', 'en'],
+        intro: ['ja', 'nee', 'nou', 'trouwens', 'bijvoorbeeld', 'hallo', 'oké'],
+        commaBefore: ['maar', 'want', 'hoewel']
+    },
+    ru: {
+        questionWords: ['что', 'как', 'когда', 'где', 'куда', 'откуда', 'кто', 'почему', 'зачем', 'какой', 'какая', 'какое', 'какие', 'сколько', 'чей', 'чья', 'чьё'],
+        questionAnywhere: ['ли'],
+        tags: ['правда', 'не так ли'],
+        clauseWords: ['я', 'ты', 'он', 'она', 'оно', 'мы', 'вы', 'они', 'меня', 'тебя', 'его', 'её', 'нас', 'вас', 'их', 'есть', 'был', 'была', 'было', 'были'],
+        predicateBefore: ['это', 'не', 'и', 'есть', 'был', 'была', 'было', 'были', 'вся', 'чистая'],
+        intro: ['да', 'ну', 'итак', 'конечно', 'кстати', 'например', 'во-первых', 'во-вторых', 'привет', 'здравствуйте', 'впрочем', 'наверное'],
+        commaBefore: ['но', 'а', 'что', 'чтобы', 'потому что', 'который', 'которая', 'которое', 'которые', 'которого', 'которой', 'которым', 'если', 'когда', 'хотя', 'где']
+    },
+    el: {
+        questionWords: ['τι', 'πώς', 'πότε', 'πού', 'ποιος', 'ποια', 'ποιο', 'ποιοι', 'γιατί', 'πόσο', 'πόσα', 'πόσοι'],
+        intro: ['ναι', 'λοιπόν', 'γεια'],
+        commaBefore: ['αλλά', 'όμως', 'επειδή']
+    },
+    tr: {
+        // Turkish question words stand where the answer goes
+        questionAnywhere: ['ne', 'neden', 'niye', 'niçin', 'nasıl', 'nerede', 'nereye', 'nereden', 'kim', 'hangi', 'kaç'],
+        questionParticle: /^(mi|mı|mu|mü)(yim|yım|yum|yüm|sin|sın|sun|sün|yiz|yız|yuz|yüz|siniz|sınız|sunuz|sünüz|dir|dır|dur|dür)?$/u,
+        intro: ['evet', 'hayır', 'yani', 'merhaba'],
+        commaBefore: ['ama', 'fakat', 'çünkü']
+    },
+    ar: {
+        questionWords: ['هل', 'ماذا', 'لماذا', 'كيف', 'متى', 'أين', 'كم', 'أي'],
+        commaBefore: ['لكن', 'ولكن']
+    },
+    fa: {
+        questionWords: ['آیا', 'چرا', 'چطور', 'چگونه', 'کجا', 'کی', 'کدام', 'چند', 'چه'],
+        commaBefore: ['اما', 'ولی', 'چون']
+    },
+    ur: {
+        questionWords: ['کیا', 'کیوں', 'کیسے', 'کب', 'کہاں', 'کون', 'کتنا', 'کتنی', 'کتنے'],
+        commaBefore: ['لیکن', 'کیونکہ']
+    },
+    // Hindi and Bengali question words stay where the answer goes, not first
+    hi: {
+        questionWords: ['क्या'],
+        questionAnywhere: ['क्यों', 'कैसे', 'कब', 'कहाँ', 'कहां', 'कौन', 'कितना', 'कितने', 'कितनी'],
+        commaBefore: ['लेकिन', 'परंतु', 'क्योंकि', 'कि']
+    },
+    bn: {
+        questionAnywhere: ['কি', 'কী', 'কেন', 'কীভাবে', 'কখন', 'কোথায়', 'কে', 'কত'],
+        commaBefore: ['কিন্তু', 'কারণ']
+    },
+    ko: {
+        questionEndings: ['까', '나요', '냐', '죠']
+    },
+    ja: {
+        questionEndings: ['か', 'かな', 'かね']
+    },
+    zh: {
+        // Not 么 or 麼, which also end 什么 and 怎么
+        questionEndings: ['吗', '嗎', '呢'],
+        // Question words also open embedded questions ("我不知道为什么"), so only
+        // A-not-A forms count, and not after a verb that embeds them
+        questionAnywhere: ['是不是', '有没有', '有沒有'],
+        embeddedAfter: ['知道', '曉得', '晓得', '问', '問', '看看', '确定', '確定', '清楚', '记得', '記得'],
+        commaBefore: ['但是', '可是', '所以', '因为', '因為', '而且', '不过', '不過']
+    }
+};
+
+// Restore one sentence of recognized text in `language` (a code like 'en-US';
+// 'auto' or an unknown language only gets a full stop and a capital)
+export function restorePunctuation(text, language = 'en') {
+    // No-break spaces stay, such as the one before a French question mark
+    let sentence = (text || '').replace(/[^\S\u00a0\u202f]+/g, ' ').trim();
+    if (!sentence) return sentence;
+
+    const base = (language || 'en').split('-')[0].toLowerCase();
+    const locale = /^[a-z]{2,3}$/.test(base) ? base : undefined;
+    const rules = RULES[base] || {};
+    const marks = base in MARKS ? MARKS[base] : MARKS.default;
+
+    // Engines that return capitals only get sentence case instead
+    if (/\p{Lu}/u.test(sentence) && !/\p{Ll}/u.test(sentence)) {
+        sentence = sentence.toLocaleLowerCase(locale);
+    }
+
+    if (marks && !ENDS_SENTENCE.test(sentence)) {
+        sentence = NO_SPACE_LANGUAGES.includes(base)
+            ? punctuateCharacters(sentence, rules, marks)
+            : punctuateWords(sentence, rules, marks, base, locale);
+    }
+    return truecase(sentence, rules, locale);
+}
+
+// Word indices (in text split at spaces) where a new sentence most likely
+// starts in unpunctuated text: an inverted question after a statement of its
+// own. Only English and French, whose questions invert; German and Dutch put
+// the verb second in statements too.
+export function findSentenceStarts(text, language = 'en') {
+    const base = (language || 'en').split('-')[0].toLowerCase();
+    const rules = RULES[base] || {};
+    if (!rules.splitSubjects && !rules.inversion) return [];
+
+    const keys = (text || '').trim().split(/\s+/).map(word => word.toLowerCase());
+    const starts = [];
+    let clauseStart = 0;
+    for (let i = MIN_SENTENCE_WORDS; i <= keys.length - MIN_SENTENCE_WORDS; i++) {
+        if (i - clauseStart < MIN_SENTENCE_WORDS) continue;
+        // "what do you think", "how long have you", "would have you"
+        const clause = keys.slice(clauseStart, i);
+        if (clause.some((word, index) => matchPhrase(clause, index, rules.questionWords))) continue;
+        const before = keys[i - 1];
+        if ((rules.noSplitAfter || []).includes(before) || (rules.inverted || []).includes(before)) continue;
+
+        const inverted = (rules.inverted || []).includes(keys[i]) && (rules.splitSubjects || []).includes(keys[i + 1]);
+        if (inverted || (rules.inversion && rules.inversion.test(keys[i]))) {
+            starts.push(i);
+            clauseStart = i;
+        }
+    }
+    return starts;
+}
+
+function punctuateWords(sentence, rules, marks, base, locale) {
+    const words = sentence.split(' ');
+    const keys = words.map(word => word.toLocaleLowerCase(locale).replace(/[,،、;:]$/u, ''));
+    const addComma = (index) => {
+        if (!/[,،、;:]$/u.test(words[index])) words[index] += marks.comma;
+    };
+
+    // "okay, let's go"
+    const intro = matchPhrase(keys, 0, rules.intro);
+    if (intro && keys.length > intro + 1) addComma(intro - 1);
+
+    // "it's late, isn't it"
+    let tagStart = -1;
+    const tags = [...(rules.tags || [])].sort((a, b) => b.split(' ').length - a.split(' ').length);
+    for (const tag of tags) {
+        const length = tag.split(' ').length;
+        const start = keys.length - length;
+        if (start >= MIN_CLAUSE_WORDS && matchPhrase(keys, start, [tag]) === length && isTagClause(keys.slice(intro, start), rules)) {
+            tagStart = start;
+            addComma(start - 1);
+            break;
+        }
+    }
+
+    // "…, but", "…, dass"
+    let clauseStart = intro;
+    const end = tagStart === -1 ? keys.length - 1 : tagStart;
+    for (let i = intro + 1; i < end; i++) {
+        if (i - clauseStart >= MIN_CLAUSE_WORDS && matchPhrase(keys, i, rules.commaBefore)) {
+            addComma(i - 1);
+            clauseStart = i;
+        }
+    }
+
+    const questionStart = isQuestion(keys, intro, rules) ? intro : tagStart;
+    words[words.length - 1] = words[words.length - 1].replace(/[,،、;:]$/u, '');
+    if (questionStart === -1) {
+        return words.join(' ') + marks.period;
+    }
+    if (base === 'es') {
+        words[questionStart] = `¿${words[questionStart]}`;
+    }
+    return words.join(' ') + marks.question;
+}
+
+function punctuateCharacters(sentence, rules, marks) {
+    let text = sentence.replace(/ /g, '');
+    // Conjunctions get a comma unless they open the sentence or follow one
+    for (const word of rules.commaBefore || []) {
+        text = text.replace(new RegExp(`(?<=[^，、,。！？\\s]{2})${word}`, 'gu'), `${marks.comma}${word}`);
+    }
+
+    const question = (rules.questionEndings || []).some(ending => text.endsWith(ending)) ||
+        (rules.questionAnywhere || []).some(word => text.includes(word) &&
+            !(rules.embeddedAfter || []).some(verb => text.slice(0, text.indexOf(word)).includes(verb)));
+    return text + (question ? marks.question : marks.period);
+}
+
+// A tag needs a clause with a pronoun or a verb before it, and is no tag when
+// it completes that clause: "questo è vero", "das ist nicht wahr"
+function isTagClause(clause, rules) {
+    if ((rules.predicateBefore || []).includes(clause[clause.length - 1])) return false;
+    const clauseWords = [...(rules.clauseWords || []), ...(rules.subjects || []), ...(rules.statementAfter || []), ...(rules.inverted || [])];
+    return clause.some(word => clauseWords.includes(word));
+}
+
+function isQuestion(keys, start, rules) {
+    const first = matchPhrase(keys, start, rules.questionWords);
+    if (first && !(rules.statementAfter || []).includes(keys[start + first]) && !isRelativeClause(keys, start, rules)) return true;
+
+    const next = keys[start + 1];
+    if ((rules.inverted || []).includes(keys[start]) && (rules.subjects || []).includes(next)) return true;
+    if (rules.inversion && keys.slice(start, start + 2).some(word => rules.inversion.test(word))) return true;
+
+    if (keys.some(word => (rules.questionAnywhere || []).includes(word))) return true;
+    if (rules.questionParticle && keys.some(word => rules.questionParticle.test(word))) return true;
+
+    const last = keys[keys.length - 1];
+    return (rules.questionEndings || []).some(ending => last.endsWith(ending));
+}
+
+// "which is fine", "what happened was terrible": a copula without a subject
+// after it, so the relative clause continues an earlier sentence or is the
+// subject of this one. "that" followed by a subject opens a clause: "what
+// matters is that we try".
+function isRelativeClause(keys, start, rules) {
+    const offset = (rules.relative || {})[keys[start]];
+    if (!offset || !(rules.copulas || []).includes(keys[start + offset])) return false;
+    const next = keys[start + offset + 1];
+    if (next === undefined) return false;
+    if (next === 'that' && (rules.splitSubjects || []).includes(keys[start + offset + 2])) return true;
+    return !(rules.subjects || []).includes(next) && !(rules.determiners || []).includes(next);
+}
+
+// Number of words of the longest phrase found at keys[index], or 0
+function matchPhrase(keys, index, phrases = []) {
+    let longest = 0;
+    for (const phrase of phrases) {
+        const parts = phrase.split(' ');
+        if (parts.length > longest && parts.every((part, offset) => keys[index + offset] === part)) {
+            longest = parts.length;
+        }
+    }
+    return longest;
+}
+
+function truecase(sentence, rules, locale) {
+    let text = sentence;
+    if (rules.proper || rules.nounPattern) {
+        text = text.replace(/[\p{L}']+/gu, word => {
+            const lower = word.toLocaleLowerCase(locale);
+            if (rules.proper && rules.proper[lower]) return rules.proper[lower];
+            if (rules.nounPattern && rules.nounPattern.test(lower)) return lower[0].toLocaleUpperCase(locale) + word.slice(1);
+            return word;
+        });
+    }
+    // The first letter of every sentence in the text
+    return text.replace(/(^|[.!?。！？؟।]\s+)([¿¡"'“‘«(]*)(\p{Ll})/gu,
+        (match, before, opening, letter) => before + opening + letter.toLocaleUpperCase(locale));
+}
+
+function toProper(words) {
+    return Object.fromEntries(words.map(word => [word.toLowerCase(), word]));
+}
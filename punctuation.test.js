@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Shared with the browser as an ES module
+const loading = import('./punctuation.mjs');
+
+// [text, language, restored]
+const STATEMENTS = [
+    ['i went home', 'en', 'I went home.'],
+    ['i have a meeting on monday', 'en-US', 'I have a meeting on Monday.'],
+    ['okay lets go', 'en', 'Okay, lets go.'],
+    ['it was late but we stayed', 'en', 'It was late, but we stayed.'],
+    ['HELLO THERE', 'en', 'Hello there.'],
+    ['tengo hambre pero no hay comida', 'es', 'Tengo hambre, pero no hay comida.'],
+    ['ich gehe nach hause', 'de', 'Ich gehe nach Hause.'],
+    ['questo è vero', 'it', 'Questo è vero.'],
+    ['我不知道为什么', 'zh', '我不知道为什么。'],
+    ['hello', 'auto', 'Hello.'],
+    ['bonjour', 'th', 'Bonjour']
+];
+
+const WH_CLAUSES = [
+    ['how i met her', 'en', 'How I met her.'],
+    ['what we need is more time', 'en', 'What we need is more time.'],
+    ['which is fine', 'en', 'Which is fine.'],
+    ['which was great fun', 'en', 'Which was great fun.'],
+    ['which is why i left', 'en', 'Which is why I left.'],
+    ['what matters is time', 'en', 'What matters is time.'],
+    ['what happened was terrible', 'en', 'What happened was terrible.'],
+    ['what matters is that we try', 'en', 'What matters is that we try.']
+];
+
+const QUESTIONS = [
+    ['how are you', 'en', 'How are you?'],
+    ['where are you going', 'en', 'Where are you going?'],
+    ['which is it', 'en', 'Which is it?'],
+    ['which one is better', 'en', 'Which one is better?'],
+    ['what is wrong', 'en', 'What is wrong?'],
+    ['what is your name', 'en', 'What is your name?'],
+    ['what time is it', 'en', 'What time is it?'],
+    ['what happened to the car', 'en', 'What happened to the car?'],
+    ['what did you do when it was late', 'en', 'What did you do when it was late?'],
+    ['are you coming', 'en', 'Are you coming?'],
+    ["it's late isn't it", 'en', "It's late, isn't it?"],
+    ['dónde está la estación', 'es', '¿Dónde está la estación?'],
+    ['kannst du mir helfen', 'de', 'Kannst du mir helfen?'],
+    ['où est la gare', 'fr', 'Où est la gare ?'],
+    ['你好吗', 'zh', '你好吗？']
+];
+
+for (const [name, cases] of [['statements', STATEMENTS], ['wh-clauses', WH_CLAUSES], ['questions', QUESTIONS]]) {
+    test(`restores ${name}`, async () => {
+        const { restorePunctuation } = await loading;
+        for (const [text, language, restored] of cases) {
+            assert.strictEqual(restorePunctuation(text, language), restored, `${language}: ${text}`);
+        }
+    });
+}
+
+test('only recases text that is punctuated already', async () => {
+    const { restorePunctuation } = await loading;
+
+    assert.strictEqual(restorePunctuation('are you sure?', 'en'), 'Are you sure?');
+    assert.strictEqual(restorePunctuation('I SAID NO.', 'en'), 'I said no.');
+    assert.strictEqual(restorePunctuation('  ', 'en'), '');
+});
+
+test('finds where an inverted question starts a new sentence', async () => {
+    const { findSentenceStarts } = await loading;
+
+    assert.deepStrictEqual(findSentenceStarts('i finished the report yesterday do you want to see it', 'en'), [5]);
+    assert.deepStrictEqual(findSentenceStarts('what do you think about it', 'en'), []);
+    assert.deepStrictEqual(findSentenceStarts('ich habe es gestern gemacht willst du es sehen', 'de'), []);
+});
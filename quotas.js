@@ -0,0 +1,137 @@
+// Token-bucket quotas for translation requests, kept separately per socket,
+// per session and per API key so one busy client or session cannot use up
+// the capacity of the others.
+//
+// Limits are requests per minute; a bucket holds one minute's worth, so short
+// bursts are fine as long as the average stays under the limit. 0 disables a scope.
+//   TRANSLATION_QUOTA_PER_SOCKET   (default 60)   - each socket; REST callers count per IP
+//   TRANSLATION_QUOTA_PER_SESSION  (default 300)  - all participants of a session together
+//   TRANSLATION_QUOTA_PER_API_KEY  (default 600)  - callers presenting the same API key
+//   TRANSLATION_QUOTA_API_KEYS     e.g. "partner-key:1200,trial-key:30" - per-key overrides
+
+const SCOPES = ['socket', 'session', 'apiKey'];
+
+class TokenBucket {
+    constructor(perMinute, now = Date.now()) {
+        this.capacity = perMinute;
+        this.refillPerMs = perMinute / 60000;
+        this.tokens = perMinute;
+        this.updatedAt = now;
+    }
+
+    refill(now) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    // Milliseconds until `cost` tokens are available (0 = now)
+    waitTime(cost, now) {
+        this.refill(now);
+        if (this.tokens >= cost) return 0;
+        return Math.ceil((cost - this.tokens) / this.refillPerMs);
+    }
+
+    take(cost, now) {
+        this.refill(now);
+        this.tokens -= cost;
+    }
+
+    isFull(now) {
+        this.refill(now);
+        return this.tokens >= this.capacity;
+    }
+}
+
+class TranslationQuotas {
+    constructor(options = {}) {
+        this.limits = {
+            socket: parseLimit(options.socket ?? process.env.TRANSLATION_QUOTA_PER_SOCKET, 60),
+            session: parseLimit(options.session ?? process.env.TRANSLATION_QUOTA_PER_SESSION, 300),
+            apiKey: parseLimit(options.apiKey ?? process.env.TRANSLATION_QUOTA_PER_API_KEY, 600)
+        };
+        this.apiKeyLimits = parseKeyLimits(options.apiKeys ?? process.env.TRANSLATION_QUOTA_API_KEYS);
+        this.buckets = new Map();
+        this.rejected = { socket: 0, session: 0, apiKey: 0 };
+
+        // Full buckets carry no state worth keeping
+        this.pruneTimer = setInterval(() => this.prune(), 60 * 1000);
+        this.pruneTimer.unref();
+    }
+
+    getLimit(scope, id) {
+        if (scope === 'apiKey' && this.apiKeyLimits.has(id)) {
+            return this.apiKeyLimits.get(id);
+        }
+        return this.limits[scope];
+    }
+
+    // Take `cost` requests from every bucket that applies to the caller
+    // ({ socketId, sessionId, apiKey }). Returns null when allowed. Otherwise
+    // nothing is taken and the result names the exhausted scope:
+    // { scope, limit, retryAfterMs }
+    // `reserve` is the share of each bucket that must stay untouched, so
+    // optional requests cannot use up what the essential ones need.
+    consume(caller, cost = 1, { reserve = 0 } = {}) {
+        const ids = { socket: caller.socketId, session: caller.sessionId, apiKey: caller.apiKey };
+        const now = Date.now();
+        const buckets = [];
+
+        for (const scope of SCOPES) {
+            const id = ids[scope];
+            const limit = id ? this.getLimit(scope, id) : 0;
+            if (!limit) continue;
+
+            const key = `${scope}:${id}`;
+            if (!this.buckets.has(key)) {
+                this.buckets.set(key, new TokenBucket(limit, now));
+            }
+            const bucket = this.buckets.get(key);
+
+            const retryAfterMs = bucket.waitTime(cost + limit * reserve, now);
+            if (retryAfterMs > 0) {
+                this.rejected[scope]++;
+                return { scope, limit, retryAfterMs };
+            }
+            buckets.push(bucket);
+        }
+
+        buckets.forEach(bucket => bucket.take(cost, now));
+        return null;
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.isFull(now)) this.buckets.delete(key);
+        }
+    }
+
+    getStats() {
+        return {
+            limitsPerMinute: this.limits,
+            apiKeyOverrides: this.apiKeyLimits.size,
+            activeBuckets: this.buckets.size,
+            rejected: { ...this.rejected }
+        };
+    }
+}
+
+function parseLimit(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const limit = Number(value);
+    return Number.isFinite(limit) && limit >= 0 ? limit : fallback;
+}
+
+function parseKeyLimits(value) {
+    const limits = new Map();
+    (value || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+        const separator = item.lastIndexOf(':');
+        const limit = Number(item.slice(separator + 1));
+        if (separator > 0 && Number.isFinite(limit)) {
+            limits.set(item.slice(0, separator), limit);
+        }
+    });
+    return limits;
+}
+
+module.exports = TranslationQuotas;
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TranslationQuotas = require('./quotas');
+
+// Every scope off unless a test sets it
+const NO_LIMITS = { socket: 0, session: 0, apiKey: 0, apiKeys: '' };
+
+// Buckets refill by Date.now(); the prune interval never fires on its own
+test.beforeEach((t) => t.mock.timers.enable({ apis: ['Date', 'setInterval'] }));
+
+test('allows a burst of one minute worth of requests, then rejects', () => {
+    const quotas = new TranslationQuotas({ ...NO_LIMITS, socket: 3 });
+    const caller = { socketId: 'a' };
+
+    assert.strictEqual(quotas.consume(caller), null);
+    assert.strictEqual(quotas.consume(caller), null);
+    assert.strictEqual(quotas.consume(caller), null);
+    assert.deepStrictEqual(quotas.consume(caller), { scope: 'socket', limit: 3, retryAfterMs: 20000 });
+    assert.strictEqual(quotas.getStats().rejected.socket, 1);
+});
+
+test('refills at the per-minute rate', (t) => {
+    const quotas = new TranslationQuotas({ ...NO_LIMITS, socket: 60 });
+    const caller = { socketId: 'a' };
+    assert.strictEqual(quotas.consume(caller, 60), null);
+
+    t.mock.timers.tick(500);
+    assert.strictEqual(quotas.consume(caller).retryAfterMs, 500);
+
+    t.mock.timers.tick(500);
+    assert.strictEqual(quotas.consume(caller), null);
+    assert.ok(quotas.consume(caller));
+});
+
+test('keeps separate buckets per socket', () => {
+    const quotas = new TranslationQuotas({ ...NO_LIMITS, socket: 1 });
+
+    assert.strictEqual(quotas.consume({ socketId: 'a' }), null);
+    assert.ok(quotas.consume({ socketId: 'a' }));
+    assert.strictEqual(quotas.consume({ socketId: 'b' }), null);
+});
+
+test('takes nothing from any bucket when one scope is exhausted', () => {
+    const quotas = new TranslationQuotas({ ...NO_LIMITS, socket: 10, session: 2 });
+
+    assert.strictEqual(quotas.consume({ socketId: 'a', sessionId: 's' }, 2), null);
+    assert.strictEqual(quotas.consume({ socketId: 'a', sessionId: 's' }).scope, 'session');
+
+    // The rejected request did not cost the socket anything: 8 of 10 remain
+    assert.strictEqual(quotas.consume({ socketId: 'a' }, 8), null);
+    assert.strictEqual(quotas.consume({ socketId: 'a' }).scope, 'socket');
+});
+
+test('applies per-key overrides and skips disabled scopes', () => {
+    const quotas = new TranslationQuotas({ ...NO_LIMITS, apiKey: 1, apiKeys: 'partner:5, broken' });
+
+    assert.strictEqual(quotas.getLimit('apiKey', 'partner'), 5);
+    assert.strictEqual(quotas.getLimit('apiKey', 'other'), 1);
+    assert.strictEqual(quotas.consume({ apiKey: 'partner' }, 5), null);
+    assert.deepStrictEqual(quotas.consume({ apiKey: 'partner' }), { scope: 'apiKey', limit: 5, retryAfterMs: 12000 });
+
+    // The socket limit is 0, so any number of requests per socket is fine
+    for (let i = 0; i < 100; i++) {
+        assert.strictEqual(quotas.consume({ socketId: 'a' }), null);
+    }
+});
+
+test('keeps the reserved share for essential requests', () => {
+    const quotas = new TranslationQuotas({ ...NO_LIMITS, socket: 10 });
+    const caller = { socketId: 'a' };
+
+    assert.strictEqual(quotas.consume(caller, 5, { reserve: 0.5 }), null);
+    assert.strictEqual(quotas.consume(caller, 1, { reserve: 0.5 }).scope, 'socket');
+    assert.strictEqual(quotas.consume(caller, 5), null);
+});
+
+test('prunes buckets once they are full again', (t) => {
+    const quotas = new TranslationQuotas({ ...NO_LIMITS, socket: 60 });
+    quotas.consume({ socketId: 'a' }, 30);
+    quotas.consume({ socketId: 'b' });
+    assert.strictEqual(quotas.getStats().activeBuckets, 2);
+
+    t.mock.timers.tick(1000);
+    quotas.prune();
+    assert.strictEqual(quotas.getStats().activeBuckets, 1);
+
+    t.mock.timers.tick(29000);
+    quotas.prune();
+    assert.strictEqual(quotas.getStats().activeBuckets, 0);
+});
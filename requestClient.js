@@ -0,0 +1,51 @@
+// Client side of the request protocol in socketProtocol.js: every request
+// carries a requestId and is answered through its acknowledgement. A request
+// that times out or fails with a retryable code is sent again with the same
+// requestId, so the server answers it once however often it arrives.
+
+// Codes worth another attempt; the rest would fail the same way again
+const RETRYABLE_CODES = ['TIMEOUT', 'INTERNAL'];
+
+export class RequestError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Resolves to the answer's fields, or rejects with a RequestError
+export async function sendRequest(socket, event, payload = {}, { timeout = 10000, retries = 2, retryDelay = 500 } = {}) {
+    const request = { ...payload, requestId: payload.requestId || createRequestId() };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await emitOnce(socket, event, request, timeout);
+        } catch (error) {
+            if (attempt >= retries || !RETRYABLE_CODES.includes(error.code)) throw error;
+            await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** attempt));
+        }
+    }
+}
+
+function emitOnce(socket, event, request, timeout) {
+    return new Promise((resolve, reject) => {
+        socket.timeout(timeout).emit(event, request, (error, response) => {
+            if (error) {
+                reject(new RequestError('TIMEOUT', `No answer to ${event} within ${timeout} ms`));
+            } else if (!response || !response.ok) {
+                const failure = (response && response.error) || {};
+                reject(new RequestError(failure.code || 'INTERNAL', failure.message || `${event} failed`, failure));
+            } else {
+                resolve(response);
+            }
+        });
+    });
+}
+
+function createRequestId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
@@ -0,0 +1,218 @@
+// Turns Web Speech final results into sentence-sized units before they are
+// translated. Finals arrive at arbitrary boundaries: a run-on final is split
+// at its sentence ends, and a fragment that looks unfinished (few words, or
+// ending in a word like "and" or "the") is held until the next final
+// continues it. A held fragment is let go after `maxWait` ms at the latest.
+// Text without any punctuation is cut where punctuation.mjs finds a new
+// sentence starting ("… yesterday do you want …"), and otherwise at
+// `maxLength` characters, preferably after a comma. Punctuation is restored
+// per unit afterwards, so each sentence gets its own mark.
+//
+// Each unit gets an id when it is emitted ({ id, text, timing }), which the
+// server keeps as the transcript segment id. `timing` is whatever was pushed
+// with the unit's first final, so held time can be measured.
+
+import { findSentenceStarts } from './punctuation.mjs';
+
+// Characters that end a sentence, by language; the default covers Latin,
+// Cyrillic and most other scripts
+const TERMINATORS = {
+    default: '.!?…',
+    zh: '。！？!?',
+    ja: '。！？!?',
+    ko: '.!?。',
+    ar: '.!?؟',
+    fa: '.!?؟',
+    ur: '.!?؟۔',
+    hi: '।॥.!?',
+    bn: '।॥.!?',
+    mr: '।॥.!?',
+    el: '.!;\u037e',
+    hy: '։.!?',
+    am: '።!?',
+    th: '!?'
+};
+
+// Languages written without spaces between sentences
+const NO_SPACE_LANGUAGES = ['zh', 'ja'];
+
+// Abbreviations whose period does not end a sentence
+const ABBREVIATIONS = {
+    en: ['mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'jr', 'sr', 'vs', 'etc', 'e.g', 'i.e', 'inc', 'ltd', 'co', 'no', 'approx'],
+    de: ['dr', 'prof', 'hr', 'fr', 'z.b', 'bzw', 'usw', 'ca', 'nr', 'str', 'd.h', 'u.a', 'evtl'],
+    fr: ['m', 'mme', 'mlle', 'dr', 'pr', 'etc', 'p.ex', 'cf', 'env', 'no'],
+    es: ['sr', 'sra', 'srta', 'dr', 'dra', 'ud', 'uds', 'etc', 'p.ej', 'aprox', 'núm'],
+    it: ['sig', 'sigg', 'dott', 'prof', 'ecc', 'es', 'ca', 'n'],
+    pt: ['sr', 'sra', 'dr', 'dra', 'prof', 'etc', 'p.ex', 'aprox', 'n.º'],
+    nl: ['dhr', 'mevr', 'dr', 'prof', 'bijv', 'enz', 'ca', 'nr', 'o.a'],
+    ru: ['г', 'гг', 'т.е', 'т.д', 'т.п', 'др', 'пр', 'ул', 'им']
+};
+
+// Words a sentence rarely ends with; a fragment ending in one is continued by the next final
+const CONTINUATION_WORDS = {
+    en: ['and', 'or', 'but', 'so', 'because', 'the', 'a', 'an', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'that', 'which', 'who', 'if', 'when', 'than', 'is', 'are', 'was', 'my', 'your', 'our'],
+    es: ['y', 'o', 'pero', 'porque', 'el', 'la', 'los', 'las', 'un', 'una', 'de', 'del', 'a', 'al', 'en', 'con', 'que', 'por', 'para', 'si'],
+    fr: ['et', 'ou', 'mais', 'parce', 'le', 'la', 'les', 'un', 'une', 'de', 'du', 'des', 'à', 'au', 'en', 'avec', 'que', 'qui', 'pour', 'si'],
+    de: ['und', 'oder', 'aber', 'weil', 'der', 'die', 'das', 'ein', 'eine', 'den', 'dem', 'des', 'zu', 'in', 'mit', 'dass', 'wenn', 'für', 'von'],
+    it: ['e', 'o', 'ma', 'perché', 'il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'una', 'di', 'del', 'a', 'in', 'con', 'che', 'per', 'se'],
+    pt: ['e', 'ou', 'mas', 'porque', 'o', 'a', 'os', 'as', 'um', 'uma', 'de', 'do', 'da', 'em', 'com', 'que', 'para', 'se'],
+    nl: ['en', 'of', 'maar', 'omdat', 'de', 'het', 'een', 'van', 'te', 'in', 'met', 'dat', 'als', 'voor']
+};
+
+// Closing quotes and brackets that belong to the sentence before them
+const CLOSERS = '"\'”’»)]}」』）';
+
+const MIN_WORDS = 3;
+
+export default class SentenceSegmenter {
+    constructor({ language = 'en-US', maxWait = 2500, maxLength = 250, onSegment } = {}) {
+        this.maxWait = maxWait;
+        this.maxLength = maxLength;
+        this.onSegment = onSegment || (() => {});
+        this.buffer = '';
+        this.timing = null;
+        this.timer = null;
+        this.setLanguage(language);
+    }
+
+    setLanguage(language) {
+        const base = (language || 'en').split('-')[0].toLowerCase();
+        this.language = base;
+        this.terminators = TERMINATORS[base] || TERMINATORS.default;
+        this.abbreviations = new Set(ABBREVIATIONS[base] || []);
+        this.continuations = new Set(CONTINUATION_WORDS[base] || []);
+        this.joiner = NO_SPACE_LANGUAGES.includes(base) ? '' : ' ';
+    }
+
+    // Add a final recognition result; emits every unit that is complete
+    push(text, timing = null) {
+        const trimmed = (text || '').trim();
+        if (!trimmed) return;
+
+        if (!this.buffer) this.timing = timing;
+        this.buffer = this.buffer ? `${this.buffer}${this.joiner}${trimmed}` : trimmed;
+
+        const sentences = this.split(this.buffer);
+        this.buffer = sentences.pop();
+        // Unpunctuated run-ons: everything before the last sentence start is complete
+        const starts = this.joiner ? findSentenceStarts(this.buffer, this.language) : [];
+        if (starts.length) {
+            const words = this.buffer.split(/\s+/);
+            let previous = 0;
+            starts.forEach(start => {
+                sentences.push(words.slice(previous, start).join(' '));
+                previous = start;
+            });
+            this.buffer = words.slice(previous).join(' ');
+        }
+        sentences.forEach(sentence => this.emit(sentence));
+        // Held text never contains a sentence end, so the rest began in this final
+        if (sentences.length) this.timing = timing;
+
+        // Over-long text without sentence ends is cut rather than held forever
+        while (this.buffer.length > this.maxLength) {
+            const cut = this.findCut(this.buffer);
+            this.emit(this.buffer.slice(0, cut));
+            this.buffer = this.buffer.slice(cut).trim();
+        }
+
+        if (!this.buffer) {
+            this.stopTimer();
+        } else if (!this.isUnfinished(this.buffer)) {
+            this.flush();
+        } else if (!this.timer) {
+            // The wait counts from when the fragment started waiting, not from the last final
+            this.timer = setTimeout(() => this.flush(), this.maxWait);
+        }
+    }
+
+    // Emit whatever is held, e.g. when recognition stops
+    flush() {
+        this.stopTimer();
+        const text = this.buffer;
+        this.buffer = '';
+        if (text) this.emit(text);
+    }
+
+    clear() {
+        this.stopTimer();
+        this.buffer = '';
+    }
+
+    stopTimer() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    emit(text) {
+        const trimmed = text.trim();
+        if (trimmed) {
+            this.onSegment({ id: createSegmentId(), text: trimmed, timing: this.timing });
+        }
+    }
+
+    // Complete sentences followed by the unfinished rest (possibly '')
+    split(text) {
+        const sentences = [];
+        let start = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            if (!this.terminators.includes(text[i])) continue;
+
+            // Runs like "?!" or "..." and closing quotes stay with the sentence
+            let end = i + 1;
+            while (end < text.length && (this.terminators.includes(text[end]) || CLOSERS.includes(text[end]))) end++;
+
+            const followedBySpace = end === text.length || /\s/.test(text[end]);
+            // "3.5" or "example.com" in languages that put spaces between sentences
+            if (this.joiner && !followedBySpace) {
+                i = end - 1;
+                continue;
+            }
+            if (text[i] === '.' && this.isAbbreviation(text.slice(start, i))) {
+                i = end - 1;
+                continue;
+            }
+
+            sentences.push(text.slice(start, end).trim());
+            start = end;
+            i = end - 1;
+        }
+
+        sentences.push(text.slice(start).trim());
+        return sentences.filter((sentence, index) => sentence || index === sentences.length - 1);
+    }
+
+    // "Dr." or "e.g." before the period, or a single initial such as "J."
+    isAbbreviation(before) {
+        const word = before.split(/\s+/).pop().toLowerCase();
+        if (!word) return false;
+        return this.abbreviations.has(word) || /^\p{L}$/u.test(word);
+    }
+
+    // A fragment that reads like the start of a longer sentence
+    isUnfinished(text) {
+        if (/[,;:–-]$/.test(text)) return true;
+        if (!this.joiner) return false;
+
+        const words = text.split(/\s+/);
+        const last = words[words.length - 1].toLowerCase().replace(/[^\p{L}']/gu, '');
+        return words.length < MIN_WORDS || this.continuations.has(last);
+    }
+
+    // Where to cut over-long text: after the last comma in it, else the last space
+    findCut(text) {
+        const head = text.slice(0, this.maxLength);
+        const comma = Math.max(head.lastIndexOf(', '), head.lastIndexOf('، '), head.lastIndexOf('，'));
+        if (comma > this.maxLength / 2) return comma + 1;
+        const space = head.lastIndexOf(' ');
+        return space > 0 ? space : this.maxLength;
+    }
+}
+
+function createSegmentId() {
+    if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+        return globalThis.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
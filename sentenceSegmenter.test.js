@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The segmenter is a browser ES module
+const loading = import('./sentenceSegmenter.js');
+
+// A segmenter that collects the text of every unit it emits
+async function createSegmenter(options = {}) {
+    const { default: SentenceSegmenter } = await loading;
+    const units = [];
+    const segmenter = new SentenceSegmenter({ ...options, onSegment: unit => units.push(unit) });
+    return { segmenter, units, texts: () => units.map(unit => unit.text) };
+}
+
+test('splits a run-on final at its sentence ends', async () => {
+    const { segmenter, texts } = await createSegmenter();
+
+    segmenter.push('Hello there. How are you today? I am fine!');
+    assert.deepStrictEqual(texts(), ['Hello there.', 'How are you today?', 'I am fine!']);
+});
+
+test('does not split after abbreviations, initials or decimals', async () => {
+    const { segmenter, texts } = await createSegmenter();
+
+    segmenter.push('Dr. Smith met J. Jones at 3.5 percent growth.');
+    assert.deepStrictEqual(texts(), ['Dr. Smith met J. Jones at 3.5 percent growth.']);
+});
+
+test('holds an unfinished fragment until the next final continues it', async () => {
+    const { segmenter, texts } = await createSegmenter();
+
+    segmenter.push('I went to the store and');
+    assert.deepStrictEqual(texts(), []);
+
+    segmenter.push('bought some milk.');
+    assert.deepStrictEqual(texts(), ['I went to the store and bought some milk.']);
+});
+
+test('lets a held fragment go after maxWait', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { segmenter, texts } = await createSegmenter({ maxWait: 1000 });
+
+    segmenter.push('so the');
+    t.mock.timers.tick(500);
+    segmenter.push('plan is');
+    t.mock.timers.tick(499);
+    assert.deepStrictEqual(texts(), []);
+
+    // The wait counts from the first held final, not the last one
+    t.mock.timers.tick(1);
+    assert.deepStrictEqual(texts(), ['so the plan is']);
+});
+
+test('cuts unpunctuated text where a new sentence starts', async () => {
+    const { segmenter, texts } = await createSegmenter();
+
+    segmenter.push('I went to the store yesterday do you want to come with me');
+    assert.deepStrictEqual(texts(), ['I went to the store yesterday', 'do you want to come with me']);
+});
+
+test('cuts over-long text after a comma', async () => {
+    const { segmenter, texts } = await createSegmenter({ maxLength: 40 });
+
+    segmenter.push('we looked at every single option, then we picked the cheapest one for now');
+    assert.deepStrictEqual(texts(), ['we looked at every single option,', 'then we picked the cheapest one for now']);
+});
+
+test('splits Chinese sentences that have no spaces between them', async () => {
+    const { segmenter, texts } = await createSegmenter({ language: 'zh-CN' });
+
+    segmenter.push('你好。你今天怎么样？');
+    assert.deepStrictEqual(texts(), ['你好。', '你今天怎么样？']);
+});
+
+test('gives every unit an id and the timing of its first final', async () => {
+    const { segmenter, units } = await createSegmenter();
+
+    segmenter.push('First one is done. Second', { startedAt: 1 });
+    segmenter.push('one is done too.', { startedAt: 2 });
+    assert.strictEqual(units.length, 2);
+    assert.deepStrictEqual(units.map(unit => unit.timing), [{ startedAt: 1 }, { startedAt: 1 }]);
+    assert.notStrictEqual(units[0].id, units[1].id);
+    assert.match(units[0].id, /^[\w-]+$/);
+});
+
+test('flush emits the held text and clear drops it', async () => {
+    const { segmenter, texts } = await createSegmenter();
+
+    segmenter.push('and then');
+    segmenter.flush();
+    segmenter.push('or maybe');
+    segmenter.clear();
+    segmenter.flush();
+    assert.deepStrictEqual(texts(), ['and then']);
+});
@@ -3,6 +3,7 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const app = express();
@@ -17,12 +18,85 @@ const io = socketIo(server, {
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use(express.static(path.join(__dirname)));
 
 // Store connected clients and their sessions
 const clients = new Map();
 const sessions = new Map();
 
+// Export formats are an ES module shared with the browser
+const transcriptFormats = import('./transcriptFormats.mjs');
+
+// Durable storage for sessions, participants and transcripts
+const { createSessionStore, getDataDir, startRetention } = require('./storage');
+const sessionStore = createSessionStore();
+
+// Static files, except anything under a data directory: sessions, usage totals
+// and the disk cache must not be served even when SESSION_STORE_DIR or
+// TRANSLATION_CACHE_DIR points inside the app folder
+const PRIVATE_DIRS = [getDataDir(), process.env.TRANSLATION_CACHE_DIR]
+    .filter(Boolean)
+    .map(dir => path.resolve(dir).toLowerCase());
+const serveStatic = express.static(path.join(__dirname));
+app.use((req, res, next) => {
+    let filePath;
+    try {
+        filePath = path.join(__dirname, decodeURIComponent(req.path)).toLowerCase();
+    } catch (error) {
+        return next();
+    }
+    if (PRIVATE_DIRS.some(dir => isInsideDirectory(filePath, dir))) return next();
+    serveStatic(req, res, next);
+});
+
+// Caption events for Server-Sent Events consumers
+const SessionEventLog = require('./sessionEvents');
+const sessionEvents = new SessionEventLog();
+// Every language a stream subscriber asks for is translated for the whole
+// session, so the number of such languages per session is capped
+const STREAM_MAX_LANGUAGES = parseInt(process.env.STREAM_MAX_LANGUAGES || '5', 10);
+
+// Join tokens and the roles allowed to send into a session
+const { createToken, verifyToken } = require('./sessionTokens');
+const SPEAKER_ROLES = ['host', 'speaker'];
+const HOST_ROLES = ['host'];
+// Sessions not created through POST /api/sessions can be joined without a token unless disabled
+const ALLOW_OPEN_SESSIONS = process.env.ALLOW_OPEN_SESSIONS !== 'false';
+
+// Translation quotas per socket, session and API key
+const TranslationQuotas = require('./quotas');
+const translationQuotas = new TranslationQuotas();
+// Share of every quota bucket that interim translations leave for final segments
+const INTERIM_QUOTA_RESERVE = parseFloat(process.env.TRANSLATION_INTERIM_QUOTA_RESERVE || '0.5');
+
+// Per-session glossaries, kept in session metadata
+const { normalizeGlossary } = require('./glossary');
+
+// Acknowledged socket requests with typed errors
+const { ProtocolError, OrderedDelivery, createRequestRouter } = require('./socketProtocol');
+
+// Prometheus metrics on /api/metrics
+const { MetricsRegistry } = require('./metrics');
+const { normalizeCode } = require('./languages');
+const metrics = new MetricsRegistry();
+const translationLatency = metrics.histogram('translation_latency_seconds',
+    'Time to translate one text, by provider and language pair',
+    ['provider', 'source_language', 'target_language', 'cache', 'kind']);
+const translationFailures = metrics.counter('translation_failures_total',
+    'Texts no provider could translate, by language pair',
+    ['source_language', 'target_language']);
+const segmentStageLatency = metrics.histogram('segment_stage_latency_seconds',
+    'Time a final segment spends in each stage between recognition and the rendered caption',
+    ['stage']);
+const segmentLatency = metrics.histogram('segment_latency_seconds',
+    'Time from recognition to the rendered caption, as reported by speakers',
+    ['provider', 'source_language', 'target_language']);
+metrics.gauge('connected_clients', 'Connected sockets', () => clients.size);
+metrics.gauge('active_sessions', 'Sessions with at least one participant', () => sessions.size);
+// Stages measured in the browser; translation and broadcast are measured here
+const CLIENT_STAGES = ['recognition', 'segmentation', 'network', 'render'];
+// Reported durations above this are dropped as clock jumps or suspended tabs
+const MAX_REPORTED_LATENCY_MS = 10 * 60 * 1000;
+
 // WebSocket connection handling
 io.on('connection', (socket) => {
     console.log(`Client connected: ${socket.id}`);
@@ -32,134 +106,366 @@ io.on('connection', (socket) => {
         id: socket.id,
         connectedAt: new Date(),
         language: 'en',
-        targetLanguage: 'es'
+        targetLanguage: 'es',
+        audioStreams: new Map(),
+        delivery: new OrderedDelivery(),
+        apiKey: (socket.handshake.auth && socket.handshake.auth.apiKey) || socket.handshake.headers['x-api-key'] || null
     });
 
+    const handle = createRequestRouter(socket);
+
     // Handle client joining a session
-    socket.on('join-session', (sessionData) => {
-        const { sessionId, sourceLanguage, targetLanguage } = sessionData;
+    handle('join-session', async (sessionData) => {
+        const { sessionId, sourceLanguage, targetLanguage, token, role } = sessionData;
+        const client = clients.get(socket.id);
+
+        let access;
+        try {
+            access = await authorizeJoin(sessionId, token, role);
+        } catch (error) {
+            console.error('Error joining session:', error);
+            throw new ProtocolError('INTERNAL', 'Failed to join session');
+        }
+        if (access.error) {
+            throw new ProtocolError('FORBIDDEN', access.error);
+        }
 
         socket.join(sessionId);
-        clients.get(socket.id).sessionId = sessionId;
-        clients.get(socket.id).sourceLanguage = sourceLanguage;
-        clients.get(socket.id).targetLanguage = targetLanguage;
-
-        if (!sessions.has(sessionId)) {
-            sessions.set(sessionId, {
-                id: sessionId,
-                participants: new Set(),
-                transcript: [],
-                startTime: new Date()
+        client.sessionId = sessionId;
+        client.sourceLanguage = sourceLanguage;
+        client.targetLanguage = targetLanguage;
+        client.role = access.role;
+        client.tokenId = access.tokenId;
+        client.muted = access.muted;
+
+        try {
+            await openSession(sessionId);
+            sessions.get(sessionId).participants.add(socket.id);
+            await sessionStore.addParticipant(sessionId, {
+                id: socket.id,
+                joinedAt: new Date().toISOString(),
+                role: access.role,
+                sourceLanguage,
+                targetLanguage
             });
+        } catch (error) {
+            console.error('Error joining session:', error);
+            throw new ProtocolError('INTERNAL', 'Failed to join session');
         }
 
-        sessions.get(sessionId).participants.add(socket.id);
-
-        socket.emit('session-joined', {
+        const joined = {
             sessionId,
+            role: access.role,
             participants: sessions.get(sessionId).participants.size
+        };
+        socket.emit('session-joined', joined);
+        socket.to(sessionId).emit('participant-joined', {
+            sessionId,
+            participantId: socket.id,
+            role: access.role
         });
 
         console.log(`Client ${socket.id} joined session ${sessionId}`);
+        return joined;
     });
 
     // Handle speech data from client
-    socket.on('speech-data', async (data) => {
-        const { sessionId, audioData, timestamp, language } = data;
-        const client = clients.get(socket.id);
+    handle('speech-data', async (data) => {
+        const { sessionId, audioData, timestamp, language, sampleRate } = data;
 
-        if (!client || !sessionId) return;
+        requireClient(socket, sessionId, SPEAKER_ROLES);
 
+        let processedData;
         try {
-            // Process speech data (in production, this would involve ASR service)
-            const processedData = await processSpeechData(audioData, language);
-
-            // Broadcast to all clients in the session
-            socket.to(sessionId).emit('speech-processed', {
-                sessionId,
-                speakerId: socket.id,
-                transcript: processedData.transcript,
-                confidence: processedData.confidence,
-                timestamp: Date.now()
+            processedData = await processSpeechData(audioData, language, sampleRate);
+        } catch (error) {
+            console.error('Error processing speech data:', error);
+            throw new ProtocolError('INTERNAL', 'Failed to process speech data');
+        }
+        const segment = publishSpeechResult(socket, sessionId, processedData);
+        return { segmentId: segment ? segment.id : null, transcript: processedData.transcript };
+    });
+
+    // Handle the start of a framed audio stream (see audioStream.js)
+    handle('audio-start', async (data) => {
+        const { sessionId } = data;
+        const client = requireClient(socket, sessionId, SPEAKER_ROLES);
+
+        const format = negotiateAudioFormat(data);
+        if (!format) {
+            throw new ProtocolError('UNSUPPORTED', `No supported codec. Use one of: ${getSupportedCodecs().join(', ')}`);
+        }
+
+        let recognizer;
+        try {
+            recognizer = speechRecognitionService.createStream({
+                language: data.language,
+                sampleRate: format.sampleRate
             });
+        } catch (error) {
+            console.error('Error starting audio stream:', error);
+            throw new ProtocolError('UNSUPPORTED', error.message);
+        }
 
-            // Store in session transcript
-            if (sessions.has(sessionId)) {
-                sessions.get(sessionId).transcript.push({
-                    speakerId: socket.id,
-                    transcript: processedData.transcript,
-                    timestamp: Date.now(),
-                    confidence: processedData.confidence
-                });
+        const streamId = crypto.randomUUID();
+        const assembler = new AudioStreamAssembler(streamId, format);
+
+        assembler.on('audio', (pcm) => {
+            if (recognizer.ended) return;
+            if (!recognizer.write(pcm)) {
+                assembler.setPaused(true);
             }
+        });
+        assembler.on('ack', (ack) => socket.emit('audio-ack', ack));
+        assembler.on('gap', (gap) => socket.emit('audio-gap', gap));
+
+        recognizer.on('drain', () => assembler.setPaused(false));
+        // Finals wait for punctuation; the chain keeps results in the recognizer's order
+        let results = Promise.resolve();
+        recognizer.on('result', (result) => {
+            results = results.then(async () => {
+                const final = result.isFinal ? await punctuateResult(result, data.language) : result;
+                const segment = final.isFinal ? publishSpeechResult(socket, sessionId, final) : null;
+                socket.emit('speech-recognized', { streamId, segmentId: segment && segment.id, ...final });
+            }).catch(error => console.error(`Audio stream ${streamId} result error:`, error));
+        });
+        recognizer.on('error', (error) => {
+            console.error(`Audio stream ${streamId} recognition error:`, error.message);
+            socket.emit('error', { code: 'INTERNAL', message: 'Failed to process speech data', streamId });
+        });
+        recognizer.on('close', () => client.audioStreams.delete(streamId));
+
+        client.audioStreams.set(streamId, { assembler, recognizer, sessionId });
+        return { streamId, ...format };
+    });
 
+    // Handle a numbered audio frame
+    socket.on('audio-frame', (data) => {
+        const client = clients.get(socket.id);
+        const stream = client && data && client.audioStreams.get(data.streamId);
+        if (!stream) return;
+
+        try {
+            stream.assembler.push(data.seq, toBuffer(data.audio));
         } catch (error) {
-            console.error('Error processing speech data:', error);
-            socket.emit('error', { message: 'Failed to process speech data' });
+            socket.emit('error', { code: 'INVALID_PAYLOAD', message: `Invalid audio frame: ${error.message}`, event: 'audio-frame' });
         }
     });
 
-    // Handle translation requests
-    socket.on('translate-request', async (data) => {
-        const { text, sourceLanguage, targetLanguage, sessionId } = data;
+    // Handle the end of a framed audio stream
+    socket.on('audio-stop', (data) => {
+        const client = clients.get(socket.id);
+        const stream = client && data && client.audioStreams.get(data.streamId);
+        if (stream) {
+            client.audioStreams.delete(data.streamId);
+            closeAudioStream(stream);
+        }
+    });
+
+    // Handle translation requests. Results are delivered in the order the
+    // speaker's requests arrived, even when a later one finishes first.
+    handle('translate-request', async (data, { acknowledged }) => {
+        const { text, sourceLanguage, targetLanguage, sessionId, segmentId } = data;
+
+        const receivedAt = Date.now();
+        const client = requireClient(socket, sessionId, SPEAKER_ROLES);
+        const place = client.delivery.reserve();
 
         try {
-            const translation = await translateText(text, sourceLanguage, targetLanguage);
+            // Over quota: keep the segment untranslated and tell the speaker when to retry
+            const limited = translationQuotas.consume({ socketId: socket.id, sessionId, apiKey: client.apiKey });
+            if (limited) {
+                await place.turn;
+                const recordedId = recordTranslation(socket, sessionId, {
+                    segmentId,
+                    text,
+                    translation: null,
+                    translations: {},
+                    sourceLanguage,
+                    targetLanguage
+                });
+                const details = {
+                    scope: limited.scope,
+                    limit: limited.limit,
+                    retryAfter: Math.ceil(limited.retryAfterMs / 1000),
+                    retryAfterMs: limited.retryAfterMs,
+                    originalText: text,
+                    segmentId: recordedId || segmentId,
+                    timestamp: Date.now()
+                };
+                if (!acknowledged) {
+                    socket.emit('rate-limited', details);
+                }
+                throw new ProtocolError('RATE_LIMITED', `Over the ${limited.scope} translation quota`, details);
+            }
 
-            // Broadcast translation to session
-            socket.to(sessionId).emit('translation-ready', {
-                sessionId,
-                originalText: text,
-                translatedText: translation,
+            let result;
+            let translations;
+            let translatedAt;
+            try {
+                result = await translateText(text, sourceLanguage, targetLanguage, sessionId);
+                translatedAt = Date.now();
+
+                // Every other listener gets the segment in their own language
+                translations = await fanOutTranslation(socket, sessionId, text, sourceLanguage, { [targetLanguage]: result }, place.turn);
+            } catch (error) {
+                console.error('Translation error:', error);
+                await place.turn;
+                throw new ProtocolError('TRANSLATION_FAILED', 'Translation failed');
+            }
+            await place.turn;
+
+            // Broadcast includes translating for listeners in other languages and
+            // waiting for the speaker's earlier segments
+            const timing = {
+                translation: translatedAt - receivedAt,
+                broadcast: Date.now() - translatedAt
+            };
+            segmentStageLatency.observe({ stage: 'translation' }, timing.translation / 1000);
+            segmentStageLatency.observe({ stage: 'broadcast' }, timing.broadcast / 1000);
+
+            const recordedId = recordTranslation(socket, sessionId, {
+                segmentId,
+                text,
+                translation: result.translatedText,
+                translations,
                 sourceLanguage,
                 targetLanguage,
-                timestamp: Date.now()
+                detectedLanguage: result.detectedLanguage
             });
 
-            // Send confirmation to sender
-            socket.emit('translation-sent', {
+            const response = {
+                segmentId: recordedId || segmentId,
                 originalText: text,
-                translatedText: translation,
+                translatedText: result.translatedText,
+                detectedLanguage: result.detectedLanguage,
+                provider: result.provider,
+                latency: result.latency,
+                cacheHit: result.cacheHit,
+                // Milliseconds per server stage; `server` lets the client tell network time apart
+                timing: { ...timing, server: Date.now() - receivedAt },
                 timestamp: Date.now()
+            };
+            // Clients without acknowledgements get the result as an event
+            if (!acknowledged) {
+                socket.emit('translation-sent', response);
+            }
+
+            // The score follows in a translation-quality event
+            if (translationService.quality.enabled) {
+                checkTranslationQuality(socket, sessionId, recordedId, text, sourceLanguage, targetLanguage, result);
+            }
+            return response;
+        } finally {
+            place.done();
+        }
+    });
+
+    // Preview translation of a partial recognition result. Nothing is stored,
+    // broadcast or quality-checked, and the final result replaces it.
+    handle('translate-interim', async (data) => {
+        const { text, sourceLanguage, targetLanguage, sessionId } = data;
+
+        const client = requireClient(socket, sessionId, SPEAKER_ROLES);
+
+        const limited = translationQuotas.consume(
+            { socketId: socket.id, sessionId, apiKey: client.apiKey },
+            1,
+            { reserve: INTERIM_QUOTA_RESERVE }
+        );
+        if (limited) {
+            throw new ProtocolError('RATE_LIMITED', `Over the ${limited.scope} translation quota`, {
+                scope: limited.scope,
+                limit: limited.limit,
+                retryAfterMs: limited.retryAfterMs
             });
+        }
 
-        } catch (error) {
-            console.error('Translation error:', error);
-            socket.emit('error', { message: 'Translation failed' });
+        const result = await translateText(text, sourceLanguage, targetLanguage, sessionId, { interim: true });
+        if (!result.provider && !result.cacheHit) {
+            throw new ProtocolError('TRANSLATION_FAILED', 'Translation failed');
         }
+        return {
+            originalText: text,
+            translatedText: result.translatedText,
+            detectedLanguage: result.detectedLanguage,
+            provider: result.provider,
+            latency: result.latency
+        };
+    });
+
+    // Browser-side timings of a segment the speaker has rendered, in milliseconds:
+    // stages { recognition, segmentation, network, render } and the end-to-end `total`
+    handle('latency-report', (data) => {
+        const { sessionId, stages, total, provider, sourceLanguage, targetLanguage } = data;
+
+        requireClient(socket, sessionId, SPEAKER_ROLES);
+
+        CLIENT_STAGES.forEach(stage => {
+            if (isReportedLatency(stages[stage])) {
+                segmentStageLatency.observe({ stage }, stages[stage] / 1000);
+            }
+        });
+        if (isReportedLatency(total)) {
+            segmentLatency.observe({
+                // Only names of providers this server runs become label values
+                provider: translationService.providers.getNames().includes(provider) ? provider : 'none',
+                source_language: languageLabel(sourceLanguage),
+                target_language: languageLabel(targetLanguage)
+            }, total / 1000);
+        }
+    });
+
+    // Handle a client changing its languages mid-session
+    handle('update-languages', (data) => {
+        const client = clients.get(socket.id);
+
+        if (data.sourceLanguage) client.sourceLanguage = data.sourceLanguage;
+        if (data.targetLanguage) client.targetLanguage = data.targetLanguage;
+        return { sourceLanguage: client.sourceLanguage, targetLanguage: client.targetLanguage };
     });
 
     // Handle caption overlay requests
-    socket.on('caption-overlay', (data) => {
+    handle('caption-overlay', (data) => {
         const { sessionId, originalText, translatedText, position } = data;
 
+        requireClient(socket, sessionId, SPEAKER_ROLES);
+
         // Broadcast caption overlay to all clients in session
-        socket.to(sessionId).emit('caption-overlay-update', {
+        const caption = {
             sessionId,
             originalText,
             translatedText,
             position,
             timestamp: Date.now()
-        });
+        };
+        socket.to(sessionId).emit('caption-overlay-update', caption);
+        sessionEvents.publish(sessionId, 'caption', { ...caption, speakerId: socket.id });
     });
 
     // Handle speaker diarization
-    socket.on('speaker-identification', (data) => {
+    handle('speaker-identification', (data) => {
         const { sessionId, audioSample, speakerId } = data;
 
+        requireClient(socket, sessionId, SPEAKER_ROLES);
+
         // In production, this would use a proper speaker diarization service
         // For now, we'll just broadcast the speaker identification
-        socket.to(sessionId).emit('speaker-identified', {
+        const identification = {
             sessionId,
             speakerId,
             timestamp: Date.now()
-        });
+        };
+        socket.to(sessionId).emit('speaker-identified', identification);
+        sessionEvents.publish(sessionId, 'speaker', { ...identification, participantId: socket.id });
     });
 
     // Handle silence detection
-    socket.on('silence-detected', (data) => {
+    handle('silence-detected', (data) => {
         const { sessionId, duration, timestamp } = data;
 
+        requireClient(socket, sessionId, SPEAKER_ROLES);
+
         // Broadcast silence detection to session
         socket.to(sessionId).emit('silence-update', {
             sessionId,
@@ -168,17 +474,82 @@ io.on('connection', (socket) => {
         });
     });
 
+    // Handle a host removing a participant; their token is revoked, which
+    // disconnects every connection using it and keeps them from rejoining
+    handle('kick-participant', async (data) => {
+        const { sessionId, participantId } = data;
+        requireClient(socket, sessionId, HOST_ROLES);
+
+        const target = clients.get(participantId);
+        if (!target || target.sessionId !== sessionId || !io.sockets.sockets.get(participantId)) {
+            throw new ProtocolError('NOT_FOUND', 'Participant not found', { participantId });
+        }
+        if (HOST_ROLES.includes(target.role)) {
+            throw new ProtocolError('FORBIDDEN', 'Hosts cannot be kicked', { participantId });
+        }
+
+        if (target.tokenId) {
+            await setTokenListed(sessionId, 'revokedTokens', target.tokenId, true);
+        }
+
+        getTokenHolders(sessionId, target).forEach(holder => {
+            const holderSocket = io.sockets.sockets.get(holder.id);
+            if (!holderSocket) return;
+            holderSocket.emit('kicked', { sessionId, by: socket.id });
+            io.to(sessionId).emit('participant-kicked', { sessionId, participantId: holder.id });
+            holderSocket.disconnect(true);
+        });
+    });
+
+    // Handle a host muting or unmuting a participant; the mute is kept with
+    // their token, so it still applies when they reconnect
+    handle('mute-participant', async (data) => {
+        const { sessionId, participantId, muted = true } = data;
+        requireClient(socket, sessionId, HOST_ROLES);
+
+        const target = clients.get(participantId);
+        if (!target || target.sessionId !== sessionId) {
+            throw new ProtocolError('NOT_FOUND', 'Participant not found', { participantId });
+        }
+
+        if (target.tokenId) {
+            await setTokenListed(sessionId, 'mutedTokens', target.tokenId, !!muted);
+        }
+
+        getTokenHolders(sessionId, target).forEach(holder => {
+            holder.muted = !!muted;
+            if (holder.muted) {
+                holder.audioStreams.forEach(closeAudioStream);
+                holder.audioStreams.clear();
+            }
+            io.to(sessionId).emit('participant-muted', { sessionId, participantId: holder.id, muted: holder.muted });
+        });
+        return { muted: !!muted };
+    });
+
     // Handle client disconnection
     socket.on('disconnect', () => {
         const client = clients.get(socket.id);
+        if (client) {
+            client.audioStreams.forEach(closeAudioStream);
+        }
         if (client && client.sessionId) {
             const session = sessions.get(client.sessionId);
             if (session) {
+                const leftAt = new Date().toISOString();
                 session.participants.delete(socket.id);
+                persist(sessionStore.removeParticipant(client.sessionId, socket.id, leftAt));
+                socket.to(client.sessionId).emit('participant-left', {
+                    sessionId: client.sessionId,
+                    participantId: socket.id
+                });
 
-                // If session is empty, clean it up
+                // If session is empty, end it; the stored transcript stays available
                 if (session.participants.size === 0) {
                     sessions.delete(client.sessionId);
+                    sessionEvents.clear(client.sessionId);
+                    translationService.releaseGlossary(client.sessionId);
+                    persist(sessionStore.endSession(client.sessionId, leftAt));
                 }
             }
         }
@@ -187,87 +558,595 @@ io.on('connection', (socket) => {
         console.log(`Client disconnected: ${socket.id}`);
     });
 
-    // Handle ping/pong for latency measurement
-    socket.on('ping', () => {
-        socket.emit('pong', { timestamp: Date.now() });
+    // Handle ping/pong for latency measurement; nothing is stored or broadcast,
+    // so the web app's connection test uses it too
+    handle('ping', (data, { acknowledged }) => {
+        const serverTime = Date.now();
+        if (!acknowledged) {
+            socket.emit('pong', { timestamp: serverTime });
+        }
+        return { timestamp: data.timestamp, serverTime };
     });
 });
 
-// Speech processing function (placeholder for production ASR service)
-async function processSpeechData(audioData, language) {
-    // In production, this would send audio to a speech recognition service
-    // For demo purposes, we'll simulate processing
-    return new Promise((resolve) => {
-        setTimeout(() => {
-            resolve({
-                transcript: `[Processed speech in ${language}]`,
-                confidence: 0.95,
-                language: language
-            });
-        }, 50); // Simulate 50ms processing time
+// Broadcast a final recognition result and store it in the session transcript
+function publishSpeechResult(socket, sessionId, result) {
+    // Nothing recognized (silence or noise)
+    if (!result.transcript) return null;
+
+    socket.to(sessionId).emit('speech-processed', {
+        sessionId,
+        speakerId: socket.id,
+        transcript: result.transcript,
+        confidence: result.confidence,
+        words: result.words,
+        language: result.language,
+        timestamp: Date.now()
+    });
+
+    if (sessions.has(sessionId)) {
+        const segment = {
+            id: crypto.randomUUID(),
+            speakerId: socket.id,
+            transcript: result.transcript,
+            timestamp: Date.now(),
+            confidence: result.confidence,
+            words: result.words,
+            language: result.language
+        };
+        sessions.get(sessionId).transcript.push(segment);
+        persist(sessionStore.appendSegment(sessionId, segment));
+        return segment;
+    }
+    return null;
+}
+
+// Attach translations to the segment they belong to. Segments recognized on
+// the server are referenced by segmentId; Web Speech results arrive here first
+// and become new segments, keeping the id the client's sentence segmenter gave
+// them. Returns the segment's id.
+function recordTranslation(socket, sessionId, { segmentId, text, translation, translations, sourceLanguage, targetLanguage, detectedLanguage }) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+
+    const patch = { translation, translations, sourceLanguage, targetLanguage };
+    if (detectedLanguage) {
+        patch.detectedLanguage = detectedLanguage;
+    }
+    const existing = segmentId && session.transcript.find(segment => segment.id === segmentId);
+
+    // Speakers can only update their own segments
+    if (existing && existing.speakerId === socket.id) {
+        Object.assign(existing, patch);
+        persist(sessionStore.updateSegment(sessionId, segmentId, patch));
+        return segmentId;
+    }
+
+    const segment = {
+        id: !existing && isClientSegmentId(segmentId) ? segmentId : crypto.randomUUID(),
+        speakerId: socket.id,
+        transcript: text,
+        timestamp: Date.now(),
+        language: sourceLanguage,
+        ...patch
+    };
+    session.transcript.push(segment);
+    persist(sessionStore.appendSegment(sessionId, segment));
+    return segment.id;
+}
+
+function isClientSegmentId(segmentId) {
+    return typeof segmentId === 'string' && /^[\w-]{8,64}$/.test(segmentId);
+}
+
+// Back-translate the speaker's translation (TRANSLATION_QUALITY_CHECK=true),
+// keep the score with the segment and send it to the speaker
+async function checkTranslationQuality(socket, sessionId, segmentId, text, sourceLanguage, targetLanguage, result) {
+    const quality = await translationService.checkQuality(text, result, sourceLanguage, targetLanguage, sessionId);
+    if (!quality) return;
+
+    const session = sessions.get(sessionId);
+    const segment = session && segmentId && session.transcript.find(item => item.id === segmentId);
+    if (segment) {
+        segment.quality = quality;
+        persist(sessionStore.updateSegment(sessionId, segmentId, { quality }));
+    }
+
+    socket.emit('translation-quality', {
+        segmentId,
+        targetLanguage,
+        ...quality,
+        threshold: translationService.quality.threshold,
+        timestamp: Date.now()
+    });
+}
+
+// Quality summary of a transcript: the lowest-scoring segments first
+function buildQualityReport(transcript, limit) {
+    const scored = transcript.filter(segment => segment.quality);
+    const flagged = scored.filter(segment => segment.quality.lowQuality);
+    const average = scored.length
+        ? +(scored.reduce((sum, segment) => sum + segment.quality.score, 0) / scored.length).toFixed(3)
+        : null;
+
+    return {
+        threshold: translationService.quality.threshold,
+        segments: transcript.length,
+        scored: scored.length,
+        flagged: flagged.length,
+        averageScore: average,
+        worst: scored
+            .slice()
+            .sort((a, b) => a.quality.score - b.quality.score)
+            .slice(0, limit)
+            .map(segment => ({
+                id: segment.id,
+                timestamp: segment.timestamp,
+                speakerId: segment.speakerId,
+                sourceLanguage: segment.sourceLanguage,
+                targetLanguage: segment.targetLanguage,
+                transcript: segment.transcript,
+                translation: segment.translation,
+                backTranslation: segment.quality.backTranslation,
+                score: segment.quality.score,
+                lowQuality: segment.quality.lowQuality
+            }))
+    };
+}
+
+// Load a session into memory, creating it or reopening an ended one
+async function openSession(sessionId) {
+    if (sessions.has(sessionId)) return;
+
+    const stored = await sessionStore.getSession(sessionId);
+    // Another participant may have opened it while we were reading
+    if (sessions.has(sessionId)) return;
+
+    const session = {
+        id: sessionId,
+        participants: new Set(),
+        transcript: stored ? stored.transcript : [],
+        startTime: stored ? new Date(stored.startTime) : new Date(),
+        metadata: (stored && stored.metadata) || {}
+    };
+    sessions.set(sessionId, session);
+
+    await sessionStore.upsertSession({
+        id: sessionId,
+        startTime: session.startTime.toISOString(),
+        endTime: null,
+        status: 'active'
     });
 }
 
+async function getSessionMetadata(sessionId) {
+    if (sessions.has(sessionId)) {
+        return sessions.get(sessionId).metadata;
+    }
+    const stored = await sessionStore.getSession(sessionId);
+    return stored ? stored.metadata || {} : null;
+}
+
+// Decide the role a client joins with. Owned sessions need a valid join token;
+// open ones accept anyone as a speaker unless ALLOW_OPEN_SESSIONS=false.
+// Any client may ask to join as a receive-only viewer.
+async function authorizeJoin(sessionId, token, requestedRole) {
+    if (!sessionId || typeof sessionId !== 'string') {
+        return { error: 'sessionId is required' };
+    }
+
+    const metadata = await getSessionMetadata(sessionId);
+
+    if (token) {
+        const payload = verifyToken(token);
+        if (!payload || payload.sid !== sessionId) {
+            return { error: 'Invalid or expired join token' };
+        }
+        if (metadata && (metadata.revokedTokens || []).includes(payload.jti)) {
+            return { error: 'Join token has been revoked' };
+        }
+        return {
+            role: requestedRole === 'viewer' ? 'viewer' : payload.role,
+            tokenId: payload.jti,
+            muted: !!metadata && (metadata.mutedTokens || []).includes(payload.jti)
+        };
+    }
+
+    if ((metadata && metadata.owned) || !ALLOW_OPEN_SESSIONS) {
+        return { error: 'A join token is required for this session' };
+    }
+    return { role: requestedRole === 'viewer' ? 'viewer' : 'speaker', tokenId: null, muted: false };
+}
+
+// The socket's client when it belongs to the session and may perform the
+// action; throws a ProtocolError otherwise
+function requireClient(socket, sessionId, roles) {
+    const client = clients.get(socket.id);
+
+    if (!client || !sessionId || client.sessionId !== sessionId) {
+        throw new ProtocolError('NOT_JOINED', 'Join the session first');
+    }
+    if (!roles.includes(client.role)) {
+        throw new ProtocolError('FORBIDDEN', `The ${client.role} role cannot do this`);
+    }
+    if (client.muted && roles === SPEAKER_ROLES) {
+        throw new ProtocolError('MUTED', 'You have been muted by the host');
+    }
+    return client;
+}
+
+// Add a token to, or remove it from, a list in the session metadata
+// (revokedTokens or mutedTokens)
+async function setTokenListed(sessionId, list, tokenId, listed) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+
+    const tokens = (session.metadata[list] || []).filter(id => id !== tokenId);
+    session.metadata[list] = listed ? [...tokens, tokenId] : tokens;
+    await sessionStore.updateMetadata(sessionId, session.metadata);
+}
+
+// Every client in the session that joined with the target's token, or only
+// the target when it joined an open session without one
+function getTokenHolders(sessionId, target) {
+    if (!target.tokenId) return [target];
+    return Array.from(clients.values()).filter(client => client.sessionId === sessionId && client.tokenId === target.tokenId);
+}
+
+// The glossary of a live session in the form TranslationService expects
+function getSessionGlossary(sessionId) {
+    const session = sessions.get(sessionId);
+    const glossary = session && session.metadata.glossary;
+    return glossary ? { id: sessionId, ...glossary } : null;
+}
+
+// The session's latest segments before `text`, with their translation into
+// targetLanguage where one was made
+function getTranslationHistory(sessionId, text, targetLanguage) {
+    const size = translationService.getContextSize();
+    const session = sessions.get(sessionId);
+    if (!size || !session) return null;
+
+    const transcript = session.transcript.slice(-(size + 1));
+    // The segment being translated is usually already in the transcript
+    if (transcript.length && transcript[transcript.length - 1].transcript === text) {
+        transcript.pop();
+    }
+
+    return {
+        sessionId,
+        segments: transcript.slice(-size).map(segment => ({
+            text: segment.transcript,
+            translation: (segment.translations && segment.translations[targetLanguage]) ||
+                (segment.targetLanguage === targetLanguage ? segment.translation : undefined)
+        }))
+    };
+}
+
+// Replace a session's glossary. The version only ever grows, so cached
+// translations and DeepL glossaries made with an older version are never reused.
+async function saveGlossary(sessionId, glossary) {
+    const session = sessions.get(sessionId);
+    const metadata = session ? session.metadata : (await sessionStore.getSession(sessionId)).metadata || {};
+    const version = ((metadata.glossary && metadata.glossary.version) || 0) + 1;
+
+    metadata.glossary = { ...glossary, version, updatedAt: new Date().toISOString() };
+    await sessionStore.updateMetadata(sessionId, metadata);
+    return metadata.glossary;
+}
+
+// Token from the Authorization header, or ?token= for clients that cannot set headers
+function getRequestToken(req, sessionId) {
+    const header = req.headers.authorization || '';
+    const payload = verifyToken(header.replace(/^Bearer\s+/i, '') || req.query.token);
+    return payload && payload.sid === sessionId ? payload : null;
+}
+
+function getHostToken(req, sessionId) {
+    const payload = getRequestToken(req, sessionId);
+    return payload && payload.role === 'host' ? payload : null;
+}
+
+// Owned sessions are only readable with one of their tokens
+async function canReadSession(req, sessionId) {
+    const metadata = await getSessionMetadata(sessionId);
+    if (!(metadata && metadata.owned)) return true;
+
+    // A kicked participant's token no longer reads the session either
+    const token = getRequestToken(req, sessionId);
+    return !!token && !(metadata.revokedTokens || []).includes(token.jti);
+}
+
+// Live sessions come from memory, ended ones from the session store
+async function getSessionRecord(sessionId) {
+    const session = sessions.get(sessionId);
+    if (session) {
+        return {
+            id: session.id,
+            status: 'active',
+            participants: Array.from(session.participants),
+            startTime: session.startTime,
+            endTime: null,
+            transcript: session.transcript
+        };
+    }
+
+    const stored = await sessionStore.getSession(sessionId);
+    if (!stored) return null;
+
+    return {
+        id: stored.id,
+        status: stored.status,
+        participants: stored.participants.map(participant => participant.id),
+        startTime: stored.startTime,
+        endTime: stored.endTime,
+        transcript: stored.transcript
+    };
+}
+
+// Storage writes happen in the background; a failed write must not break the live session
+function persist(promise) {
+    promise.catch(error => console.error('Session store error:', error.message));
+}
+
+function isInsideDirectory(filePath, directory) {
+    const relative = path.relative(directory, filePath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function closeAudioStream(stream) {
+    stream.assembler.close();
+    stream.recognizer.end();
+}
+
+// Group the other members of a session by target language, translate the
+// segment once per language and send each listener only its own version.
+// `known` holds translation results the caller already has, keyed by language,
+// and nothing is sent before `turn` resolves (see OrderedDelivery).
+// Resolves to every translated text made, keyed by language.
+async function fanOutTranslation(socket, sessionId, text, sourceLanguage, known = {}, turn = null) {
+    const session = sessions.get(sessionId);
+    if (!session) return { ...known };
+
+    const listenersByLanguage = new Map();
+    for (const participantId of session.participants) {
+        const participant = clients.get(participantId);
+        if (participantId === socket.id || !participant) continue;
+
+        const language = participant.targetLanguage;
+        if (!listenersByLanguage.has(language)) {
+            listenersByLanguage.set(language, []);
+        }
+        listenersByLanguage.get(language).push(participantId);
+    }
+
+    // Stream subscribers count as listeners too
+    sessionEvents.getSubscribedLanguages(sessionId).forEach(language => {
+        if (!listenersByLanguage.has(language)) {
+            listenersByLanguage.set(language, []);
+        }
+    });
+
+    const results = { ...known };
+    await Promise.all(Array.from(listenersByLanguage, async ([language, listenerIds]) => {
+        let result = known[language];
+        if (result === undefined) {
+            result = isSameLanguage(sourceLanguage, language)
+                ? untranslated(text)
+                : await translateText(text, sourceLanguage, language, sessionId);
+        }
+
+        const payload = {
+            sessionId,
+            speakerId: socket.id,
+            originalText: text,
+            translatedText: result.translatedText,
+            sourceLanguage,
+            targetLanguage: language,
+            detectedLanguage: result.detectedLanguage,
+            provider: result.provider,
+            latency: result.latency,
+            cacheHit: result.cacheHit,
+            timestamp: Date.now()
+        };
+        results[language] = result;
+        await turn;
+        listenerIds.forEach(listenerId => io.to(listenerId).emit('translation-ready', payload));
+    }));
+    await turn;
+
+    const translations = {};
+    Object.entries(results).forEach(([language, result]) => {
+        translations[language] = result.translatedText;
+        sessionEvents.publish(sessionId, 'translation', {
+            sessionId,
+            speakerId: socket.id,
+            originalText: text,
+            translatedText: result.translatedText,
+            sourceLanguage,
+            targetLanguage: language,
+            detectedLanguage: result.detectedLanguage,
+            timestamp: Date.now()
+        });
+    });
+
+    return translations;
+}
+
+// Languages whose regional or script variants are written differently, so
+// zh-CN listeners still need zh-TW speech translated
+const WRITTEN_VARIANTS = ['zh', 'pt', 'sr'];
+
+// 'en-US' and 'en' need no translation between them, nor 'en-US' and 'en-GB'
+function isSameLanguage(a, b) {
+    const source = normalizeCode(a);
+    const target = normalizeCode(b);
+    if (!source || !target) return false;
+
+    const base = source.split('-')[0];
+    if (base !== target.split('-')[0]) return false;
+    // A bare code says nothing about the variant, so it matches any of them
+    if (!WRITTEN_VARIANTS.includes(base) || source === base || target === base) return true;
+    return source === target;
+}
+
+// Import the speech recognition service
+const SpeechRecognitionService = require('./speechRecognitionService');
+const { toBuffer } = SpeechRecognitionService;
+const { AudioStreamAssembler, negotiateAudioFormat, getSupportedCodecs } = require('./audioStream');
+
+// Initialize speech recognition service
+const speechRecognitionService = new SpeechRecognitionService();
+
+// Punctuation and casing for engines that return bare words, restored before
+// results are broadcast and translated (punctuation.mjs is shared with the browser)
+const punctuation = import('./punctuation.mjs');
+const ASR_RESTORE_PUNCTUATION = process.env.ASR_RESTORE_PUNCTUATION !== 'false';
+
+// Speech processing function using the configured ASR engine
+async function processSpeechData(audioData, language, sampleRate) {
+    const result = await speechRecognitionService.recognize(audioData, { language, sampleRate });
+    return await punctuateResult(result, language);
+}
+
+async function punctuateResult(result, language) {
+    if (!ASR_RESTORE_PUNCTUATION || !result.transcript) return result;
+
+    const { restorePunctuation } = await punctuation;
+    return { ...result, transcript: restorePunctuation(result.transcript, result.language || language) };
+}
+
 // Import the translation service
 const TranslationService = require('./translationService');
 
 // Initialize translation service
 const translationService = new TranslationService();
 
-// Translation function using real translation APIs
-async function translateText(text, sourceLanguage, targetLanguage) {
+// Tell the affected sessions (or everyone, for the daily budget) when spending
+// nears or reaches a budget
+translationService.usage.on('budget', (state) => {
+    const notice = { ...state, timestamp: Date.now() };
+    if (state.scope === 'session') {
+        io.to(state.sessionId).emit('translation-budget', notice);
+    } else {
+        io.emit('translation-budget', notice);
+    }
+});
+
+// Translation function using real translation APIs, the session's glossary
+// and, for context-aware providers, the session's earlier segments.
+// Resolves to { translatedText, detectedLanguage, provider, latency, cacheHit }.
+async function translateText(text, sourceLanguage, targetLanguage, sessionId, { interim = false } = {}) {
+    const start = Date.now();
+    const languages = { source_language: languageLabel(sourceLanguage), target_language: languageLabel(targetLanguage) };
     try {
-        return await translationService.translateText(text, sourceLanguage, targetLanguage);
+        const result = await translationService.translateText(text, sourceLanguage, targetLanguage, {
+            glossary: getSessionGlossary(sessionId),
+            history: getTranslationHistory(sessionId, text, targetLanguage),
+            sessionId,
+            interim
+        });
+        translationLatency.observe({
+            ...languages,
+            provider: result.provider || 'none',
+            cache: result.cacheHit ? 'hit' : 'miss',
+            kind: interim ? 'interim' : 'final'
+        }, (Date.now() - start) / 1000);
+        return result;
     } catch (error) {
-        console.error('Translation error:', error);
-        // Return fallback if all services fail
-        return `[${targetLanguage.toUpperCase()}] ${text}`;
+        console.error('Translation error:', error.message);
+        translationFailures.inc(languages);
+        // If all services fail, listeners see the original text
+        return { ...untranslated(text), latency: Date.now() - start };
     }
 }
 
+// A result for text passed through as-is
+function untranslated(text) {
+    return { translatedText: text, detectedLanguage: null, provider: null, latency: 0, cacheHit: false };
+}
+
+// Metric label for a language code; codes outside the language catalogue
+// become 'other', so clients cannot create series at will
+function languageLabel(code) {
+    if (!code || code === 'auto') return 'auto';
+    return translationService.languages.has(code) ? normalizeCode(code) : 'other';
+}
+
+function isReportedLatency(value) {
+    return typeof value === 'number' && value >= 0 && value <= MAX_REPORTED_LATENCY_MS;
+}
+
+// Broadcast caption page (captions/index.html); options are query parameters
+app.get('/captions/:sessionId', (req, res) => {
+    res.sendFile(path.join(__dirname, 'captions', 'index.html'));
+});
+
 // API endpoints
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        translationServices: translationService.getServiceStatus()
+        translationServices: translationService.getServiceStatus(),
+        speechRecognition: speechRecognitionService.getStatus()
     });
 });
 
-app.get('/api/translation/status', (req, res) => {
+// Prometheus scrape endpoint
+app.get('/api/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+});
+
+app.get('/api/translation/status', async (req, res) => {
     res.json({
         services: translationService.getServiceStatus(),
         supportedLanguages: translationService.getSupportedLanguages(),
-        cacheStats: {
-            keys: translationService.cache.keys().length,
-            ttl: translationService.cache.getTtl()
-        }
+        cacheStats: await translationService.cache.getStats()
     });
 });
 
-app.post('/api/translation/clear-cache', (req, res) => {
+// Clears the whole cache, or one language pair when sourceLanguage and/or targetLanguage are given
+app.post('/api/translation/clear-cache', async (req, res) => {
+    const sourceLanguage = (req.body && req.body.sourceLanguage) || req.query.sourceLanguage;
+    const targetLanguage = (req.body && req.body.targetLanguage) || req.query.targetLanguage;
+
     try {
-        translationService.clearCache();
-        res.json({ message: 'Translation cache cleared successfully' });
+        const cleared = await translationService.clearCache({ sourceLanguage, targetLanguage });
+        res.json({ message: 'Translation cache cleared successfully', cleared });
     } catch (error) {
         res.status(500).json({ error: 'Failed to clear cache' });
     }
 });
 
 app.post('/api/translation/test', async (req, res) => {
-    const { text, sourceLanguage, targetLanguage } = req.body;
+    const { text, sourceLanguage, targetLanguage, formality } = req.body;
 
     if (!text || !targetLanguage) {
         return res.status(400).json({ error: 'Text and target language are required' });
     }
 
+    // REST callers have no socket, so the per-socket quota applies per IP address
+    const limited = translationQuotas.consume({ socketId: `ip:${req.ip}`, apiKey: req.get('x-api-key') });
+    if (limited) {
+        res.set('Retry-After', String(Math.ceil(limited.retryAfterMs / 1000)));
+        return res.status(429).json({
+            error: `Translation quota exceeded (${limited.scope})`,
+            retryAfter: Math.ceil(limited.retryAfterMs / 1000)
+        });
+    }
+
     try {
-        const translation = await translationService.translateText(text, sourceLanguage, targetLanguage);
+        const result = await translationService.translateText(text, sourceLanguage, targetLanguage, { formality });
         res.json({
             originalText: text,
-            translatedText: translation,
+            translatedText: result.translatedText,
             sourceLanguage: sourceLanguage || 'auto',
-            targetLanguage: targetLanguage
+            targetLanguage: targetLanguage,
+            detectedLanguage: result.detectedLanguage,
+            provider: result.provider,
+            latency: result.latency,
+            cacheHit: result.cacheHit
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -277,16 +1156,38 @@ app.post('/api/translation/test', async (req, res) => {
 app.get('/api/translation/services', (req, res) => {
     res.json({
         services: translationService.getDetailedServiceStatus(),
+        providerOrder: translationService.providers.order,
         requestStats: translationService.getRequestStats(),
-        lastHealthCheck: new Date(translationService.lastHealthCheck).toISOString()
+        quotas: translationQuotas.getStats(),
+        probeIntervalMs: translationService.probeIntervalMs,
+        lastHealthCheck: translationService.lastHealthCheck && new Date(translationService.lastHealthCheck).toISOString()
     });
 });
 
+// Characters and cost per provider and day; ?sessionId= adds one session (with
+// its token for owned sessions), ?days= limits the history
+app.get('/api/translation/usage', async (req, res, next) => {
+    const { sessionId } = req.query;
+    try {
+        if (sessionId && (typeof sessionId !== 'string' || !await canReadSession(req, sessionId))) {
+            return res.status(403).json({ error: 'Session token required' });
+        }
+        await translationService.usage.ready;
+        res.json(translationService.usage.getReport({
+            sessionId,
+            days: Math.max(1, parseInt(req.query.days, 10) || 30)
+        }));
+    } catch (error) {
+        next(error);
+    }
+});
+
 app.post('/api/translation/test-service/:service', async (req, res) => {
     const { service } = req.params;
 
-    if (!['azure', 'deepl', 'microsoft'].includes(service)) {
-        return res.status(400).json({ error: 'Invalid service. Use: azure, deepl, or microsoft' });
+    if (!translationService.providers.has(service)) {
+        const names = translationService.providers.getNames().join(', ');
+        return res.status(400).json({ error: `Invalid service. Use one of: ${names}` });
     }
 
     try {
@@ -297,8 +1198,12 @@ app.post('/api/translation/test-service/:service', async (req, res) => {
     }
 });
 
-app.get('/api/translation/languages', (req, res) => {
-    res.json(translationService.getSupportedLanguages());
+// Language catalogue: recognizer locales, target languages and each enabled provider's listing
+app.get('/api/translation/languages', async (req, res) => {
+    if (req.query.refresh === 'true') {
+        await translationService.languages.refresh();
+    }
+    res.json(translationService.languages.getCatalogue());
 });
 
 app.get('/api/sessions', (req, res) => {
@@ -321,39 +1226,290 @@ app.get('/api/sessions', (req, res) => {
     res.json(sessionList);
 });
 
-app.get('/api/sessions/:sessionId', (req, res) => {
-    const session = sessions.get(req.params.sessionId);
-    if (!session) {
-        return res.status(404).json({ error: 'Session not found' });
+// Create a host-owned session; only holders of its tokens can join
+app.post('/api/sessions', async (req, res, next) => {
+    const sessionId = (req.body && req.body.sessionId) || crypto.randomUUID();
+
+    try {
+        if (sessions.has(sessionId) || await sessionStore.getSession(sessionId)) {
+            return res.status(409).json({ error: 'Session already exists' });
+        }
+
+        await sessionStore.upsertSession({
+            id: sessionId,
+            startTime: new Date().toISOString(),
+            endTime: null,
+            status: 'active',
+            metadata: { owned: true, revokedTokens: [], mutedTokens: [] }
+        });
+
+        res.status(201).json({
+            sessionId,
+            host: createToken({ sessionId, role: 'host' })
+        });
+    } catch (error) {
+        next(error);
     }
+});
 
-    res.json({
-        id: session.id,
-        participants: Array.from(session.participants),
-        startTime: session.startTime,
-        transcript: session.transcript
+// Issue another join token; requires the session's host token
+app.post('/api/sessions/:sessionId/tokens', (req, res) => {
+    const { sessionId } = req.params;
+    const { role = 'viewer', ttl } = req.body || {};
+
+    if (!getHostToken(req, sessionId)) {
+        return res.status(403).json({ error: 'Host token required' });
+    }
+
+    try {
+        res.status(201).json(createToken({ sessionId, role, ttl: ttl ? Number(ttl) : undefined }));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/sessions/:sessionId', async (req, res, next) => {
+    try {
+        const session = await getSessionRecord(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (!await canReadSession(req, session.id)) {
+            return res.status(403).json({ error: 'Session token required' });
+        }
+
+        res.json(session);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Back-translation scores of a session (TRANSLATION_QUALITY_CHECK), worst first; ?limit= defaults to 10
+app.get('/api/sessions/:sessionId/quality-report', async (req, res, next) => {
+    try {
+        const session = await getSessionRecord(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (!await canReadSession(req, session.id)) {
+            return res.status(403).json({ error: 'Session token required' });
+        }
+
+        const limit = Math.max(1, parseInt(req.query.limit, 10) || 10);
+        res.json({
+            sessionId: session.id,
+            enabled: translationService.quality.enabled,
+            ...buildQualityReport(session.transcript, limit)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Session glossary: fixed translations and do-not-translate terms (see glossary.js)
+app.get('/api/sessions/:sessionId/glossary', async (req, res, next) => {
+    const { sessionId } = req.params;
+
+    try {
+        const metadata = await getSessionMetadata(sessionId);
+        if (!metadata) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (!await canReadSession(req, sessionId)) {
+            return res.status(403).json({ error: 'Session token required' });
+        }
+
+        res.json(metadata.glossary || { version: 0, entries: [], doNotTranslate: [] });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Replace the glossary; owned sessions need the host token
+app.put('/api/sessions/:sessionId/glossary', async (req, res, next) => {
+    const { sessionId } = req.params;
+
+    try {
+        const metadata = await getSessionMetadata(sessionId);
+        if (!metadata) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (metadata.owned && !getHostToken(req, sessionId)) {
+            return res.status(403).json({ error: 'Host token required' });
+        }
+
+        let glossary;
+        try {
+            glossary = normalizeGlossary(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const saved = await saveGlossary(sessionId, glossary);
+        io.to(sessionId).emit('glossary-updated', { sessionId, version: saved.version });
+        res.json(saved);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/api/sessions/:sessionId/glossary', async (req, res, next) => {
+    const { sessionId } = req.params;
+
+    try {
+        const metadata = await getSessionMetadata(sessionId);
+        if (!metadata) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (metadata.owned && !getHostToken(req, sessionId)) {
+            return res.status(403).json({ error: 'Host token required' });
+        }
+
+        const saved = await saveGlossary(sessionId, { entries: [], doNotTranslate: [] });
+        translationService.releaseGlossary(sessionId);
+        io.to(sessionId).emit('glossary-updated', { sessionId, version: saved.version });
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Follow a session's captions over Server-Sent Events. Emits `caption`,
+// `translation` and `speaker` events; ?language= limits translations to one
+// language, and Last-Event-ID (header or ?lastEventId=) resumes after a drop.
+app.get('/api/sessions/:sessionId/stream', async (req, res, next) => {
+    const { sessionId } = req.params;
+
+    try {
+        if (!await canReadSession(req, sessionId)) {
+            return res.status(403).json({ error: 'Session token required' });
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    const subscriber = { language: req.query.language || null };
+    if (subscriber.language) {
+        if (typeof subscriber.language !== 'string' || !translationService.languages.has(subscriber.language)) {
+            return res.status(400).json({ error: 'Unsupported language' });
+        }
+        const languages = sessionEvents.getSubscribedLanguages(sessionId);
+        if (!languages.has(subscriber.language) && languages.size >= STREAM_MAX_LANGUAGES) {
+            return res.status(429).json({ error: `At most ${STREAM_MAX_LANGUAGES} stream languages per session` });
+        }
+    }
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const send = (event) => {
+        if (event.type === 'translation' && subscriber.language &&
+            event.data.targetLanguage !== subscriber.language) {
+            return;
+        }
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    sessionEvents.getSince(sessionId, lastEventId).forEach(send);
+    const unsubscribe = sessionEvents.subscribe(sessionId, subscriber, send);
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
     });
 });
 
-app.post('/api/export-transcript/:sessionId', (req, res) => {
-    const session = sessions.get(req.params.sessionId);
+app.post('/api/export-transcript/:sessionId', async (req, res, next) => {
+    let session;
+    let readable;
+    let formatTranscript;
+    let FORMATS;
+    try {
+        session = await getSessionRecord(req.params.sessionId);
+        readable = session && await canReadSession(req, session.id);
+        ({ formatTranscript, FORMATS } = await transcriptFormats);
+    } catch (error) {
+        return next(error);
+    }
     if (!session) {
         return res.status(404).json({ error: 'Session not found' });
     }
+    if (!readable) {
+        return res.status(403).json({ error: 'Session token required' });
+    }
 
-    const exportData = {
-        sessionId: session.id,
-        startTime: session.startTime,
-        endTime: new Date(),
-        participants: Array.from(session.participants),
-        transcript: session.transcript
-    };
+    // Options come from the query string or the JSON body
+    const options = { ...req.body, ...req.query };
+    const format = options.format || 'json';
+
+    if (format === 'json') {
+        const exportData = {
+            sessionId: session.id,
+            startTime: session.startTime,
+            endTime: session.endTime || new Date(),
+            participants: session.participants,
+            transcript: session.transcript
+        };
+
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename="transcript-${session.id}.json"`);
+        return res.json(exportData);
+    }
+
+    if (!FORMATS[format]) {
+        return res.status(400).json({ error: `Invalid format. Use: ${Object.keys(FORMATS).join(', ')}` });
+    }
 
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', `attachment; filename="transcript-${session.id}.json"`);
-    res.json(exportData);
+    const output = formatTranscript(toExportSegments(session.transcript, options.language), {
+        format,
+        variant: options.variant,
+        speakers: options.speakers !== 'false' && options.speakers !== false,
+        title: `Transcript ${session.id}`,
+        startTime: session.startTime
+    });
+
+    res.setHeader('Content-Type', `${FORMATS[format].contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="transcript-${session.id}.${FORMATS[format].extension}"`);
+    res.send(output);
 });
 
+// Map stored segments to the shape transcriptFormats.mjs expects. Speakers are
+// numbered in order of appearance; `language` picks one of the fan-out translations.
+function toExportSegments(transcript, language) {
+    const speakerLabels = new Map();
+
+    return transcript.map(segment => {
+        if (!speakerLabels.has(segment.speakerId)) {
+            speakerLabels.set(segment.speakerId, `Speaker ${speakerLabels.size + 1}`);
+        }
+
+        const words = segment.words || [];
+        const duration = words.length > 0
+            ? (words[words.length - 1].end - words[0].start) * 1000
+            : 0;
+
+        return {
+            id: segment.id,
+            timestamp: segment.timestamp,
+            duration,
+            speaker: speakerLabels.get(segment.speakerId),
+            original: segment.transcript,
+            translation: language
+                ? (segment.translations || {})[language]
+                : segment.translation
+        };
+    });
+}
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Server error:', err);
@@ -365,26 +1521,43 @@ app.use((req, res) => {
     res.status(404).json({ error: 'Endpoint not found' });
 });
 
-// Start server
+// Start server once stored sessions are loaded
 const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
+sessionStore.init()
+    .then(() => sessionStore.endActiveSessions(new Date().toISOString()))
+    .then(() => {
+        startRetention(sessionStore);
+        server.listen(PORT, onListening);
+    })
+    .catch((error) => {
+        console.error('❌ Failed to open session store:', error);
+        process.exit(1);
+    });
+
+function onListening() {
     console.log(`🚀 Real-Time Speech Translator Server running on port ${PORT}`);
     console.log(`📡 WebSocket server ready for real-time communication`);
     console.log(`🌐 HTTP server serving static files and API endpoints`);
     console.log(`📊 Health check available at: http://localhost:${PORT}/api/health`);
-});
+}
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully');
+    await sessionStore.close();
+    await translationService.cache.close();
+    await translationService.usage.close();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
     });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully');
+    await sessionStore.close();
+    await translationService.cache.close();
+    await translationService.usage.close();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
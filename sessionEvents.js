@@ -0,0 +1,93 @@
+const DEFAULT_HISTORY = 500;
+
+// Per-session log of the events served over Server-Sent Events. Each session
+// numbers its events from 1 and keeps the most recent ones so a client that
+// reconnects with Last-Event-ID receives what it missed.
+// Session ids come from clients, so subscribers are kept in plain maps and
+// called directly rather than used as event names.
+class SessionEventLog {
+    constructor(options = {}) {
+        this.historySize = options.historySize || DEFAULT_HISTORY;
+        this.logs = new Map();
+        // sessionId -> Set of { subscriber, listener }
+        this.subscribers = new Map();
+        // Ended sessions whose history waits for their last subscriber to leave
+        this.ended = new Set();
+    }
+
+    getLog(sessionId) {
+        if (!this.logs.has(sessionId)) {
+            this.logs.set(sessionId, { lastId: 0, events: [] });
+        }
+        return this.logs.get(sessionId);
+    }
+
+    publish(sessionId, type, data) {
+        const log = this.getLog(sessionId);
+        const event = { id: ++log.lastId, type, data };
+
+        log.events.push(event);
+        if (log.events.length > this.historySize) {
+            log.events.shift();
+        }
+
+        // A session publishing again has been reopened
+        this.ended.delete(sessionId);
+        (this.subscribers.get(sessionId) || new Set()).forEach(({ listener }) => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Session event listener failed for ${sessionId}:`, error.message);
+            }
+        });
+        return event;
+    }
+
+    // Events after lastEventId that are still in the history
+    getSince(sessionId, lastEventId) {
+        const log = this.logs.get(sessionId);
+        if (!log || !(lastEventId >= 0)) return [];
+        // The log was cleared and restarted since the client last saw it
+        if (lastEventId > log.lastId) return log.events;
+        return log.events.filter(event => event.id > lastEventId);
+    }
+
+    subscribe(sessionId, subscriber, listener) {
+        if (!this.subscribers.has(sessionId)) {
+            this.subscribers.set(sessionId, new Set());
+        }
+        const entry = { subscriber, listener };
+        this.subscribers.get(sessionId).add(entry);
+
+        return () => {
+            const subscribers = this.subscribers.get(sessionId);
+            if (!subscribers || !subscribers.delete(entry)) return;
+            if (subscribers.size === 0) {
+                this.subscribers.delete(sessionId);
+                if (this.ended.delete(sessionId)) {
+                    this.logs.delete(sessionId);
+                }
+            }
+        };
+    }
+
+    // Languages that stream subscribers asked translations in
+    getSubscribedLanguages(sessionId) {
+        const languages = new Set();
+        (this.subscribers.get(sessionId) || new Set()).forEach(({ subscriber }) => {
+            if (subscriber.language) languages.add(subscriber.language);
+        });
+        return languages;
+    }
+
+    // Drop the history of an ended session now, or when its last subscriber leaves
+    clear(sessionId) {
+        if (this.subscribers.has(sessionId)) {
+            this.ended.add(sessionId);
+        } else {
+            this.logs.delete(sessionId);
+        }
+    }
+}
+
+module.exports = SessionEventLog;
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+const ROLES = ['host', 'speaker', 'viewer'];
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// Tokens are signed with SESSION_SECRET. Without it a random secret is used,
+// which means tokens stop working when the server restarts.
+const secret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+    console.log('⚠️ SESSION_SECRET not set, join tokens will not survive a restart');
+}
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+function createToken({ sessionId, role, ttl = DEFAULT_TTL_SECONDS }) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Invalid role: ${role}. Use: ${ROLES.join(', ')}`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        sid: sessionId,
+        role,
+        jti: crypto.randomUUID(),
+        iat: now,
+        exp: now + ttl
+    };
+    const body = base64url(JSON.stringify(payload));
+
+    return {
+        token: `${body}.${sign(body)}`,
+        tokenId: payload.jti,
+        role,
+        expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+}
+
+// Returns the payload of a valid, unexpired token, otherwise null
+function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(sign(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (!ROLES.includes(payload.role) || payload.exp < Math.floor(Date.now() / 1000)) {
+        return null;
+    }
+    return payload;
+}
+
+module.exports = { createToken, verifyToken, ROLES };
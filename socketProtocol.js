@@ -0,0 +1,173 @@
+// Request/response protocol for client→server socket events.
+//
+// Each request carries a `requestId` chosen by the client and is answered
+// through its Socket.IO acknowledgement:
+//   { ok: true, requestId, ...result }
+//   { ok: false, requestId, error: { code, message, ...details } }
+// A client that sends no acknowledgement callback gets failures as an 'error'
+// event instead ({ code, message, event, requestId }).
+//
+// A request repeated with the same requestId (a client retry after a timeout)
+// is not run again while the first one is running or once it has succeeded; it
+// gets the first one's answer. After a failure the request id is forgotten,
+// so a retry runs the request again.
+//
+// Error codes:
+//   INVALID_PAYLOAD     the payload is not an object or a field has the wrong type
+//   NOT_JOINED          the socket has not joined that session
+//   FORBIDDEN           the socket's role or token does not allow it
+//   MUTED               the host muted the participant
+//   NOT_FOUND           the participant or stream does not exist
+//   RATE_LIMITED        over a translation quota; details: scope, limit, retryAfterMs
+//   UNSUPPORTED         e.g. no audio codec both sides support
+//   TRANSLATION_FAILED  no translation could be made
+//   INTERNAL            anything else; safe to retry
+
+const ERROR_CODES = [
+    'INVALID_PAYLOAD',
+    'NOT_JOINED',
+    'FORBIDDEN',
+    'MUTED',
+    'NOT_FOUND',
+    'RATE_LIMITED',
+    'UNSUPPORTED',
+    'TRANSLATION_FAILED',
+    'INTERNAL'
+];
+
+const MAX_STRING_LENGTH = 10000;
+
+// Payload fields per event; a trailing '?' marks an optional field
+const SCHEMAS = {
+    'join-session': { sessionId: 'string', sourceLanguage: 'string?', targetLanguage: 'string?', token: 'string?', role: 'string?' },
+    'update-languages': { sourceLanguage: 'string?', targetLanguage: 'string?' },
+    'speech-data': { sessionId: 'string', audioData: 'any', timestamp: 'number?', language: 'string?', sampleRate: 'number?' },
+    'audio-start': { sessionId: 'string', language: 'string?', sampleRate: 'number?', codecs: 'object?' },
+    'translate-request': { sessionId: 'string', text: 'string', sourceLanguage: 'string?', targetLanguage: 'string', segmentId: 'string?' },
+    'translate-interim': { sessionId: 'string', text: 'string', sourceLanguage: 'string?', targetLanguage: 'string' },
+    'latency-report': { sessionId: 'string', segmentId: 'string?', stages: 'object', total: 'number?', provider: 'string?', sourceLanguage: 'string?', targetLanguage: 'string?' },
+    'caption-overlay': { sessionId: 'string', originalText: 'string?', translatedText: 'string?', position: 'object?' },
+    'speaker-identification': { sessionId: 'string', speakerId: 'any?', audioSample: 'any?' },
+    'silence-detected': { sessionId: 'string', duration: 'number?', timestamp: 'number?' },
+    'kick-participant': { sessionId: 'string', participantId: 'string' },
+    'mute-participant': { sessionId: 'string', participantId: 'string', muted: 'boolean?' },
+    'ping': { timestamp: 'number?' }
+};
+
+class ProtocolError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.code = ERROR_CODES.includes(code) ? code : 'INTERNAL';
+        this.details = details;
+    }
+
+    toJSON() {
+        return { code: this.code, message: this.message, ...this.details };
+    }
+}
+
+// Answers of recent requests by event and requestId, for replaying to retries.
+// Failed requests are dropped so that their retries run again.
+class RecentRequests {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.requests = new Map();
+    }
+
+    run(key, fn) {
+        if (!this.requests.has(key)) {
+            const request = fn();
+            this.requests.set(key, request);
+            request.catch(() => {
+                if (this.requests.get(key) === request) this.requests.delete(key);
+            });
+            if (this.requests.size > this.limit) {
+                this.requests.delete(this.requests.keys().next().value);
+            }
+        }
+        return this.requests.get(key);
+    }
+}
+
+// Keeps one speaker's results in the order their requests arrived, however
+// long each one takes. reserve() returns { turn, done }: wait for `turn`
+// before delivering, and always call done() afterwards.
+class OrderedDelivery {
+    constructor() {
+        this.tail = Promise.resolve();
+    }
+
+    reserve() {
+        let done;
+        const finished = new Promise(resolve => { done = resolve; });
+        const turn = this.tail;
+        this.tail = turn.then(() => finished);
+        return { turn, done };
+    }
+}
+
+// Register request handlers for a socket. handler(data, { acknowledged })
+// resolves to the result fields, or throws a ProtocolError.
+function createRequestRouter(socket) {
+    const recent = new RecentRequests();
+
+    return function handle(event, handler) {
+        socket.on(event, async (data, callback) => {
+            const acknowledged = typeof callback === 'function';
+            const requestId = data && typeof data.requestId === 'string' ? data.requestId : null;
+            const run = async () => {
+                validatePayload(data, SCHEMAS[event] || {});
+                return await handler(data, { acknowledged }) || {};
+            };
+
+            let response;
+            try {
+                const result = await (requestId ? recent.run(`${event}:${requestId}`, run) : run());
+                response = { ok: true, requestId, ...result };
+            } catch (error) {
+                const failure = error instanceof ProtocolError ? error : new ProtocolError('INTERNAL', 'Request failed');
+                if (!(error instanceof ProtocolError)) {
+                    console.error(`Error handling ${event}:`, error);
+                }
+                response = { ok: false, requestId, error: failure.toJSON() };
+            }
+
+            if (acknowledged) {
+                callback(response);
+            } else if (!response.ok) {
+                socket.emit('error', { ...response.error, event, requestId });
+            }
+        });
+    };
+}
+
+function validatePayload(data, schema) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ProtocolError('INVALID_PAYLOAD', 'The payload must be an object');
+    }
+
+    for (const [field, spec] of Object.entries(schema)) {
+        const optional = spec.endsWith('?');
+        const type = optional ? spec.slice(0, -1) : spec;
+        const value = data[field];
+
+        if (value === undefined || value === null || value === '') {
+            if (optional) continue;
+            throw new ProtocolError('INVALID_PAYLOAD', `"${field}" is required`, { field });
+        }
+        if (type !== 'any' && typeof value !== type) {
+            throw new ProtocolError('INVALID_PAYLOAD', `"${field}" must be a ${type}`, { field });
+        }
+        if (type === 'string' && value.length > MAX_STRING_LENGTH) {
+            throw new ProtocolError('INVALID_PAYLOAD', `"${field}" is longer than ${MAX_STRING_LENGTH} characters`, { field });
+        }
+    }
+}
+
+module.exports = {
+    ERROR_CODES,
+    ProtocolError,
+    OrderedDelivery,
+    createRequestRouter,
+    validatePayload
+};
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProtocolError, OrderedDelivery, createRequestRouter, validatePayload } = require('./socketProtocol');
+
+// Just enough of a Socket.IO socket for the router
+function createSocket() {
+    const handlers = new Map();
+    const emitted = [];
+    return {
+        emitted,
+        on(event, handler) {
+            handlers.set(event, handler);
+        },
+        emit(event, data) {
+            emitted.push({ event, data });
+        },
+        request(event, data) {
+            return new Promise(resolve => handlers.get(event)(data, resolve));
+        },
+        send(event, data) {
+            return handlers.get(event)(data);
+        }
+    };
+}
+
+test('answers through the acknowledgement with the request id', async () => {
+    const socket = createSocket();
+    createRequestRouter(socket)('update-languages', (data) => ({ targetLanguage: data.targetLanguage }));
+
+    const response = await socket.request('update-languages', { requestId: 'r1', targetLanguage: 'de' });
+    assert.deepStrictEqual(response, { ok: true, requestId: 'r1', targetLanguage: 'de' });
+});
+
+test('rejects payloads that do not match the schema', async () => {
+    const socket = createSocket();
+    let ran = false;
+    createRequestRouter(socket)('translate-request', () => { ran = true; });
+
+    const response = await socket.request('translate-request', { requestId: 'r1', sessionId: 's', text: 5, targetLanguage: 'es' });
+    assert.strictEqual(ran, false);
+    assert.strictEqual(response.ok, false);
+    assert.strictEqual(response.error.code, 'INVALID_PAYLOAD');
+    assert.strictEqual(response.error.field, 'text');
+});
+
+test('passes protocol errors through and hides other errors as INTERNAL', async () => {
+    const socket = createSocket();
+    const handle = createRequestRouter(socket);
+    handle('kick-participant', () => { throw new ProtocolError('FORBIDDEN', 'Only hosts can kick', { role: 'viewer' }); });
+    handle('mute-participant', () => { throw new Error('database is locked'); });
+
+    const forbidden = await socket.request('kick-participant', { sessionId: 's', participantId: 'p' });
+    assert.deepStrictEqual(forbidden.error, { code: 'FORBIDDEN', message: 'Only hosts can kick', role: 'viewer' });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const internal = await socket.request('mute-participant', { sessionId: 's', participantId: 'p' });
+        assert.deepStrictEqual(internal.error, { code: 'INTERNAL', message: 'Request failed' });
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('sends failures as an error event when there is no acknowledgement', async () => {
+    const socket = createSocket();
+    createRequestRouter(socket)('kick-participant', () => { throw new ProtocolError('NOT_JOINED', 'Join the session first'); });
+
+    await socket.send('kick-participant', { requestId: 'r1', sessionId: 's', participantId: 'p' });
+    assert.deepStrictEqual(socket.emitted, [{
+        event: 'error',
+        data: { code: 'NOT_JOINED', message: 'Join the session first', event: 'kick-participant', requestId: 'r1' }
+    }]);
+});
+
+test('answers a repeated request id without running it again', async () => {
+    const socket = createSocket();
+    let runs = 0;
+    createRequestRouter(socket)('update-languages', () => ({ run: ++runs }));
+
+    const first = await socket.request('update-languages', { requestId: 'r1' });
+    const retry = await socket.request('update-languages', { requestId: 'r1' });
+    const other = await socket.request('update-languages', { requestId: 'r2' });
+    assert.strictEqual(first.run, 1);
+    assert.strictEqual(retry.run, 1);
+    assert.strictEqual(other.run, 2);
+});
+
+test('runs a retry again after a transient failure', async () => {
+    const socket = createSocket();
+    let runs = 0;
+    createRequestRouter(socket)('update-languages', () => {
+        if (++runs === 1) throw new ProtocolError('INTERNAL', 'Try again');
+        return { run: runs };
+    });
+
+    const failed = await socket.request('update-languages', { requestId: 'r1' });
+    assert.strictEqual(failed.error.code, 'INTERNAL');
+
+    const retry = await socket.request('update-languages', { requestId: 'r1' });
+    assert.deepStrictEqual(retry, { ok: true, requestId: 'r1', run: 2 });
+
+    // The successful answer is the one kept for later retries
+    const again = await socket.request('update-languages', { requestId: 'r1' });
+    assert.strictEqual(again.run, 2);
+});
+
+test('validatePayload accepts missing optional fields and rejects missing required ones', () => {
+    const schema = { sessionId: 'string', muted: 'boolean?' };
+    assert.doesNotThrow(() => validatePayload({ sessionId: 's' }, schema));
+    assert.throws(() => validatePayload({ muted: true }, schema), { code: 'INVALID_PAYLOAD' });
+    assert.throws(() => validatePayload([], schema), { code: 'INVALID_PAYLOAD' });
+    assert.throws(() => validatePayload({ sessionId: 'x'.repeat(10001) }, schema), { code: 'INVALID_PAYLOAD' });
+});
+
+test('OrderedDelivery gives turns in the order they were reserved', async () => {
+    const delivery = new OrderedDelivery();
+    const order = [];
+    const first = delivery.reserve();
+    const second = delivery.reserve();
+
+    const late = second.turn.then(() => { order.push('second'); second.done(); });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepStrictEqual(order, []);
+
+    await first.turn;
+    order.push('first');
+    first.done();
+    await late;
+    assert.deepStrictEqual(order, ['first', 'second']);
+});
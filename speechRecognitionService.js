@@ -0,0 +1,91 @@
+const CloudRecognitionAdapter = require('./asr/cloudAdapter');
+const LocalRecognitionAdapter = require('./asr/localAdapter');
+const FixtureRecognitionAdapter = require('./asr/fixtureAdapter');
+const { isWav, parseWav } = require('./asr/wav');
+
+class SpeechRecognitionService {
+    constructor() {
+        this.adapters = new Map();
+        this.engine = null;
+
+        this.initializeAdapters();
+    }
+
+    initializeAdapters() {
+        this.adapters.set('cloud', new CloudRecognitionAdapter());
+        this.adapters.set('local', new LocalRecognitionAdapter());
+        this.adapters.set('fixture', new FixtureRecognitionAdapter());
+
+        // ASR_ENGINE picks the engine explicitly, otherwise use the first configured one
+        const requested = process.env.ASR_ENGINE;
+        if (requested) {
+            if (!this.adapters.has(requested)) {
+                console.error(`❌ Unknown speech recognition engine: ${requested}`);
+            } else if (!this.adapters.get(requested).isConfigured()) {
+                console.log(`⚠️ Speech recognition engine "${requested}" is not configured`);
+            } else {
+                this.engine = requested;
+            }
+        } else {
+            this.engine = Array.from(this.adapters.keys())
+                .find(name => this.adapters.get(name).isConfigured()) || null;
+        }
+
+        if (this.engine) {
+            console.log(`✅ Speech recognition engine: ${this.engine}`);
+        } else {
+            console.log('⚠️ No speech recognition engine configured');
+        }
+    }
+
+    getAdapter() {
+        if (!this.engine) {
+            throw new Error('No speech recognition engine configured');
+        }
+        return this.adapters.get(this.engine);
+    }
+
+    // Open a streaming recognizer; see asr/adapter.js for the event contract
+    createStream(options = {}) {
+        return this.getAdapter().createStream(options);
+    }
+
+    async recognize(audioData, options = {}) {
+        let audio = toBuffer(audioData);
+        let sampleRate = options.sampleRate || 16000;
+
+        // Accept whole WAV files as well as raw PCM16
+        if (isWav(audio)) {
+            const wav = parseWav(audio);
+            if (wav.channels !== 1) {
+                throw new Error('Only mono audio is supported');
+            }
+            audio = wav.data;
+            sampleRate = wav.sampleRate;
+        }
+
+        return this.getAdapter().recognize(audio, { ...options, sampleRate });
+    }
+
+    getStatus() {
+        const adapters = {};
+        for (const [name, adapter] of this.adapters) {
+            adapters[name] = adapter.isConfigured() ? 'configured' : 'unconfigured';
+        }
+        return { engine: this.engine, adapters };
+    }
+}
+
+// Socket.IO delivers binary payloads as Buffers; older clients send base64
+function toBuffer(audioData) {
+    if (Buffer.isBuffer(audioData)) return audioData;
+    if (audioData instanceof ArrayBuffer) return Buffer.from(audioData);
+    if (ArrayBuffer.isView(audioData)) {
+        return Buffer.from(audioData.buffer, audioData.byteOffset, audioData.byteLength);
+    }
+    if (typeof audioData === 'string') return Buffer.from(audioData, 'base64');
+    throw new Error('Unsupported audio data format');
+}
+
+module.exports = SpeechRecognitionService;
+module.exports.toBuffer = toBuffer;
@@ -0,0 +1,58 @@
+const os = require('os');
+const path = require('path');
+const JsonFileSessionStore = require('./jsonFileStore');
+const SqliteSessionStore = require('./sqliteStore');
+
+// Every backend implements the same async interface:
+//   init(), close()
+//   upsertSession({ id, startTime, endTime, status, metadata }), updateMetadata(id, metadata)
+//   endSession(id, endTime), endActiveSessions(endTime)
+//   addParticipant(sessionId, participant), removeParticipant(sessionId, participantId, leftAt)
+//   appendSegment(sessionId, segment), updateSegment(sessionId, segmentId, patch)
+//   getSession(id), listSessions(), deleteEndedBefore(cutoff)
+// Times are ISO strings; segments and metadata are stored exactly as the server builds them.
+function createSessionStore(options = {}) {
+    const backend = options.backend || process.env.SESSION_STORE || 'json';
+    const dataDir = getDataDir(options);
+
+    switch (backend) {
+        case 'json':
+            return new JsonFileSessionStore({ directory: path.join(dataDir, 'sessions') });
+        case 'sqlite':
+            return new SqliteSessionStore({ filePath: path.join(dataDir, 'sessions.db') });
+        default:
+            throw new Error(`Unknown session store: ${backend}. Use: json or sqlite`);
+    }
+}
+
+// Where sessions, usage totals and the disk cache are kept. The default is
+// outside the app folder, because server.js serves that folder as static files.
+function getDataDir(options = {}) {
+    return options.dataDir || process.env.SESSION_STORE_DIR || path.join(os.homedir(), '.real-time-speech-translator');
+}
+
+// Periodically delete ended sessions older than the retention period.
+// SESSION_RETENTION_DAYS=0 keeps them forever.
+function startRetention(store, options = {}) {
+    const retentionDays = Number(options.retentionDays ?? process.env.SESSION_RETENTION_DAYS ?? 30);
+    if (!(retentionDays > 0)) return null;
+
+    const purge = async () => {
+        try {
+            const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+            const deleted = await store.deleteEndedBefore(cutoff);
+            if (deleted > 0) {
+                console.log(`🧹 Deleted ${deleted} session(s) older than ${retentionDays} days`);
+            }
+        } catch (error) {
+            console.error('❌ Session retention failed:', error.message);
+        }
+    };
+
+    purge();
+    const timer = setInterval(purge, options.interval || 60 * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = { createSessionStore, getDataDir, startRetention };
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Keeps every session in memory and mirrors each one to its own JSON file in
+// `directory`, named by a hash of the session id (ids come from clients).
+// Writes are batched, only sessions that changed since the last write are
+// written, and each goes through a temp file + rename so a crash mid-write
+// never leaves a truncated file behind.
+class JsonFileSessionStore {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(process.cwd(), 'data', 'sessions');
+        this.writeDelay = options.writeDelay ?? 200;
+        this.sessions = new Map();
+        // Ids of sessions to write (or delete) on the next write
+        this.dirty = new Set();
+        this.writeTimer = null;
+        this.writing = Promise.resolve();
+    }
+
+    async init() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return;
+        }
+
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const session = JSON.parse(await fs.promises.readFile(path.join(this.directory, file), 'utf8'));
+            this.sessions.set(session.id, session);
+        }
+    }
+
+    async upsertSession({ id, startTime, endTime = null, status = 'active', metadata }) {
+        const existing = this.sessions.get(id);
+        if (existing) {
+            Object.assign(existing, { startTime: existing.startTime || startTime, endTime, status });
+            if (metadata) existing.metadata = metadata;
+        } else {
+            this.sessions.set(id, {
+                id, startTime, endTime, status, metadata: metadata || {}, participants: [], transcript: []
+            });
+        }
+        this.markDirty(id);
+    }
+
+    async updateMetadata(id, metadata) {
+        const session = this.sessions.get(id);
+        if (!session) return;
+
+        session.metadata = metadata;
+        this.markDirty(id);
+    }
+
+    async endSession(id, endTime) {
+        const session = this.sessions.get(id);
+        if (!session) return;
+
+        session.status = 'ended';
+        session.endTime = endTime;
+        session.participants.forEach(participant => {
+            if (!participant.leftAt) participant.leftAt = endTime;
+        });
+        this.markDirty(id);
+    }
+
+    // Sessions left 'active' by a previous process that did not shut down cleanly
+    async endActiveSessions(endTime) {
+        for (const session of this.sessions.values()) {
+            if (session.status === 'active') await this.endSession(session.id, endTime);
+        }
+    }
+
+    async addParticipant(sessionId, participant) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+
+        session.participants.push({ leftAt: null, ...participant });
+        this.markDirty(sessionId);
+    }
+
+    async removeParticipant(sessionId, participantId, leftAt) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+
+        session.participants
+            .filter(participant => participant.id === participantId && !participant.leftAt)
+            .forEach(participant => { participant.leftAt = leftAt; });
+        this.markDirty(sessionId);
+    }
+
+    async appendSegment(sessionId, segment) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+
+        session.transcript.push(segment);
+        this.markDirty(sessionId);
+    }
+
+    async updateSegment(sessionId, segmentId, patch) {
+        const session = this.sessions.get(sessionId);
+        const segment = session && session.transcript.find(item => item.id === segmentId);
+        if (!segment) return;
+
+        Object.assign(segment, patch);
+        this.markDirty(sessionId);
+    }
+
+    async getSession(id) {
+        const session = this.sessions.get(id);
+        return session ? JSON.parse(JSON.stringify(session)) : null;
+    }
+
+    async listSessions() {
+        return Array.from(this.sessions.values()).map(session => ({
+            id: session.id,
+            startTime: session.startTime,
+            endTime: session.endTime,
+            status: session.status,
+            participants: session.participants.length,
+            transcriptLength: session.transcript.length
+        }));
+    }
+
+    async deleteEndedBefore(cutoff) {
+        let deleted = 0;
+        for (const session of Array.from(this.sessions.values())) {
+            if (session.status === 'ended' && new Date(session.endTime) < cutoff) {
+                this.sessions.delete(session.id);
+                this.markDirty(session.id);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    markDirty(id) {
+        this.dirty.add(id);
+        this.scheduleWrite();
+    }
+
+    scheduleWrite() {
+        if (this.writeTimer) return;
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            this.writing = this.writing.then(() => this.write()).catch(error => {
+                console.error('❌ Failed to write session store:', error.message);
+            });
+        }, this.writeDelay);
+    }
+
+    async write() {
+        const ids = Array.from(this.dirty);
+        this.dirty.clear();
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        for (let i = 0; i < ids.length; i++) {
+            const filePath = this.getFilePath(ids[i]);
+            const session = this.sessions.get(ids[i]);
+            try {
+                if (session) {
+                    const tempPath = `${filePath}.tmp`;
+                    await fs.promises.writeFile(tempPath, JSON.stringify(session));
+                    await fs.promises.rename(tempPath, filePath);
+                } else {
+                    await fs.promises.rm(filePath, { force: true });
+                }
+            } catch (error) {
+                // The sessions not written yet go out with the next write
+                ids.slice(i).forEach(id => this.dirty.add(id));
+                throw error;
+            }
+        }
+    }
+
+    getFilePath(id) {
+        return path.join(this.directory, `${crypto.createHash('sha1').update(id).digest('hex')}.json`);
+    }
+
+    async close() {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+            this.writing = this.writing.then(() => this.write());
+        }
+        await this.writing;
+    }
+}
+
+module.exports = JsonFileSessionStore;
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+
+// Uses better-sqlite3 (an optional dependency, skipped when its native build
+// fails) when it is installed, otherwise the sqlite module built into Node
+// 22.13+. Both expose the same synchronous prepare/run/get/all API.
+function openDatabase(filePath) {
+    try {
+        const Database = require('better-sqlite3');
+        return new Database(filePath);
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    }
+
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        return new DatabaseSync(filePath);
+    } catch (error) {
+        throw new Error('SQLite storage needs the better-sqlite3 package (npm install better-sqlite3) or Node.js 22.13+');
+    }
+}
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        start_time TEXT NOT NULL,
+        end_time TEXT,
+        status TEXT NOT NULL,
+        metadata TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE TABLE IF NOT EXISTS participants (
+        session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        participant_id TEXT NOT NULL,
+        joined_at TEXT NOT NULL,
+        left_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS segments (
+        session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        segment_id TEXT,
+        timestamp INTEGER,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS participants_session ON participants(session_id);
+    CREATE INDEX IF NOT EXISTS segments_session ON segments(session_id, seq);
+    CREATE INDEX IF NOT EXISTS segments_id ON segments(session_id, segment_id);
+`;
+
+class SqliteSessionStore {
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join(process.cwd(), 'data', 'sessions.db');
+        this.db = null;
+    }
+
+    async init() {
+        if (this.filePath !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        }
+        this.db = openDatabase(this.filePath);
+        this.db.exec('PRAGMA journal_mode = WAL; PRAGMA foreign_keys = ON;');
+        this.db.exec(SCHEMA);
+    }
+
+    async upsertSession({ id, startTime, endTime = null, status = 'active', metadata }) {
+        this.db.prepare(`
+            INSERT INTO sessions (id, start_time, end_time, status, metadata) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET end_time = excluded.end_time, status = excluded.status,
+                metadata = CASE WHEN ? IS NULL THEN metadata ELSE excluded.metadata END
+        `).run(id, startTime, endTime, status, JSON.stringify(metadata || {}), metadata ? 1 : null);
+    }
+
+    async updateMetadata(id, metadata) {
+        this.db.prepare('UPDATE sessions SET metadata = ? WHERE id = ?').run(JSON.stringify(metadata), id);
+    }
+
+    async endSession(id, endTime) {
+        this.db.prepare('UPDATE sessions SET status = ?, end_time = ? WHERE id = ?').run('ended', endTime, id);
+        this.db.prepare('UPDATE participants SET left_at = ? WHERE session_id = ? AND left_at IS NULL').run(endTime, id);
+    }
+
+    // Sessions left 'active' by a previous process that did not shut down cleanly
+    async endActiveSessions(endTime) {
+        const active = this.db.prepare('SELECT id FROM sessions WHERE status = ?').all('active');
+        for (const { id } of active) {
+            await this.endSession(id, endTime);
+        }
+    }
+
+    async addParticipant(sessionId, participant) {
+        this.db.prepare(`
+            INSERT INTO participants (session_id, participant_id, joined_at, data) VALUES (?, ?, ?, ?)
+        `).run(sessionId, participant.id, participant.joinedAt, JSON.stringify(participant));
+    }
+
+    async removeParticipant(sessionId, participantId, leftAt) {
+        this.db.prepare(`
+            UPDATE participants SET left_at = ? WHERE session_id = ? AND participant_id = ? AND left_at IS NULL
+        `).run(leftAt, sessionId, participantId);
+    }
+
+    async appendSegment(sessionId, segment) {
+        this.db.prepare('INSERT INTO segments (session_id, segment_id, timestamp, data) VALUES (?, ?, ?, ?)')
+            .run(sessionId, segment.id ?? null, segment.timestamp ?? null, JSON.stringify(segment));
+    }
+
+    async updateSegment(sessionId, segmentId, patch) {
+        const row = this.db.prepare('SELECT seq, data FROM segments WHERE session_id = ? AND segment_id = ?')
+            .get(sessionId, segmentId);
+        if (!row) return;
+
+        const segment = { ...JSON.parse(row.data), ...patch };
+        this.db.prepare('UPDATE segments SET data = ? WHERE seq = ?').run(JSON.stringify(segment), row.seq);
+    }
+
+    async getSession(id) {
+        const row = this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+        if (!row) return null;
+
+        const participants = this.db.prepare('SELECT * FROM participants WHERE session_id = ? ORDER BY joined_at')
+            .all(id)
+            .map(participant => ({ ...JSON.parse(participant.data), leftAt: participant.left_at }));
+        const transcript = this.db.prepare('SELECT data FROM segments WHERE session_id = ? ORDER BY seq')
+            .all(id)
+            .map(segment => JSON.parse(segment.data));
+
+        return {
+            id: row.id,
+            startTime: row.start_time,
+            endTime: row.end_time,
+            status: row.status,
+            metadata: JSON.parse(row.metadata),
+            participants,
+            transcript
+        };
+    }
+
+    async listSessions() {
+        return this.db.prepare(`
+            SELECT s.id, s.start_time, s.end_time, s.status,
+                (SELECT COUNT(*) FROM participants p WHERE p.session_id = s.id) AS participants,
+                (SELECT COUNT(*) FROM segments g WHERE g.session_id = s.id) AS transcript_length
+            FROM sessions s ORDER BY s.start_time DESC
+        `).all().map(row => ({
+            id: row.id,
+            startTime: row.start_time,
+            endTime: row.end_time,
+            status: row.status,
+            participants: Number(row.participants),
+            transcriptLength: Number(row.transcript_length)
+        }));
+    }
+
+    async deleteEndedBefore(cutoff) {
+        const result = this.db.prepare('DELETE FROM sessions WHERE status = ? AND end_time < ?')
+            .run('ended', cutoff.toISOString());
+        return Number(result.changes);
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteSessionStore;
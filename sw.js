@@ -8,6 +8,13 @@ const STATIC_ASSETS = [
     '/index.html',
     '/styles.css',
     '/app.js',
+    '/audioUplink.js',
+    '/sentenceSegmenter.js',
+    '/requestClient.js',
+    '/latencyPanel.js',
+    '/transcriptFormats.mjs',
+    '/punctuation.mjs',
+    '/languageCodes.mjs',
     '/manifest.json'
 ];
 
@@ -57,6 +64,11 @@ self.addEventListener('fetch', (event) => {
     const { request } = event;
     const url = new URL(request.url);
 
+    // Let event streams go straight to the network
+    if (request.headers.get('Accept') === 'text/event-stream') {
+        return;
+    }
+
     // Handle API requests
     if (url.pathname.startsWith('/api/')) {
         event.respondWith(handleApiRequest(request));
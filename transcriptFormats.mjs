@@ -0,0 +1,179 @@
+// Transcript export formats shared by the browser (app.js) and the server.
+//
+// Segments are normalized before formatting:
+//   { id, timestamp, duration, speaker, original, translation }
+// `id` is the segment id, `timestamp` when the segment was finalized (ms since
+// epoch) and `duration` its length in ms when known (e.g. from word timings).
+// WebVTT cues and CSV rows are labelled with the segment id.
+
+export const FORMATS = {
+    json: { extension: 'json', contentType: 'application/json' },
+    srt: { extension: 'srt', contentType: 'application/x-subrip' },
+    vtt: { extension: 'vtt', contentType: 'text/vtt' },
+    txt: { extension: 'txt', contentType: 'text/plain' },
+    md: { extension: 'md', contentType: 'text/markdown' },
+    csv: { extension: 'csv', contentType: 'text/csv' }
+};
+
+export const VARIANTS = ['bilingual', 'original', 'translation'];
+
+const CHARS_PER_SECOND = 15;
+const MIN_CUE_MS = 1000;
+const MAX_CUE_MS = 7000;
+
+export function formatTranscript(segments, options = {}) {
+    const format = options.format || 'json';
+    const settings = {
+        variant: VARIANTS.includes(options.variant) ? options.variant : 'bilingual',
+        speakers: options.speakers !== false,
+        title: options.title || 'Transcript',
+        startTime: options.startTime
+    };
+
+    if (!FORMATS[format]) {
+        throw new Error(`Unknown export format: ${format}. Use: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    const cues = buildCues(segments, settings.startTime);
+
+    switch (format) {
+        case 'srt':
+            return toSrt(cues, settings);
+        case 'vtt':
+            return toVtt(cues, settings);
+        case 'txt':
+            return toText(cues, settings);
+        case 'md':
+            return toMarkdown(cues, settings);
+        case 'csv':
+            return toCsv(cues, settings);
+        default:
+            return JSON.stringify({ ...options.metadata, transcript: segments }, null, 2);
+    }
+}
+
+// Place each segment on the session timeline. A segment ends when it was
+// finalized; without word timings its length is estimated from its text.
+// Cues never overlap the previous one.
+function buildCues(segments, startTime) {
+    const sorted = [...segments].sort((a, b) => a.timestamp - b.timestamp);
+    const origin = startTime ? new Date(startTime).getTime() : (sorted[0] ? sorted[0].timestamp - estimateDuration(sorted[0]) : 0);
+    let previousEnd = 0;
+
+    return sorted.map((segment) => {
+        const end = Math.max(segment.timestamp - origin, previousEnd + MIN_CUE_MS);
+        const start = Math.max(previousEnd, end - estimateDuration(segment));
+        previousEnd = end;
+        return { ...segment, start, end };
+    });
+}
+
+function estimateDuration(segment) {
+    if (segment.duration > 0) return segment.duration;
+    const length = (segment.original || '').length;
+    return Math.min(MAX_CUE_MS, Math.max(MIN_CUE_MS, length / CHARS_PER_SECOND * 1000));
+}
+
+// The lines shown for a cue, depending on the variant
+function cueLines(cue, variant) {
+    const lines = [];
+    if (variant !== 'translation' && cue.original) lines.push(cue.original);
+    if (variant !== 'original' && cue.translation) lines.push(cue.translation);
+    return lines;
+}
+
+function formatTimestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    const millis = total % 1000;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${String(millis).padStart(3, '0')}`;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function toSrt(cues, { variant, speakers }) {
+    return cues
+        .map(cue => ({ cue, lines: cueLines(cue, variant) }))
+        .filter(({ lines }) => lines.length > 0)
+        .map(({ cue, lines }, index) => {
+            if (speakers && cue.speaker) lines[0] = `${cue.speaker}: ${lines[0]}`;
+            return `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${lines.join('\n')}\n`;
+        })
+        .join('\n');
+}
+
+function toVtt(cues, { variant, speakers }) {
+    const body = cues
+        .map(cue => ({ cue, lines: cueLines(cue, variant).map(escapeVtt) }))
+        .filter(({ lines }) => lines.length > 0)
+        .map(({ cue, lines }) => {
+            // A voice span covers the rest of the cue, so one tag labels every line
+            if (speakers && cue.speaker) lines[0] = `<v ${escapeVtt(cue.speaker)}>${lines[0]}`;
+            const identifier = cue.id ? `${cue.id}\n` : '';
+            return `${identifier}${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${lines.join('\n')}\n`;
+        })
+        .join('\n');
+    return `WEBVTT\n\n${body}`;
+}
+
+function escapeVtt(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/-->/g, '--&gt;');
+}
+
+function toText(cues, { variant, speakers }) {
+    return cues
+        .map(cue => ({ cue, lines: cueLines(cue, variant) }))
+        .filter(({ lines }) => lines.length > 0)
+        .map(({ cue, lines }) => {
+            const label = speakers && cue.speaker ? ` ${cue.speaker}:` : '';
+            const [first, ...rest] = lines;
+            return [`[${formatTimestamp(cue.start, '.').slice(0, 8)}]${label} ${first}`, ...rest.map(line => `    ${line}`)].join('\n');
+        })
+        .join('\n') + '\n';
+}
+
+function toMarkdown(cues, { variant, speakers, title, startTime }) {
+    const header = [`# ${title}`, ''];
+    if (startTime) header.push(`_Started ${new Date(startTime).toISOString()}_`, '');
+
+    const body = cues
+        .map(cue => ({ cue, lines: cueLines(cue, variant) }))
+        .filter(({ lines }) => lines.length > 0)
+        .map(({ cue, lines }) => {
+            const time = formatTimestamp(cue.start, '.').slice(0, 8);
+            const heading = speakers && cue.speaker ? `**${escapeMarkdown(cue.speaker)}** · ${time}` : `**${time}**`;
+            const [first, ...rest] = lines.map(escapeMarkdown);
+            return [heading, '', first, ...rest.map(line => `> ${line}`), ''].join('\n');
+        });
+
+    return [...header, ...body].join('\n');
+}
+
+function escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]#|<>])/g, '\\$1');
+}
+
+function toCsv(cues, { variant, speakers }) {
+    const columns = ['id', 'start', 'end'];
+    if (speakers) columns.push('speaker');
+    if (variant !== 'translation') columns.push('original');
+    if (variant !== 'original') columns.push('translation');
+
+    const rows = cues.map(cue => columns.map(column => {
+        if (column === 'start' || column === 'end') return formatTimestamp(cue[column], '.');
+        return cue[column] || '';
+    }));
+
+    return [columns, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+// Cells a spreadsheet would run as a formula ("=1+2", "@SUM(...)") get a leading '
+function escapeCsv(value) {
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Shared with the browser as an ES module
+const loading = import('./transcriptFormats.mjs');
+
+const START = Date.UTC(2024, 0, 1);
+
+// Two segments of a session that started at START; the second has no word timings
+const SEGMENTS = [
+    { id: 'b', timestamp: START + 6000, speaker: 'Bob', original: 'See you.', translation: 'Hasta luego.' },
+    { id: 'a', timestamp: START + 3000, duration: 2000, speaker: 'Ann', original: 'Hello there.', translation: 'Hola.' }
+];
+
+async function format(format, options = {}, segments = SEGMENTS) {
+    const { formatTranscript } = await loading;
+    return formatTranscript(segments, { format, startTime: START, ...options });
+}
+
+test('writes SRT cues in order, timed on the session timeline', async () => {
+    assert.strictEqual(await format('srt'),
+        '1\n00:00:01,000 --> 00:00:03,000\nAnn: Hello there.\nHola.\n\n' +
+        '2\n00:00:05,000 --> 00:00:06,000\nBob: See you.\nHasta luego.\n');
+});
+
+test('labels WebVTT cues with the segment id and escapes markup', async () => {
+    const segments = [{ id: 'x', timestamp: START + 1000, speaker: '<Ann>', original: 'a < b & c --> d' }];
+
+    assert.strictEqual(await format('vtt', {}, segments),
+        'WEBVTT\n\nx\n00:00:00.000 --> 00:00:01.000\n<v &lt;Ann&gt;>a &lt; b &amp; c --&gt; d\n');
+});
+
+test('writes plain text and Markdown with an optional speaker label', async () => {
+    assert.strictEqual(await format('txt', { speakers: false }),
+        '[00:00:01] Hello there.\n    Hola.\n[00:00:05] See you.\n    Hasta luego.\n');
+    assert.strictEqual(await format('md', { title: 'Standup', variant: 'original' }),
+        '# Standup\n\n_Started 2024-01-01T00:00:00.000Z_\n\n' +
+        '**Ann** · 00:00:01\n\nHello there.\n\n**Bob** · 00:00:05\n\nSee you.\n');
+});
+
+test('keeps only the lines of the chosen variant', async () => {
+    assert.strictEqual(await format('srt', { variant: 'translation', speakers: false }),
+        '1\n00:00:01,000 --> 00:00:03,000\nHola.\n\n2\n00:00:05,000 --> 00:00:06,000\nHasta luego.\n');
+});
+
+test('quotes CSV cells and neutralizes formulas', async () => {
+    const segments = [
+        { id: 'a', timestamp: START + 1000, original: '=HYPERLINK("http://x")', translation: 'a, "b"' },
+        { id: 'b', timestamp: START + 2000, original: '@SUM(A1)', translation: '-1' }
+    ];
+
+    assert.strictEqual(await format('csv', { speakers: false }, segments),
+        'id,start,end,original,translation\r\n' +
+        'a,00:00:00.000,00:00:01.000,"\'=HYPERLINK(""http://x"")","a, ""b"""\r\n' +
+        'b,00:00:01.000,00:00:02.000,\'@SUM(A1),\'-1\r\n');
+});
+
+test('writes JSON with the metadata and rejects unknown formats', async () => {
+    const json = JSON.parse(await format('json', { metadata: { sessionId: 's1' } }));
+    assert.strictEqual(json.sessionId, 's1');
+    assert.deepStrictEqual(json.transcript, SEGMENTS);
+
+    await assert.rejects(format('docx'), /Unknown export format: docx/);
+});
@@ -0,0 +1,108 @@
+// Collects translation requests for a few milliseconds and sends them as one
+// provider call per language pair. Callers get back a promise for their own text;
+// identical texts in the same window share a single slot in the batch.
+// An optional context (e.g. a session glossary) is passed through to the handler;
+// requests are only batched together when their context.key matches.
+// Each text also carries the session of the first caller that asked for it,
+// so a text shared by several callers is billed once.
+class TranslationBatcher {
+    constructor(handler, options = {}) {
+        // handler(texts, sourceLanguage, targetLanguage, context, sessionIds) resolves to one result per text
+        this.handler = handler;
+        this.windowMs = options.windowMs ?? 10;
+        this.maxBatchSize = options.maxBatchSize ?? 50;
+        this.maxBatchChars = options.maxBatchChars ?? 5000;
+        this.pending = new Map();
+        this.stats = { batches: 0, texts: 0, largestBatch: 0 };
+    }
+
+    enqueue(text, sourceLanguage, targetLanguage, context = null, sessionId = null) {
+        if (this.windowMs <= 0) {
+            return this.run([text], sourceLanguage, targetLanguage, context, [sessionId]).then(([translation]) => translation);
+        }
+
+        const key = `${sourceLanguage || 'auto'}|${targetLanguage}|${context ? context.key : ''}`;
+        let batch = this.pending.get(key);
+
+        // Send a full batch right away and start a new one for this text
+        if (batch && !batch.entries.has(text) &&
+            (batch.entries.size >= this.maxBatchSize || batch.chars + text.length > this.maxBatchChars)) {
+            this.flush(key);
+            batch = null;
+        }
+
+        if (!batch) {
+            batch = {
+                sourceLanguage,
+                targetLanguage,
+                context,
+                entries: new Map(),
+                chars: 0,
+                timer: setTimeout(() => this.flush(key), this.windowMs)
+            };
+            this.pending.set(key, batch);
+        }
+
+        let waiters = batch.entries.get(text);
+        if (!waiters) {
+            waiters = [];
+            batch.entries.set(text, waiters);
+            batch.chars += text.length;
+        }
+
+        return new Promise((resolve, reject) => waiters.push({ resolve, reject, sessionId }));
+    }
+
+    async flush(key) {
+        const batch = this.pending.get(key);
+        if (!batch) return;
+
+        this.pending.delete(key);
+        clearTimeout(batch.timer);
+
+        const texts = Array.from(batch.entries.keys());
+        const sessionIds = texts.map(text => batch.entries.get(text)[0].sessionId);
+        try {
+            const translations = await this.run(texts, batch.sourceLanguage, batch.targetLanguage, batch.context, sessionIds);
+            texts.forEach((text, i) => {
+                batch.entries.get(text).forEach(waiter => waiter.resolve(translations[i]));
+            });
+        } catch (error) {
+            texts.forEach(text => {
+                batch.entries.get(text).forEach(waiter => waiter.reject(error));
+            });
+        }
+    }
+
+    async run(texts, sourceLanguage, targetLanguage, context, sessionIds) {
+        this.stats.batches++;
+        this.stats.texts += texts.length;
+        this.stats.largestBatch = Math.max(this.stats.largestBatch, texts.length);
+
+        const translations = await this.handler(texts, sourceLanguage, targetLanguage, context, sessionIds);
+        if (!Array.isArray(translations) || translations.length !== texts.length) {
+            throw new Error(`Expected ${texts.length} translations, got ${translations?.length ?? 0}`);
+        }
+        return translations;
+    }
+
+    getStats() {
+        return {
+            windowMs: this.windowMs,
+            maxBatchSize: this.maxBatchSize,
+            pending: this.pending.size,
+            batches: this.stats.batches,
+            texts: this.stats.texts,
+            largestBatch: this.stats.largestBatch,
+            averageBatchSize: this.stats.batches ? +(this.stats.texts / this.stats.batches).toFixed(2) : 0
+        };
+    }
+
+    close() {
+        for (const key of Array.from(this.pending.keys())) {
+            this.flush(key);
+        }
+    }
+}
+
+module.exports = TranslationBatcher;
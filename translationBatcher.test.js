@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TranslationBatcher = require('./translationBatcher');
+
+// A batcher whose handler records every call and upper-cases the texts
+function createBatcher(options = {}) {
+    const calls = [];
+    const batcher = new TranslationBatcher(async (texts, sourceLanguage, targetLanguage, context, sessionIds) => {
+        calls.push({ texts, sourceLanguage, targetLanguage, context, sessionIds });
+        return texts.map(text => text.toUpperCase());
+    }, options);
+    return { batcher, calls };
+}
+
+test('sends the texts of one window as one call per language pair', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { batcher, calls } = createBatcher();
+
+    const results = Promise.all([
+        batcher.enqueue('one', 'en', 'es'),
+        batcher.enqueue('two', 'en', 'es'),
+        batcher.enqueue('three', 'en', 'fr')
+    ]);
+    assert.strictEqual(calls.length, 0);
+
+    t.mock.timers.tick(10);
+    assert.deepStrictEqual(await results, ['ONE', 'TWO', 'THREE']);
+    assert.deepStrictEqual(calls.map(call => [call.targetLanguage, call.texts]), [['es', ['one', 'two']], ['fr', ['three']]]);
+    assert.deepStrictEqual(batcher.getStats(), {
+        windowMs: 10, maxBatchSize: 50, pending: 0, batches: 2, texts: 3, largestBatch: 2, averageBatchSize: 1.5
+    });
+});
+
+test('sends a text asked for twice once, on the first caller\'s session', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { batcher, calls } = createBatcher();
+
+    const results = Promise.all([
+        batcher.enqueue('hello', 'en', 'es', null, 's1'),
+        batcher.enqueue('hello', 'en', 'es', null, 's2'),
+        batcher.enqueue('bye', 'en', 'es', null, 's2')
+    ]);
+    t.mock.timers.tick(10);
+    assert.deepStrictEqual(await results, ['HELLO', 'HELLO', 'BYE']);
+    assert.deepStrictEqual(calls[0].texts, ['hello', 'bye']);
+    assert.deepStrictEqual(calls[0].sessionIds, ['s1', 's2']);
+});
+
+test('keeps requests with different contexts apart', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { batcher, calls } = createBatcher();
+    const glossary = { key: 'g1' };
+
+    const results = Promise.all([
+        batcher.enqueue('one', 'en', 'es', glossary),
+        batcher.enqueue('two', 'en', 'es')
+    ]);
+    t.mock.timers.tick(10);
+    await results;
+    assert.deepStrictEqual(calls.map(call => [call.context, call.texts]), [[glossary, ['one']], [null, ['two']]]);
+});
+
+test('sends a batch early once it is full', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { batcher, calls } = createBatcher({ maxBatchSize: 2, maxBatchChars: 8 });
+
+    const results = Promise.all([
+        batcher.enqueue('aa', 'en', 'es'),
+        batcher.enqueue('bb', 'en', 'es'),
+        batcher.enqueue('cc', 'en', 'es'),
+        batcher.enqueue('ddddddd', 'en', 'es')
+    ]);
+    assert.deepStrictEqual(calls.map(call => call.texts), [['aa', 'bb'], ['cc']]);
+
+    t.mock.timers.tick(10);
+    await results;
+    assert.deepStrictEqual(calls.map(call => call.texts), [['aa', 'bb'], ['cc'], ['ddddddd']]);
+});
+
+test('calls the handler straight away without a window', async () => {
+    const { batcher, calls } = createBatcher({ windowMs: 0 });
+
+    assert.strictEqual(await batcher.enqueue('now', 'en', 'es', null, 's1'), 'NOW');
+    assert.deepStrictEqual(calls[0].sessionIds, ['s1']);
+});
+
+test('rejects every caller when the handler fails or miscounts', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const failing = new TranslationBatcher(async () => { throw new Error('quota exceeded'); });
+    const short = new TranslationBatcher(async () => ['only one']);
+
+    const results = [
+        failing.enqueue('one', 'en', 'es'),
+        failing.enqueue('two', 'en', 'es'),
+        short.enqueue('one', 'en', 'es'),
+        short.enqueue('two', 'en', 'es')
+    ];
+    t.mock.timers.tick(10);
+    await assert.rejects(results[0], /quota exceeded/);
+    await assert.rejects(results[1], /quota exceeded/);
+    await assert.rejects(results[2], /Expected 2 translations, got 1/);
+    await assert.rejects(results[3], /Expected 2 translations, got 1/);
+});
+
+test('close sends what is pending', async () => {
+    const { batcher, calls } = createBatcher({ windowMs: 1000 });
+
+    const result = batcher.enqueue('late', 'en', 'es');
+    batcher.close();
+    assert.strictEqual(await result, 'LATE');
+    assert.strictEqual(calls.length, 1);
+});
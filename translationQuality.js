@@ -0,0 +1,70 @@
+// Words; Chinese and Japanese characters count as words of their own
+const WORD = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+/gu;
+
+// Similarity between an original segment and its back-translation, used to
+// spot translations that lost or changed the meaning.
+//
+// The score (0 = unrelated, 1 = same text) averages two measures:
+//   - word overlap (F1 over the words of both texts), which rewards keeping the content
+//   - character trigram overlap (Dice), which forgives inflection and word order
+//     changes and works for languages written without spaces
+function similarity(original, backTranslation) {
+    const a = normalize(original);
+    const b = normalize(backTranslation);
+    if (!a && !b) return 1;
+    if (!a || !b) return 0;
+
+    const score = (wordOverlap(a, b) + trigramOverlap(a, b)) / 2;
+    return +score.toFixed(3);
+}
+
+function normalize(text) {
+    return (text || '').normalize('NFKC').toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function wordOverlap(a, b) {
+    const wordsA = a.match(WORD);
+    const wordsB = b.match(WORD);
+    const common = countCommon(wordsA, wordsB);
+    if (!common) return 0;
+
+    const precision = common / wordsB.length;
+    const recall = common / wordsA.length;
+    return 2 * precision * recall / (precision + recall);
+}
+
+function trigramOverlap(a, b) {
+    const gramsA = trigrams(a);
+    const gramsB = trigrams(b);
+    return 2 * countCommon(gramsA, gramsB) / (gramsA.length + gramsB.length);
+}
+
+function trigrams(text) {
+    const padded = ` ${text} `;
+    const chars = Array.from(padded);
+    const grams = [];
+    for (let i = 0; i + 3 <= chars.length; i++) {
+        grams.push(chars.slice(i, i + 3).join(''));
+    }
+    return grams;
+}
+
+// Size of the multiset intersection
+function countCommon(a, b) {
+    const counts = new Map();
+    a.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+
+    let common = 0;
+    b.forEach(item => {
+        const count = counts.get(item);
+        if (count) {
+            common++;
+            counts.set(item, count - 1);
+        }
+    });
+    return common;
+}
+
+module.exports = { similarity };
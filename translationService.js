@@ -1,314 +1,347 @@
-const { Translate } = require('@google-cloud/translate').v2;
-const axios = require('axios');
-const NodeCache = require('node-cache');
+const crypto = require('crypto');
+const TranslationBatcher = require('./translationBatcher');
+const { isEmpty, translateProtected } = require('./glossary');
+const { createProviderRegistry } = require('./providers');
+const ProviderHealth = require('./providers/health');
+const { TranslationCache } = require('./cache');
+const { similarity } = require('./translationQuality');
+const TranslationUsage = require('./usage');
+const { LanguageCatalogue } = require('./languages');
 
 class TranslationService {
     constructor() {
-        this.cache = new NodeCache({ stdTTL: 3600 }); // Cache for 1 hour
-        this.googleTranslate = null;
-        this.currentService = 'google'; // Primary service
-        this.fallbackServices = ['azure', 'deepl', 'microsoft'];
-        this.serviceIndex = 0;
-
-        // Rate limiting and monitoring
-        this.requestCounts = new Map();
-        this.serviceHealth = new Map();
-        this.lastHealthCheck = Date.now();
+        // Memory, disk or Redis, chosen with TRANSLATION_CACHE (see cache/index.js)
+        this.cache = new TranslationCache();
+
+        // Registered providers and their priority (see providers/index.js)
+        this.providers = createProviderRegistry();
+
+        // Monitoring; quotas per client are enforced by the server (see quotas.js)
+        this.requestCounts = new Map(); // Provider call timestamps in the last minute, per provider
+        this.health = new Map(); // Circuit breaker and rolling stats per provider
+        this.lastHealthCheck = null;
+        this.probeIntervalMs = readNumber('TRANSLATION_PROBE_INTERVAL_MS', 60000);
+
+        // Characters and cost per provider, session and day, and spending budgets (see usage.js)
+        this.usage = new TranslationUsage();
+
+        // Optional back-translation check: scores below the threshold are flagged
+        this.quality = {
+            enabled: process.env.TRANSLATION_QUALITY_CHECK === 'true',
+            threshold: parseFloat(process.env.TRANSLATION_QUALITY_THRESHOLD ?? '0.5')
+        };
+
+        // Segments from all clients and sessions are sent in one call per language pair
+        this.batcher = new TranslationBatcher(
+            (texts, sourceLanguage, targetLanguage, context, sessionIds) =>
+                this.translateBatch(texts, sourceLanguage, targetLanguage, context, sessionIds),
+            {
+                windowMs: readNumber('TRANSLATION_BATCH_WINDOW_MS', 10),
+                maxBatchSize: readNumber('TRANSLATION_BATCH_SIZE', 50, 1)
+            }
+        );
+
+        // Languages from each provider's own listing, refreshed daily
+        this.languages = new LanguageCatalogue(this.providers);
 
         this.initializeServices();
         this.startHealthMonitoring();
+        this.languages.refresh();
+        setInterval(() => this.languages.refresh(), 24 * 60 * 60 * 1000).unref();
     }
 
-    async initializeServices() {
-        try {
-            // Initialize Google Translate if API key is available
-            if (process.env.GOOGLE_TRANSLATE_API_KEY) {
-                this.googleTranslate = new Translate({
-                    key: process.env.GOOGLE_TRANSLATE_API_KEY
-                });
-                console.log('✅ Google Translate API initialized');
-                this.serviceHealth.set('google', { status: 'healthy', lastCheck: Date.now() });
-            } else {
-                console.log('⚠️ Google Translate API key not found');
-                this.serviceHealth.set('google', { status: 'unconfigured', lastCheck: Date.now() });
-            }
-        } catch (error) {
-            console.error('❌ Failed to initialize Google Translate:', error.message);
-            this.serviceHealth.set('google', { status: 'error', lastCheck: Date.now(), error: error.message });
+    initializeServices() {
+        const breaker = {
+            threshold: readNumber('TRANSLATION_BREAKER_THRESHOLD', 3, 1),
+            baseBackoffMs: readNumber('TRANSLATION_BREAKER_BACKOFF_MS', 5000),
+            maxBackoffMs: readNumber('TRANSLATION_BREAKER_MAX_BACKOFF_MS', 300000)
+        };
+        for (const name of this.providers.getNames()) {
+            this.health.set(name, new ProviderHealth(name, breaker));
         }
 
-        // Check other services
-        this.checkServiceHealth('azure');
-        this.checkServiceHealth('deepl');
-        this.checkServiceHealth('microsoft');
+        const enabled = this.providers.order.filter(name => this.providers.get(name).isConfigured());
+        if (enabled.length) {
+            console.log(`✅ Translation providers: ${enabled.join(' → ')}`);
+        } else {
+            console.log('⚠️ No translation provider configured');
+        }
     }
 
-    async checkServiceHealth(service) {
-        const health = { status: 'unknown', lastCheck: Date.now() };
+    // disabled, unconfigured, or the breaker status: healthy, degraded, down, recovering
+    checkServiceHealth(service) {
+        if (!this.providers.isEnabled(service)) return 'disabled';
+        if (!this.providers.get(service).isConfigured()) return 'unconfigured';
+        return this.health.get(service).getStatus();
+    }
 
-        try {
-            switch (service) {
-                case 'azure':
-                    if (process.env.AZURE_SPEECH_KEY && process.env.AZURE_SPEECH_REGION) {
-                        health.status = 'configured';
-                    } else {
-                        health.status = 'unconfigured';
-                    }
-                    break;
-                case 'deepl':
-                    if (process.env.DEEPL_API_KEY) {
-                        health.status = 'configured';
-                    } else {
-                        health.status = 'unconfigured';
-                    }
-                    break;
-                case 'microsoft':
-                    if (process.env.MICROSOFT_TRANSLATOR_KEY) {
-                        health.status = 'configured';
-                    } else {
-                        health.status = 'unconfigured';
-                    }
-                    break;
-            }
-        } catch (error) {
-            health.status = 'error';
-            health.error = error.message;
-        }
+    startHealthMonitoring() {
+        if (this.probeIntervalMs <= 0) return;
 
-        this.serviceHealth.set(service, health);
+        // Probe every enabled provider now and then every TRANSLATION_PROBE_INTERVAL_MS
+        this.runHealthProbes();
+        setInterval(() => this.runHealthProbes(), this.probeIntervalMs);
     }
 
-    startHealthMonitoring() {
-        // Check service health every 5 minutes
-        setInterval(() => {
-            this.fallbackServices.forEach(service => this.checkServiceHealth(service));
-            this.lastHealthCheck = Date.now();
-        }, 5 * 60 * 1000);
+    // Providers whose breaker is open are only probed once their backoff has
+    // passed; that probe is their half-open trial
+    async runHealthProbes() {
+        const providers = this.providers.order
+            .map(name => this.providers.get(name))
+            .filter(provider => provider.isConfigured() && this.health.get(provider.name).canRequest());
+
+        await Promise.all(providers.map(provider => this.probeProvider(provider)));
+        this.lastHealthCheck = Date.now();
     }
 
-    async translateText(text, sourceLanguage, targetLanguage) {
-        if (!text || !targetLanguage) {
-            throw new Error('Text and target language are required');
+    async probeProvider(provider) {
+        const health = this.health.get(provider.name);
+        const start = Date.now();
+        try {
+            await provider.probe();
+            health.recordProbe(true, Date.now() - start);
+        } catch (error) {
+            health.recordProbe(false, Date.now() - start, error);
         }
+    }
 
-        // Check cache first
-        const cacheKey = `${text}_${sourceLanguage}_${targetLanguage}`;
-        const cachedResult = this.cache.get(cacheKey);
-        if (cachedResult) {
-            return cachedResult;
+    // options.glossary is a session glossary ({ id, version, entries, doNotTranslate }),
+    // options.formality is 'more' or 'less' for providers that support it, and
+    // options.history holds the session's earlier segments for context-aware
+    // providers ({ sessionId, segments: [{ text, translation }] }), and
+    // options.sessionId is the session the characters are counted against.
+    // options.interim marks a partial recognition result, which is not cached.
+    // Over budget, only the fallback providers are used, or nothing at all.
+    // Resolves to { translatedText, detectedLanguage, provider, latency, cacheHit };
+    // detectedLanguage is null when the provider did not report one.
+    async translateText(text, sourceLanguage, targetLanguage, options = {}) {
+        if (!text || !targetLanguage) {
+            throw new Error('Text and target language are required');
         }
 
-        // Rate limiting check
-        if (this.isRateLimited()) {
-            throw new Error('Rate limit exceeded. Please try again later.');
-        }
+        const start = Date.now();
 
-        // Try primary service first
-        try {
-            const result = await this.translateWithGoogle(text, sourceLanguage, targetLanguage);
-            this.cache.set(cacheKey, result);
-            this.incrementRequestCount('google');
-            return result;
-        } catch (error) {
-            console.log(`Google Translate failed: ${error.message}, trying fallback services...`);
-
-            // Try fallback services
-            for (const service of this.fallbackServices) {
-                try {
-                    if (this.serviceHealth.get(service)?.status === 'configured') {
-                        const result = await this.translateWithFallback(service, text, sourceLanguage, targetLanguage);
-                        if (result) {
-                            this.cache.set(cacheKey, result);
-                            this.incrementRequestCount(service);
-                            return result;
-                        }
-                    }
-                } catch (fallbackError) {
-                    console.log(`${service} fallback failed: ${fallbackError.message}`);
-                    this.updateServiceHealth(service, 'error', fallbackError.message);
-                }
-            }
+        const glossary = isEmpty(options.glossary) ? null : options.glossary;
+        const { formality } = options;
+        const history = options.history && options.history.segments.length ? options.history : null;
+        // Context-aware translations are only reused after the same earlier segments
+        const contextKey = [
+            glossary ? `${glossary.id}@${glossary.version}` : '',
+            formality || '',
+            history ? hashHistory(history.segments) : ''
+        ].join('_');
 
-            // If all services fail, return a fallback message
-            return `[${targetLanguage.toUpperCase()}] ${text}`;
+        // Check cache first
+        const cached = await this.cache.get(text, sourceLanguage, targetLanguage, contextKey);
+        if (cached) {
+            return {
+                translatedText: cached.translation,
+                detectedLanguage: cached.detectedLanguage,
+                provider: cached.provider,
+                latency: Date.now() - start,
+                cacheHit: true
+            };
         }
-    }
 
-    isRateLimited() {
-        const now = Date.now();
-        const windowMs = 60 * 1000; // 1 minute window
-        const maxRequests = 100; // Max 100 requests per minute
+        const providers = this.getBudgetProviders(options.sessionId);
 
-        // Clean old entries
-        for (const [timestamp] of this.requestCounts) {
-            if (now - timestamp > windowMs) {
-                this.requestCounts.delete(timestamp);
+        // Rejects when every provider fails; callers decide what to show instead
+        const context = glossary || formality || history || providers
+            ? {
+                key: providers ? `${contextKey}_budget` : contextKey,
+                glossary,
+                formality,
+                history: history && history.segments,
+                providers
             }
+            : null;
+        const result = await this.batcher.enqueue(text, sourceLanguage, targetLanguage, context, options.sessionId);
+        // Interim hypotheses rarely come back word for word; keep them out of the cache
+        if (!options.interim) {
+            this.cache.set(text, sourceLanguage, targetLanguage, contextKey, {
+                translation: result.text,
+                provider: result.provider,
+                detectedLanguage: result.detectedLanguage
+            });
         }
 
-        // Count requests in current window
-        const currentRequests = Array.from(this.requestCounts.values()).reduce((sum, count) => sum + count, 0);
-        return currentRequests >= maxRequests;
-    }
-
-    incrementRequestCount(service) {
-        const now = Date.now();
-        const currentCount = this.requestCounts.get(now) || 0;
-        this.requestCounts.set(now, currentCount + 1);
+        return {
+            translatedText: result.text,
+            detectedLanguage: result.detectedLanguage,
+            provider: result.provider,
+            latency: Date.now() - start,
+            cacheHit: false
+        };
     }
 
-    updateServiceHealth(service, status, error = null) {
-        const health = this.serviceHealth.get(service) || {};
-        health.status = status;
-        health.lastCheck = Date.now();
-        if (error) health.error = error;
-        this.serviceHealth.set(service, health);
-    }
+    // Providers allowed once a budget is used up (null while within budget).
+    // Throws when translation should stop instead.
+    getBudgetProviders(sessionId) {
+        const budget = this.usage.getBudgetStatus(sessionId);
+        if (budget.status !== 'exceeded') return null;
 
-    async translateWithGoogle(text, sourceLanguage, targetLanguage) {
-        if (!this.googleTranslate) {
-            throw new Error('Google Translate not initialized');
+        const providers = budget.action === 'stop' ? [] : (this.usage.fallbackProviders ||
+            this.providers.order.filter(name => this.usage.getPrice(name) === 0));
+        if (!providers.length) {
+            throw new Error(`Translation ${budget.scope} budget exceeded`);
         }
+        return providers;
+    }
 
-        const [translation] = await this.googleTranslate.translate(text, {
-            from: sourceLanguage || 'auto',
-            to: targetLanguage
-        });
+    // Translate a translation back into the source language and compare it with
+    // the original. Resolves to { score, backTranslation, lowQuality }, or null
+    // when the source language is unknown or the back-translation failed.
+    async checkQuality(text, result, sourceLanguage, targetLanguage, sessionId = null) {
+        const source = sourceLanguage && sourceLanguage !== 'auto' ? sourceLanguage : result.detectedLanguage;
+        if (!source || !result.provider) return null;
 
-        return translation;
-    }
+        // Plain language codes: the source may be a speech locale such as 'en-US'
+        const backLanguage = source.split('-')[0].toLowerCase();
+        if (backLanguage === targetLanguage.split('-')[0].toLowerCase()) return null;
 
-    async translateWithFallback(service, text, sourceLanguage, targetLanguage) {
-        switch (service) {
-            case 'azure':
-                return await this.translateWithAzure(text, sourceLanguage, targetLanguage);
-            case 'deepl':
-                return await this.translateWithDeepL(text, sourceLanguage, targetLanguage);
-            case 'microsoft':
-                return await this.translateWithMicrosoft(text, sourceLanguage, targetLanguage);
-            default:
-                throw new Error(`Unknown service: ${service}`);
+        try {
+            const back = await this.translateText(result.translatedText, targetLanguage, backLanguage, { sessionId });
+            const score = similarity(text, back.translatedText);
+            return {
+                score,
+                backTranslation: back.translatedText,
+                lowQuality: score < this.quality.threshold
+            };
+        } catch (error) {
+            console.log(`⚠️ Back-translation failed: ${error.message}`);
+            return null;
         }
     }
 
-    async translateWithAzure(text, sourceLanguage, targetLanguage) {
-        if (!process.env.AZURE_SPEECH_KEY || !process.env.AZURE_SPEECH_REGION) {
-            throw new Error('Azure Speech credentials not configured');
+    // Translates a batch of texts with the first provider that succeeds; one call counts as one request,
+    // with each text's characters counted for the session in sessionIds at the same index.
+    // Resolves to one { text, detectedLanguage, characters, provider } per input text.
+    async translateBatch(texts, sourceLanguage, targetLanguage, context = null, sessionIds = []) {
+        // Healthy providers keep their priority; degraded ones move behind them
+        // and providers with an open circuit breaker are skipped
+        // Over budget, context.providers limits the chain to the fallback providers
+        const allowed = context && context.providers;
+        const chain = this.providers.getChain(targetLanguage, sourceLanguage)
+            .filter(provider => !allowed || allowed.includes(provider.name));
+        const ordered = [
+            ...chain.filter(provider => this.health.get(provider.name).getStatus() !== 'degraded'),
+            ...chain.filter(provider => this.health.get(provider.name).getStatus() === 'degraded')
+        ];
+
+        for (const provider of ordered) {
+            const health = this.health.get(provider.name);
+            if (!health.canRequest()) continue;
+
+            const start = Date.now();
+            try {
+                const results = await this.translateWithProvider(provider, texts, sourceLanguage, targetLanguage, context);
+                health.recordSuccess(Date.now() - start);
+                this.incrementRequestCount(provider.name);
+                this.usage.record(provider.name, results.map((result, i) => ({
+                    characters: result.characters,
+                    sessionId: sessionIds[i] || null
+                })));
+                return results.map(result => ({ ...result, provider: provider.name }));
+            } catch (error) {
+                if (isRequestError(error)) {
+                    health.recordRequestError(Date.now() - start);
+                } else {
+                    health.recordFailure(error, Date.now() - start);
+                }
+                console.log(`${provider.name} translation failed: ${error.message}, trying fallback services...`);
+            }
         }
 
-        const endpoint = `https://${process.env.AZURE_SPEECH_REGION}.api.cognitive.microsofttranslator.com/translate`;
-        const response = await axios.post(endpoint, [{
-            text: text
-        }], {
-            params: {
-                'api-version': '3.0',
-                'from': sourceLanguage || 'auto',
-                'to': targetLanguage
-            },
-            headers: {
-                'Ocp-Apim-Subscription-Key': process.env.AZURE_SPEECH_KEY,
-                'Content-Type': 'application/json',
-                'X-ClientTraceId': this.generateUUID()
-            },
-            timeout: 10000 // 10 second timeout
-        });
-
-        return response.data[0].translations[0].text;
+        throw new Error('All translation services failed');
     }
 
-    async translateWithDeepL(text, sourceLanguage, targetLanguage) {
-        if (!process.env.DEEPL_API_KEY) {
-            throw new Error('DeepL API key not configured');
-        }
-
-        const response = await axios.post('https://api-free.deepl.com/v2/translate', {
-            text: [text],
-            source_lang: sourceLanguage || 'AUTO',
-            target_lang: targetLanguage.toUpperCase()
-        }, {
-            headers: {
-                'Authorization': `DeepL-Auth-Key ${process.env.DEEPL_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 10000 // 10 second timeout
-        });
-
-        return response.data.translations[0].text;
+    incrementRequestCount(service) {
+        const now = Date.now();
+        const timestamps = (this.requestCounts.get(service) || []).filter(time => now - time <= 60 * 1000);
+        timestamps.push(now);
+        this.requestCounts.set(service, timestamps);
     }
 
-    async translateWithMicrosoft(text, sourceLanguage, targetLanguage) {
-        if (!process.env.MICROSOFT_TRANSLATOR_KEY) {
-            throw new Error('Microsoft Translator key not configured');
+    // Sends texts in chunks the provider accepts. Providers without glossary support
+    // get glossary terms swapped for placeholders that are put back afterwards.
+    // Resolves to one { text, detectedLanguage, characters } per input text, where
+    // characters is what the provider bills for it (see countCharacters).
+    async translateWithProvider(provider, texts, sourceLanguage, targetLanguage, context = null) {
+        const glossary = context && context.glossary;
+        const options = {};
+        if (context && context.formality && provider.capabilities.formality) {
+            options.formality = context.formality;
+        }
+        if (glossary && provider.capabilities.glossary) {
+            options.glossary = glossary;
+        }
+        if (context && context.history && provider.capabilities.context > 0) {
+            options.history = context.history.slice(-provider.capabilities.context);
         }
 
-        const endpoint = 'https://api.cognitive.microsofttranslator.com/translate';
-        const response = await axios.post(endpoint, [{
-            text: text
-        }], {
-            params: {
-                'api-version': '3.0',
-                'from': sourceLanguage || 'auto',
-                'to': targetLanguage
-            },
-            headers: {
-                'Ocp-Apim-Subscription-Key': process.env.MICROSOFT_TRANSLATOR_KEY,
-                'Content-Type': 'application/json',
-                'X-ClientTraceId': this.generateUUID()
-            },
-            timeout: 10000 // 10 second timeout
-        });
-
-        return response.data[0].translations[0].text;
+        // Catalogue codes become the provider's own, e.g. 'zh-TW' -> 'zh-Hant' for Microsoft
+        const source = provider.toProviderCode(sourceLanguage, 'source');
+        const target = provider.toProviderCode(targetLanguage, 'target');
+        const translate = (items) => provider.translate(items, source, target, options);
+        const translateChunked = async (items) => {
+            const size = Math.max(1, provider.capabilities.batching);
+            const chunks = [];
+            for (let i = 0; i < items.length; i += size) {
+                chunks.push(items.slice(i, i + size));
+            }
+            const results = await Promise.all(chunks.map(translate));
+            return results.flat();
+        };
+
+        const results = glossary && !provider.capabilities.glossary
+            ? await translateProtected(texts, glossary, targetLanguage, translateChunked)
+            : await translateChunked(texts);
+        return results.map((result, i) => ({
+            ...toResult(result),
+            characters: provider.countCharacters(texts[i], source, target, options)
+        }));
+    }
+
+    // How many earlier segments the enabled providers want as context
+    getContextSize() {
+        return Math.max(0, ...this.providers.order.map(name => this.providers.get(name))
+            .filter(provider => provider.isConfigured())
+            .map(provider => provider.capabilities.context || 0));
     }
 
-    generateUUID() {
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
-            const r = Math.random() * 16 | 0;
-            const v = c == 'x' ? r : (r & 0x3 | 0x8);
-            return v.toString(16);
-        });
+    // Drop provider-side copies of a session glossary (e.g. when the session ends)
+    releaseGlossary(glossaryId) {
+        for (const name of this.providers.getNames()) {
+            this.providers.get(name).releaseGlossary(glossaryId);
+        }
     }
 
+    // Target languages of the enabled providers, code -> name
     getSupportedLanguages() {
-        return {
-            'en': 'English',
-            'es': 'Spanish',
-            'fr': 'French',
-            'de': 'German',
-            'it': 'Italian',
-            'pt': 'Portuguese',
-            'ru': 'Russian',
-            'ja': 'Japanese',
-            'ko': 'Korean',
-            'zh': 'Chinese (Simplified)',
-            'ar': 'Arabic',
-            'hi': 'Hindi',
-            'nl': 'Dutch',
-            'sv': 'Swedish',
-            'no': 'Norwegian',
-            'da': 'Danish',
-            'fi': 'Finnish',
-            'pl': 'Polish',
-            'tr': 'Turkish',
-            'he': 'Hebrew'
-        };
+        const supported = {};
+        this.languages.getCatalogue().languages
+            .filter(language => language.target)
+            .forEach(language => { supported[language.code] = language.name; });
+        return supported;
     }
 
     getServiceStatus() {
-        return {
-            google: this.serviceHealth.get('google')?.status || 'unknown',
-            azure: this.serviceHealth.get('azure')?.status || 'unknown',
-            deepl: this.serviceHealth.get('deepl')?.status || 'unknown',
-            microsoft: this.serviceHealth.get('microsoft')?.status || 'unknown'
-        };
+        const status = {};
+        for (const name of this.providers.getNames()) {
+            status[name] = this.checkServiceHealth(name);
+        }
+        return status;
     }
 
     getDetailedServiceStatus() {
         const status = {};
-        for (const [service, health] of this.serviceHealth) {
-            status[service] = {
-                ...health,
-                lastCheck: new Date(health.lastCheck).toISOString()
+        for (const name of this.providers.getNames()) {
+            status[name] = {
+                ...this.providers.get(name).describe(),
+                ...this.health.get(name).toJSON(),
+                status: this.checkServiceHealth(name),
+                enabled: this.providers.isEnabled(name),
+                priority: this.providers.order.indexOf(name)
             };
         }
         return status;
@@ -317,37 +350,87 @@ class TranslationService {
     getRequestStats() {
         const now = Date.now();
         const windowMs = 60 * 1000; // 1 minute window
+        const byService = {};
         let totalRequests = 0;
 
-        for (const [timestamp, count] of this.requestCounts) {
-            if (now - timestamp <= windowMs) {
-                totalRequests += count;
-            }
+        for (const [service, timestamps] of this.requestCounts) {
+            byService[service] = timestamps.filter(time => now - time <= windowMs).length;
+            totalRequests += byService[service];
         }
 
         return {
             totalRequests,
+            byService,
             windowMs,
-            isRateLimited: this.isRateLimited()
+            batching: this.batcher.getStats()
         };
     }
 
-    clearCache() {
-        this.cache.flushAll();
-        console.log('Translation cache cleared');
+    // Clears everything, or one language pair ({ sourceLanguage, targetLanguage });
+    // resolves to the number of entries removed
+    async clearCache(languagePair = {}) {
+        const cleared = await this.cache.clear(languagePair);
+        console.log(`Translation cache cleared (${cleared} entries)`);
+        return cleared;
     }
 
+    // Works for any registered provider, enabled or not
     async testService(service) {
+        const provider = this.providers.get(service);
+        if (!provider) {
+            throw new Error(`Unknown service: ${service}`);
+        }
+
+        const health = this.health.get(service);
+        const start = Date.now();
         try {
             const testText = 'Hello world';
-            const result = await this.translateWithFallback(service, testText, 'en', 'es');
-            this.updateServiceHealth(service, 'healthy');
-            return { success: true, result };
+            const [result] = (await provider.translate([testText], provider.toProviderCode('en', 'source'),
+                provider.toProviderCode('es'))).map(toResult);
+            health.recordProbe(true, Date.now() - start);
+            return { success: true, result: result.text, latency: Date.now() - start };
         } catch (error) {
-            this.updateServiceHealth(service, 'error', error.message);
-            return { success: false, error: error.message };
+            health.recordProbe(false, Date.now() - start, error);
+            return { success: false, error: error.message, latency: Date.now() - start };
         }
     }
 }
 
+// Short fingerprint of the earlier segments a context-aware translation depends on
+function hashHistory(segments) {
+    const text = JSON.stringify(segments.map(segment => [segment.text, segment.translation || '']));
+    return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+// An integer setting from the environment; unset or malformed values (NaN,
+// below `min`) fall back to the default
+function readNumber(name, fallback, min = 0) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') return fallback;
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min) {
+        console.log(`⚠️ Ignoring ${name}=${raw}, using ${fallback}`);
+        return fallback;
+    }
+    return value;
+}
+
+// A 4xx answer means the request itself was wrong, e.g. an unsupported language
+// code, except for 429 (rate limited) and 401/403 (bad or exhausted credentials),
+// which make the provider unusable for everyone. axios errors carry the status in
+// response.status, Google client errors in code.
+function isRequestError(error) {
+    const status = error.response ? error.response.status : error.code;
+    return typeof status === 'number' && status >= 400 && status < 500 && ![401, 403, 429].includes(status);
+}
+
+// Providers return a string or { text, detectedLanguage } per text
+function toResult(result) {
+    if (typeof result === 'string') {
+        return { text: result, detectedLanguage: null };
+    }
+    return { text: result.text, detectedLanguage: result.detectedLanguage || null };
+}
+
 module.exports = TranslationService;
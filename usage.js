@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { getDataDir } = require('./storage');
+
+// Characters sent to each provider, per provider, per session and per day,
+// with their cost and optional spending budgets.
+//
+// Prices are per million characters, in TRANSLATION_CURRENCY. The defaults are
+// the list prices from TRANSLATION_SETUP.md; self-hosted LibreTranslate costs
+// nothing. An LLM's price depends on its model and host, so llm and custom
+// providers are unpriced: counted at no cost, but never a free fallback.
+//   TRANSLATION_PRICES              e.g. "google:20,deepl:25,llm:0.6" - overrides
+//   TRANSLATION_BUDGET_DAILY        spend per day (UTC), 0 = no budget
+//   TRANSLATION_BUDGET_SESSION      spend per session, 0 = no budget
+//   TRANSLATION_BUDGET_WARN_AT      share of a budget that triggers a warning (default 0.8)
+//   TRANSLATION_BUDGET_ACTION       fallback (default) or stop, once a budget is used up
+//   TRANSLATION_BUDGET_FALLBACK     providers to use over budget (default: the free ones)
+//
+// Emits 'budget' ({ scope, status, spent, budget, sessionId, date }) when a
+// budget first reaches 'warning' or 'exceeded'.
+const DEFAULT_PRICES = {
+    google: 20,
+    azure: 10,
+    deepl: 6,
+    microsoft: 10,
+    libretranslate: 0
+};
+
+class TranslationUsage extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.filePath = options.filePath || path.join(getDataDir(options), 'translation-usage.json');
+        this.currency = options.currency || process.env.TRANSLATION_CURRENCY || 'USD';
+        this.prices = { ...DEFAULT_PRICES, ...parsePrices(options.prices ?? process.env.TRANSLATION_PRICES) };
+        this.budgets = {
+            daily: parseFloat(options.dailyBudget ?? process.env.TRANSLATION_BUDGET_DAILY ?? '0') || 0,
+            session: parseFloat(options.sessionBudget ?? process.env.TRANSLATION_BUDGET_SESSION ?? '0') || 0,
+            warnAt: parseFloat(options.warnAt ?? process.env.TRANSLATION_BUDGET_WARN_AT ?? '0.8'),
+            action: options.action || process.env.TRANSLATION_BUDGET_ACTION || 'fallback'
+        };
+        const fallback = options.fallback ?? process.env.TRANSLATION_BUDGET_FALLBACK;
+        this.fallbackProviders = fallback ? fallback.split(',').map(name => name.trim()).filter(Boolean) : null;
+        this.retentionDays = parseInt(options.retentionDays ?? process.env.TRANSLATION_USAGE_RETENTION_DAYS ?? '90', 10);
+
+        this.days = new Map(); // 'YYYY-MM-DD' -> totals
+        this.sessions = new Map(); // sessionId -> totals
+        this.alerts = new Map(); // budget key -> last status announced
+        this.unpriced = new Set(); // Providers already warned about
+        this.loadFailed = false;
+        this.writeDelay = options.writeDelay ?? 1000;
+        this.writeTimer = null;
+        this.writing = Promise.resolve();
+        this.ready = this.load();
+    }
+
+    async load() {
+        try {
+            const contents = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            (contents.days || []).forEach(day => this.days.set(day.date, day));
+            (contents.sessions || []).forEach(session => this.sessions.set(session.sessionId, session));
+            this.prune();
+        } catch (error) {
+            // Writing now would replace the unreadable totals with a fresh count
+            if (error.code !== 'ENOENT') {
+                this.loadFailed = true;
+                console.error(`❌ Failed to load translation usage, not saving it until ${this.filePath} is fixed or removed:`, error.message);
+            }
+        }
+    }
+
+    // null when the provider has no price
+    getPrice(provider) {
+        return this.prices[provider] ?? null;
+    }
+
+    // Count one provider request. `items` holds { characters, sessionId } per
+    // text sent; a session is counted one request for all of its texts.
+    async record(provider, items) {
+        const characters = items.reduce((sum, item) => sum + item.characters, 0);
+        if (!provider || !characters) return;
+        await this.ready;
+
+        const price = this.getPrice(provider);
+        if (price === null && !this.unpriced.has(provider)) {
+            this.unpriced.add(provider);
+            console.log(`⚠️ No price for translation provider ${provider}; set it in TRANSLATION_PRICES to count its cost`);
+        }
+        const costOf = count => count * (price || 0) / 1e6;
+        const date = today();
+        if (!this.days.has(date)) {
+            this.days.set(date, emptyTotals({ date }));
+        }
+        addUsage(this.days.get(date), provider, characters, costOf(characters));
+
+        const bySession = new Map();
+        items.filter(item => item.sessionId).forEach(item => {
+            bySession.set(item.sessionId, (bySession.get(item.sessionId) || 0) + item.characters);
+        });
+        bySession.forEach((count, sessionId) => {
+            if (!this.sessions.has(sessionId)) {
+                this.sessions.set(sessionId, emptyTotals({ sessionId }));
+            }
+            addUsage(this.sessions.get(sessionId), provider, count, costOf(count));
+        });
+
+        if (bySession.size) {
+            bySession.forEach((count, sessionId) => this.checkBudgets(sessionId));
+        } else {
+            this.checkBudgets(null);
+        }
+        this.scheduleWrite();
+    }
+
+    // The most severe budget state for a request: ok, warning or exceeded
+    getBudgetStatus(sessionId = null) {
+        const states = this.getBudgetStates(sessionId);
+        return states.find(state => state.status === 'exceeded') ||
+            states.find(state => state.status === 'warning') ||
+            { status: 'ok' };
+    }
+
+    getBudgetStates(sessionId) {
+        const states = [];
+        if (this.budgets.daily > 0) {
+            const day = this.days.get(today());
+            states.push(this.budgetState('daily', day ? day.cost : 0, this.budgets.daily, { date: today() }));
+        }
+        if (this.budgets.session > 0 && sessionId) {
+            const session = this.sessions.get(sessionId);
+            states.push(this.budgetState('session', session ? session.cost : 0, this.budgets.session, { sessionId }));
+        }
+        return states;
+    }
+
+    budgetState(scope, spent, budget, details) {
+        let status = 'ok';
+        if (spent >= budget) {
+            status = 'exceeded';
+        } else if (spent >= budget * this.budgets.warnAt) {
+            status = 'warning';
+        }
+        return { scope, status, spent: round(spent), budget, currency: this.currency, action: this.budgets.action, ...details };
+    }
+
+    checkBudgets(sessionId) {
+        this.getBudgetStates(sessionId).forEach(state => {
+            if (state.status === 'ok') return;
+
+            const key = state.scope === 'daily' ? `daily:${state.date}` : `session:${state.sessionId}`;
+            if (this.alerts.get(key) === state.status) return;
+            this.alerts.set(key, state.status);
+
+            const target = state.scope === 'daily' ? 'Daily' : `Session ${state.sessionId}`;
+            console.log(`⚠️ ${target} translation budget ${state.status === 'exceeded' ? 'used up' : 'nearly used up'}: ` +
+                `${state.spent} of ${state.budget} ${this.currency}`);
+            this.emit('budget', state);
+        });
+    }
+
+    // Usage summary for the API; `days` limits the daily history. Session ids
+    // are not listed: `sessionId` adds that one session, for callers allowed to read it.
+    getReport({ sessionId, days = 30 } = {}) {
+        const history = Array.from(this.days.values())
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .slice(0, days);
+
+        // Totals per provider over the listed days
+        const providers = {};
+        history.forEach(day => {
+            Object.entries(day.providers).forEach(([name, usage]) => {
+                const total = providers[name] || (providers[name] = emptyProvider());
+                total.characters += usage.characters;
+                total.requests += usage.requests;
+                total.cost += usage.cost;
+            });
+        });
+
+        const report = {
+            currency: this.currency,
+            pricesPerMillion: this.prices,
+            budgets: {
+                ...this.budgets,
+                fallbackProviders: this.fallbackProviders,
+                status: this.getBudgetStates(sessionId)
+            },
+            today: roundTotals(this.days.get(today()) || emptyTotals({ date: today() })),
+            providers: roundProviders(providers),
+            days: history.map(roundTotals)
+        };
+
+        if (sessionId) {
+            report.session = roundTotals(this.sessions.get(sessionId) || emptyTotals({ sessionId }));
+        }
+        return report;
+    }
+
+    // Forget days and sessions older than the retention period
+    prune() {
+        const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+        for (const [date] of this.days) {
+            if (date < cutoff.slice(0, 10)) this.days.delete(date);
+        }
+        for (const [sessionId, session] of this.sessions) {
+            if (session.updatedAt < cutoff) this.sessions.delete(sessionId);
+        }
+    }
+
+    scheduleWrite() {
+        if (this.writeTimer) return;
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            this.writing = this.writing.then(() => this.write()).catch(error => {
+                console.error('❌ Failed to write translation usage:', error.message);
+            });
+        }, this.writeDelay);
+    }
+
+    async write() {
+        if (this.loadFailed) return;
+        this.prune();
+        const contents = JSON.stringify({
+            days: Array.from(this.days.values()),
+            sessions: Array.from(this.sessions.values())
+        });
+        const tempPath = `${this.filePath}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, contents);
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    async close() {
+        await this.ready;
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+            this.writing = this.writing.then(() => this.write());
+        }
+        await this.writing;
+    }
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function emptyTotals(fields) {
+    return { ...fields, characters: 0, requests: 0, cost: 0, providers: {}, updatedAt: new Date().toISOString() };
+}
+
+function emptyProvider() {
+    return { characters: 0, requests: 0, cost: 0 };
+}
+
+function addUsage(totals, provider, characters, cost) {
+    const usage = totals.providers[provider] || (totals.providers[provider] = emptyProvider());
+    usage.characters += characters;
+    usage.requests++;
+    usage.cost += cost;
+    totals.characters += characters;
+    totals.requests++;
+    totals.cost += cost;
+    totals.updatedAt = new Date().toISOString();
+}
+
+function round(value) {
+    return +value.toFixed(4);
+}
+
+function roundProviders(providers) {
+    const result = {};
+    Object.entries(providers).forEach(([name, usage]) => {
+        result[name] = { ...usage, cost: round(usage.cost) };
+    });
+    return result;
+}
+
+function roundTotals(totals) {
+    return { ...totals, cost: round(totals.cost), providers: roundProviders(totals.providers) };
+}
+
+function parsePrices(value) {
+    const prices = {};
+    (value || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+        const separator = item.lastIndexOf(':');
+        const price = Number(item.slice(separator + 1));
+        if (separator > 0 && Number.isFinite(price) && price >= 0) {
+            prices[item.slice(0, separator)] = price;
+        }
+    });
+    return prices;
+}
+
+module.exports = TranslationUsage;